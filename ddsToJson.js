@@ -2,7 +2,16 @@
 
 const { promises: fsPromises, constants } = require('fs')
 const { format, parse, resolve } = require('path')
-const { isValidLibrary, isValidDdsSourceFile, isValidDdsMember, readIbmISrcMbr, getIbmIMemberText } = require('./shared/asyncUtils')
+const { isValidLibrary, isValidDdsSourceFile, isValidDdsMember, readIbmISrcMbr, getIbmIMemberList, getGenericFileList, normalizeName } = require('./shared/asyncUtils')
+const { isGlobPattern } = require('./shared/glob')
+const { classicDdsToFormats } = require('./shared/classicDds')
+const { parseDds, getHtmlSections } = require('./shared/ddsParser')
+const { decodeSource, readSourceFile, describeFormat } = require('./shared/sourceText')
+const { readSourceMetadata, readMemberMetadata } = require('./shared/sourceMetadata')
+const { lowercaseNames } = require('./shared/nameCase')
+const { checkSchema } = require('./shared/dspfLint')
+const { canonicalizeDspf, stringifyDspf } = require('./shared/canonicalJson')
+const { writeSplitDspf } = require('./shared/splitLayout')
 const pino = require('pino')
 
 const logger = pino({
@@ -13,68 +22,22 @@ const logger = pino({
   level: process.env.LOG_LEVEL || 'info'
 })
 
-const CRLF = '\r\n'
-
-let isDdsFile = false
-let outFileName
-
 /**
  * @description Extracts the Formats object from the HTML tags in the DSPF source.
- * @param {String[]} srcLines The input DDS Source Member converted to String array.
+ * @param {Object} dds The parsed DDS source, see shared/ddsParser.js parseDds().
  * @returns {Promise<Object[]>} The Formats array.
  * @since 1.0.0
  */
-const getFormatsFromSrc = async (srcLines) => {
+const getFormatsFromSrc = async (dds) => {
   try {
-    logger.debug('getFormatsFromSrc() started with : ', typeof srcLines, 'srcLines =', srcLines)
-    let isHtmlJsonTag = false
-    let htmlTag = ''
+    logger.debug('getFormatsFromSrc() started with : ', typeof dds, 'dds =', dds)
     const formats = []
 
-    /**
-     * @param {string} str
-     */
-    const addToFormats = (str) => {
-      // Sanitize any IBM i delimiter content such as double quote
-      formats.push(JSON.parse(str.replace(/''/g, `'`)))
-    }
-
-    srcLines.forEach(line => {
-      // Are we still reading an HTML tag ?
-      if (isHtmlJsonTag) {
-        // Skip HTML tag if line starts with a new HTML tag
-        const strPos = line.substr(44, 6) === `HTML('` ? 50 : 44
-        // OK, so is the HTML tag continuing, or is this line potentially complete ?
-        if (line.substr(79, 1) !== '-') {
-          // We might have reached max DDS HTML length, so see if we can parse
-          const endPos = line.lastIndexOf(`')`)
-          try {
-            addToFormats(htmlTag + line.substring(strPos, endPos))
-            htmlTag = ''
-            isHtmlJsonTag = false
-          } catch (error) {
-            // Nope, so there must be more data
-            htmlTag += line.substring(strPos, endPos)
-            return
-          }
-        } else {
-          htmlTag += line.substring(strPos, 79)
-          return
-        }
-      }
-
-      isHtmlJsonTag = (line.substr(44, 7) === `HTML('{`)
-      if (isHtmlJsonTag) {
-        // OK, so html tag continuing, or one and done ?
-        if (line.substr(79, 1) !== '-') {
-          const endPos = line.lastIndexOf(`')`)
-          addToFormats(htmlTag + line.substring(50, endPos))
-          isHtmlJsonTag = false
-        } else {
-          htmlTag += line.substring(50, 79)
-        }
+    for (const record of dds.records) {
+      for (const section of getHtmlSections(record)) {
+        formats.push(JSON.parse(section.json))
       }
-    })
+    }
 
     return formats
   } catch (error) {
@@ -84,25 +47,19 @@ const getFormatsFromSrc = async (srcLines) => {
 
 /**
  * @description Extracts the Keywords object from the File-level keywords in the DSPF source.
- * @param {String[]} srcLines The input DDS Source Member converted to String array.
+ * @param {Object} dds The parsed DDS source, see shared/ddsParser.js parseDds().
  * @returns {Promise<String[]>} The Keywords array.
  * @since 1.0.0
  */
-const getKeywordsFromSrc = async (srcLines) => {
+const getKeywordsFromSrc = async (dds) => {
   try {
-    logger.debug('getKeywordsFromSrc() started with : ', typeof srcLines, 'srcLines =', srcLines)
+    logger.debug('getKeywordsFromSrc() started with : ', typeof dds, 'dds =', dds)
     const keywords = []
 
-    for (const line of srcLines) {
-      // Iterate through the active Keywords until we get to the first Record Format
-      if (line.substr(5, 2) === 'A ' && line.substr(16, 1) === 'R') {
-        break
-      } else {
-        if (line.substr(5, 2) === 'A ' || line.substr(5, 5) === 'A*PUI') {
-          if (line.substr(44, 36).trimRight()) {
-            keywords.push(line.substr(44, 36).trimRight())
-          }
-        }
+    // Keep each File-level keyword line as it is, including the A*PUI lines
+    for (const line of dds.lines) {
+      if (line.record === null && ['entry', 'continuation', 'pui'].includes(line.kind) && line.keywordText) {
+        keywords.push(line.keywordText)
       }
     }
     return keywords
@@ -113,22 +70,23 @@ const getKeywordsFromSrc = async (srcLines) => {
 
 /**
  * @description Wrapper function to validate all the input parameters.
- * @param {String} outDir The Output directory to create the JSON file in.
+ * @param {String} [outDir] The Output directory to create the JSON file in. If not specified, no file is written.
  * @param {String} fil The Input Source File name.
  * @param {String} [lib] The Library containing the Source File.
  * @param {String} [mbr] The Member name.
- * @returns {Promise<String>} The error message if we reject.
+ * @param {Boolean} isDdsFile True if the Input is a Lib/File/Mbr, false if it is path-based.
+ * @param {Boolean} [overwrite] (Optional) Allow an existing Output file to be over-written.
+ * @param {Boolean} [split] (Optional) The Output is a split Rich Display File directory, instead of a JSON file.
+ * @returns {Promise<String>} The Output file name, or the error message if we reject.
  * @since 1.0.0
  */
-const validateParameters = async (outDir, fil, lib, mbr) => {
+const validateParameters = async (outDir, fil, lib, mbr, isDdsFile, overwrite, split) => {
   try {
-    logger.debug('validateParameters() started with : ', typeof outDir, 'outDir =', outDir, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+    logger.debug('validateParameters() started with : ', typeof outDir, 'outDir =', outDir, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof isDdsFile, 'isDdsFile =', isDdsFile)
     let err
 
     // Verify output directory
-    if (typeof outDir === 'undefined') {
-      err = `Output Directory was not specified.\n`
-    } else {
+    if (typeof outDir !== 'undefined') {
       err = await fsPromises.stat(outDir)
         .then(async stats => {
           if (!stats.isDirectory()) {
@@ -179,6 +137,11 @@ const validateParameters = async (outDir, fil, lib, mbr) => {
       return Promise.reject(err)
     }
 
+    // No Output directory means the JSON is only returned in memory
+    if (typeof outDir === 'undefined') {
+      return
+    }
+
     // Check that output file is writeable
     const pathObj = { dir: resolve(outDir) }
     if (isDdsFile) {
@@ -188,16 +151,34 @@ const validateParameters = async (outDir, fil, lib, mbr) => {
     } else {
       pathObj.base = parse(fil).name + '.json'
     }
-    outFileName = format(pathObj)
+    // A split Rich Display File is a directory, named like the JSON file without its extension
+    if (split) {
+      pathObj.base = parse(pathObj.base).name
+    }
+    const outFileName = format(pathObj)
+
+    if (!overwrite) {
+      err = await fsPromises.access(outFileName, constants.F_OK)
+        .then(() => `Output File '${outFileName}' already exists, and cannot be over-written unless overwrite is specified.\n`)
+        .catch(() => null)
+      if (err) {
+        return Promise.reject(err)
+      }
+    }
 
-    err = await fsPromises.open(outFileName, 'w')
-      .then(async handle => {
-        await handle.close()
-      })
-      .catch(() => `Insufficient write permissions on Output File '${outFileName}'.\n`)
+    err = split
+      ? await fsPromises.access(outDir, constants.W_OK)
+        .catch(() => `Insufficient write permissions on Output Directory '${outDir}'.\n`)
+      : await fsPromises.open(outFileName, 'w')
+        .then(async handle => {
+          await handle.close()
+        })
+        .catch(() => `Insufficient write permissions on Output File '${outFileName}'.\n`)
     if (err) {
       return Promise.reject(err)
     }
+
+    return outFileName
   } catch (error) {
     return Promise.reject(error.message)
   }
@@ -205,18 +186,22 @@ const validateParameters = async (outDir, fil, lib, mbr) => {
 
 /**
  * @description Extract the original DDS source lines for All-In-One section in JSON.
+ *              The Control Format and Screen Format HTML, the SDA lines, and the Hidden fields that are bound in the
+ *              Screen Formats are left out, as they are written from the JSON.
  * @param {String[]} srcLines The input DDS Source Member converted to String array.
+ * @param {Object} dds The parsed DDS source, see shared/ddsParser.js parseDds().
+ * @param {Object[]} formats The Formats array, from getFormatsFromSrc().
  * @returns {Promise<String[]>} The original DDS array to be stored in HTML for All-In-One, or Error Message if we reject.
  * @since 1.0.0
  */
-const getDdsFromSrc = async (srcLines) => {
+const getDdsFromSrc = async (srcLines, dds, formats) => {
   logger.debug('getDdsFromSrc() started with : ', typeof srcLines, 'srcLines =', srcLines)
-  const getBoundFields = async (rcdFmt) => {
+  const getBoundFields = (rcdFmt) => {
     logger.debug('getBoundFields() started with : ', typeof rcdFmt, 'rcdFmt =', rcdFmt)
-    let fields = []
+    const fields = []
 
     // Extract all bound fields from each record format
-    for (const item of rcdFmt.items) {
+    for (const item of rcdFmt ? rcdFmt.items : []) {
       for (const itemProperty in item) {
         if (item.hasOwnProperty(itemProperty)) {
           const itemValue = item[itemProperty]
@@ -229,82 +214,72 @@ const getDdsFromSrc = async (srcLines) => {
     return fields
   }
 
-  const htmlOpen = `HTML('`
-  const rcdFmtOpen = `A          R`
-  const returnDds = []
-
-  let rcdFmt
-  let rcdFmtObj
-  let boundFields
-  let isSFL = false
-
-  const formats = await getFormatsFromSrc(srcLines)
-
-  for (let srcIdx = 0; srcIdx < srcLines.length; srcIdx++) {
-    const line = srcLines[srcIdx]
-
-    // Grab the Record Format details
-    if (line.substr(5, 12) === rcdFmtOpen) {
-      isSFL = (line.substr(44, 36).trim() === 'SFL')
-      rcdFmt = line.substr(18, 10).trimRight()
-      rcdFmtObj = formats.filter(x => x.screen['record format name'].toUpperCase() === rcdFmt)
-      boundFields = null
+  const skipLines = new Set()
+  const skip = (first, last) => {
+    for (let lineNumber = first; lineNumber <= last; lineNumber++) {
+      skipLines.add(lineNumber)
     }
+  }
 
+  for (const record of dds.records) {
     // Skip any Control Formats
-    if (line.substr(5, 2) === 'A ' && line.substr(44, 10) === htmlOpen + 'QPUI') {
-      while (srcLines[srcIdx].substr(79, 1) === '-') {
-        srcIdx++
+    for (const field of record.fields) {
+      for (const keyword of field.keywords) {
+        if (keyword.name === 'HTML' && typeof keyword.literal === 'string' && keyword.literal.startsWith('QPUI')) {
+          skip(keyword.lineNumber, keyword.endLineNumber)
+        }
       }
-      continue
     }
 
-    // Skip any Screen Formats
-    if (!isSFL && line.substr(5, 2) === 'A ' && line.substr(44, 7) === htmlOpen + '{') {
-      for (; srcIdx < srcLines.length; srcIdx++) {
-        if (srcLines[srcIdx].substr(5, 2) === 'A ' &&
-          srcLines[srcIdx].substr(79, 1) !== '-' &&
-          srcLines[srcIdx + 1].substr(44, 6) !== htmlOpen) {
-          let tempText = srcLines[srcIdx - 1].substring(44, 79) + srcLines[srcIdx].substring(44, 80)
-          let endPos = tempText.lastIndexOf(`}')`)
-          if (endPos !== -1) {
-            boundFields = await getBoundFields(rcdFmtObj[0])
-            break
-          }
-        }
-      }
-    } else {
-      if (line !== '' && line.substr(5, 4) !== 'A*%%') {
-        if (boundFields && line.substr(5, 2) === 'A ' && line.substr(37, 1) === 'H') {
-          let fieldName = line.substr(18, 10).trimRight()
-          let x = boundFields.indexOf(fieldName)
-          if (x !== -1) {
-            continue
-          }
-        }
-        // eslint-disable-next-line no-control-regex
-        returnDds.push(line.replace(/[\x00-\x09\x0B-\x1F\x7F-\x9F]/g, ' ').trimRight())
-      }
+    // Skip any Screen Formats, and the Hidden fields bound in them
+    const sections = record.keywords.some(keyword => keyword.name === 'SFL') ? [] : getHtmlSections(record)
+    if (sections.length > 0) {
+      sections.forEach(section => skip(section.lineNumber, section.endLineNumber))
+      const boundFields = getBoundFields(formats.find(x => x.screen['record format name'].toUpperCase() === record.name))
+      record.fields
+        .filter(field => field.usage === 'H' && boundFields.includes(field.name))
+        .forEach(field => skip(field.lineNumber, field.endLineNumber))
     }
   }
-  return returnDds
+
+  return dds.lines
+    .filter(line => !skipLines.has(line.lineNumber) && !['blank', 'sda'].includes(line.kind))
+    // eslint-disable-next-line no-control-regex
+    .map(line => srcLines[line.lineNumber - 1].replace(/[\x00-\x09\x0B-\x1F\x7F-\x9F]/g, ' ').trimRight())
 }
 
 /**
  * @description Main function to convert the DDS source member to JSON.
- * @param {String} outDir The Output directory to create the JSON file in.
- * @param {String} srcFile The Source File name. This can be a path-based name, or
- *                         a Source Physical File name used in conjunction with the srcLib and srcMbr parameters.
- * @param {String} [srcLib] (Optional) The Library containing the Source File.
- * @param {String} [srcMbr] (Optional) The Source Member name.
- * @returns {Promise<String>} The output JSON file name, or the error message if we reject.
+ * @param {Object} options The conversion options.
+ * @param {String} [options.outDir] (Optional) The Output directory to create the JSON file in.
+ *                                  If not specified, the JSON is only returned in memory.
+ * @param {String} options.srcFile The Source File name. This can be a path-based name, or
+ *                                 a Source Physical File name used in conjunction with the srcLib and srcMbr options.
+ * @param {String} [options.srcLib] (Optional) The Library containing the Source File.
+ * @param {String} [options.srcMbr] (Optional) The Source Member name.
+ * @param {Boolean} [options.lcNames=false] (Optional) Convert all record format and field names to lowercase.
+ * @param {Boolean} [options.overwrite=false] (Optional) Allow an existing Output JSON file to be over-written.
+ * @param {String} [options.encoding] (Optional) The encoding of a path-based Input file, like 'utf8' or 'ibm-037'.
+ *                                    Detected from the file if not specified.
+ * @param {String} [options.text] (Optional) The Member text, instead of the text of the Member, or from the metadata
+ *                                kept next to a path-based Input file, see shared/sourceMetadata.js.
+ * @param {Boolean} [options.canonical=false] (Optional) Write canonical JSON, with a stable property order, see
+ *                                            shared/canonicalJson.js.
+ * @param {Boolean} [options.split=false] (Optional) Write a split Rich Display File, a directory holding a manifest
+ *                                        and one file per record format, see shared/splitLayout.js.
+ * @param {Boolean} [options.classic=false] (Optional) Convert a classic (5250) Display File, that has no HTML, into a
+ *                                          starting Rich Display JSON.
+ * @returns {Promise<Object>} The output JSON file name (or directory, for a split Rich Display File) and the dspf
+ *                            object, or the error message if we reject.
  * @since 1.0.0
  */
-const main = async (outDir, srcFile, srcLib, srcMbr, inUseLcNames) => {
+const main = async (options) => {
   try {
+    let { outDir, srcFile, srcLib, srcMbr, lcNames, overwrite, classic, encoding, text, canonical, split } = options
     logger.debug('main() started with : ', typeof outDir, 'outDir =', outDir, typeof srcFile, 'srcFile =', srcFile, typeof srcLib, 'srcLib =', srcLib, typeof srcMbr, 'srcMbr =', srcMbr)
     logger.info('Verifying parameters...\n')
-    let isValidParameters
+    let isDdsFile = false
+    let outFileName
     let parts
 
     // Check if the Input file is path-based or Lib/File/Mbr
@@ -312,14 +287,17 @@ const main = async (outDir, srcFile, srcLib, srcMbr, inUseLcNames) => {
       parts = parse(srcFile)
     }
     if (parts && parts.dir === '') {
-      srcFile = srcFile.toUpperCase()
-      if (typeof srcLib === 'string') srcLib = srcLib.toUpperCase()
-      if (typeof srcMbr === 'string') srcMbr = srcMbr.toUpperCase()
+      srcFile = normalizeName(srcFile)
+      if (typeof srcLib === 'string') srcLib = normalizeName(srcLib)
+      if (typeof srcMbr === 'string') srcMbr = normalizeName(srcMbr)
       isDdsFile = true
     }
 
-    isValidParameters = await validateParameters(outDir, srcFile, srcLib, srcMbr)
-      .then(() => true)
+    const isValidParameters = await validateParameters(outDir, srcFile, srcLib, srcMbr, isDdsFile, overwrite, split)
+      .then(rtnFileName => {
+        outFileName = rtnFileName
+        return true
+      })
       .catch(err => {
         logger.error('Parameter Validation failed : ', err)
       })
@@ -330,117 +308,219 @@ const main = async (outDir, srcFile, srcLib, srcMbr, inUseLcNames) => {
 
     logger.info('Converting DDS to JSON...\n')
 
-    let srcLines
-    if (isDdsFile) {
-      srcLines = await readIbmISrcMbr(srcFile, srcLib, srcMbr)
-        .then(source => source.split(CRLF))
-    } else {
-      srcLines = await fsPromises.readFile(srcFile, 'utf8')
-        .then(source => source.split(CRLF).map(srcLine => isNaN(Number.parseInt(srcLine.substr(0, 12))) ? srcLine : srcLine.substr(12)))
-    }
+    // Normalize the encoding, line endings, tabs and Sequence numbers and Dates, so that the DDS columns line up
+    const source = isDdsFile
+      ? decodeSource(await readIbmISrcMbr(srcFile, srcLib, srcMbr))
+      : await readSourceFile(srcFile, { encoding })
+    source.warnings.forEach(warning => logger.warn(warning))
+    logger.debug('main() read source as : ', describeFormat(source.format))
+    const srcLines = source.lines
+
+    const dds = parseDds(srcLines)
 
-    // Check that this is a Rich Display file
-    if (srcLines.findIndex(srcLine => srcLine.substr(44, 5) === 'HTML(') === -1) {
-      const errText = 'The Input source file is not a Rich Display File'
+    // Check that this is a Rich Display file, or convert the classic Display File if requested
+    const isRichDisplay = dds.records.some(record => record.fields.some(field => field.keywords.some(keyword => keyword.name === 'HTML')))
+    if (!isRichDisplay && !classic) {
+      const errText = 'The Input source file is not a Rich Display File, use the classic option to convert a 5250 Display File'
       return Promise.reject(errText)
     }
 
-    const dspf = {
-      text: isDdsFile ? await getIbmIMemberText(srcFile, srcLib, srcMbr) || '' : 'TODO - look for .ibmi properties',
-      formats: await getFormatsFromSrc(srcLines),
-      keywords: await getKeywordsFromSrc(srcLines)
+    let dspfFormats
+    if (isRichDisplay) {
+      dspfFormats = await getFormatsFromSrc(dds)
+    } else {
+      logger.info('Converting classic Display File to Rich Display formats...\n')
+      const classicDspf = classicDdsToFormats(dds)
+      classicDspf.warnings.forEach(warning => logger.warn(warning))
+      dspfFormats = classicDspf.formats
+    }
+
+    // The Member text and Source metadata come from the Member, or from the metadata kept next to an IFS file
+    const metadata = isDdsFile
+      ? await readMemberMetadata(srcFile, srcLib, srcMbr)
+      : await readSourceMetadata(srcFile)
+
+    let dspf = {
+      text: typeof text === 'string' ? text : metadata.text || '',
+      source: metadata.source,
+      formats: dspfFormats,
+      keywords: await getKeywordsFromSrc(dds)
     }
 
     if (dspf.keywords.includes('ALLINONE')) {
-      dspf.dds = await getDdsFromSrc(srcLines)
+      dspf.dds = await getDdsFromSrc(srcLines, dds, dspf.formats)
     }
 
     // If PUICVTDDS LCNAMES(*YES), convert all record format and field names to lowercase,
-    // to make the RDF work better in PJS in case-sensitive mode
-    if (inUseLcNames.toUpperCase() == "Y") {
-      var formats = dspf["formats"];
-      for (var i = 0; i < formats.length; i++) {
-        let screen = formats[i]["screen"];
-        screen["record format name"] = screen["record format name"].toLowerCase();
-        if (screen["design overlay formats"]) screen["design overlay formats"] = screen["design overlay formats"].toLowerCase();
-        if (screen["window reference"]) screen["window reference"] = screen["window reference"].toLowerCase();
-
-        // Process screen properties
-        for (var prop in screen) {
-          if (screen[prop] && typeof screen[prop]["fieldName"] === "string" && screen[prop]["dataType"] !== "expression") {
-            screen[prop]["fieldName"] = screen[prop]["fieldName"].toLowerCase();
-          }
-        }
-        // Process item properties
-        var items = formats[i]["items"];
-        for (var j = 0; j < items.length; j++) {
-          var item = items[j];
-          if (item["record format name"]) {
-            item["record format name"] = item["record format name"].toLowerCase();
-            item["id"] = item["id"].toLowerCase();
-          }
-          if (item["grid"]) {
-            item["grid"] = item["grid"].toLowerCase();
-          }
-          // lower-case id of bound field
-          if (typeof item["value"] == "object" && typeof item["value"]["fieldName"] === "string" && item["value"]["dataType"] !== "expression" && typeof item["id"] === "string" && item["id"].endsWith(item["value"]["fieldName"])) {
-            item["id"] = item["id"].toLowerCase();
-          }
-          // if an item's property has "fieldName", it needs to be lower-cased
-          for (var prop in item) {
-            if (item[prop] && typeof item[prop]["fieldName"] === "string" && item[prop]["dataType"] !== "expression") {
-              item[prop]["fieldName"] = item[prop]["fieldName"].toLowerCase();
-              if (typeof item[prop]["designValue"] === "string" && item[prop]["designValue"].startsWith("[")) {
-                item[prop]["designValue"] = item[prop]["designValue"].toLowerCase();
-              }
-            }
-          }
-        }
-      }
+    // to make the RDF work better in PJS in case-sensitive mode. The case mapping lets jsonToDds restore them
+    if (lcNames) {
+      dspf.lcNames = lowercaseNames(dspf)
+    }
+
+    // Never write JSON that jsonToDds can not read back
+    const problems = checkSchema(dspf)
+    if (problems.length > 0) {
+      throw Error(`The converted JSON is not a valid Rich Display File : ${problems.map(problem => `${problem.path} ${problem.message}`).join(', ')}.`)
     }
 
-    logger.info(`Writing output file : ${outFileName}\n`)
+    if (canonical) {
+      dspf = canonicalizeDspf(dspf)
+    }
 
-    await fsPromises.writeFile(outFileName, JSON.stringify(dspf, null, 2))
+    if (outFileName && split) {
+      logger.info(`Writing output directory : ${outFileName}\n`)
+      await writeSplitDspf(outFileName, dspf, { canonical })
+    } else if (outFileName) {
+      logger.info(`Writing output file : ${outFileName}\n`)
+      await fsPromises.writeFile(outFileName, stringifyDspf(dspf, canonical))
+    }
 
-    return outFileName
+    return { outFile: outFileName, dspf }
   } catch (error) {
     return Promise.reject(error)
   }
 }
 
-if (require.main.filename !== module.filename) {
+/**
+ * @description Prints the Conversion Summary for a batch of conversions.
+ * @param {Object} results The batch results, containing the inputCount, successCount and failDetails.
+ * @since 1.0.0
+ */
+const summary = (results) => {
+  console.log('\n')
+  logger.info('Conversion Summary\n')
+  logger.info(`${results.inputCount} Input Source files.`)
+  logger.info(`${results.successCount} conversion SUCCESS.`)
+  logger.error(`${results.failDetails.length} conversion FAILED.\n`)
+  let count = 0
+  for (const fail of results.failDetails) {
+    count += 1
+    logger.error(`Fail #${count} :`, fail.file)
+    logger.error(`${fail.err}`)
+  }
+}
+
+/**
+ * @description Converts a list of DDS sources one at a time, reporting the success/fail of each conversion.
+ * @param {Object[]} srcList The list of sources to convert, each containing the file, lib and mbr names.
+ * @param {Object} options The conversion options (outDir, lcNames, overwrite) to use for every source, see main().
+ * @returns {Promise<Object>} The batch results, containing the inputCount, successCount and failDetails.
+ * @since 1.0.0
+ */
+const convertList = async (srcList, options) => {
+  const results = { inputCount: srcList.length, successCount: 0, failDetails: [] }
+
+  for (const src of srcList) {
+    const srcName = src.lib ? `${src.lib}/${src.file}.${src.mbr}` : src.file
+    await main({ ...options, srcFile: src.file, srcLib: src.lib, srcMbr: src.mbr })
+      .then(() => {
+        results.successCount += 1
+        logger.info(`DDS file ${srcName} conversion SUCCESS.`)
+      })
+      .catch(err => {
+        results.failDetails.push({ file: srcName, err: err })
+        logger.error(`DDS file ${srcName} conversion FAILED.`)
+      })
+  }
+
+  return results
+}
+
+/**
+ * @description Processes generic file names for non-IBM i systems. It will create
+ *              a sorted list of the files matching the glob patterns, then convert each entry.
+ * @param {String | String[]} genericName The Input Source File name. This should be a path-based glob pattern, like
+ *                                        '/src/*.dspf', or several patterns, see shared/glob.js findFiles().
+ * @param {Object} options The conversion options (outDir, lcNames, overwrite) to use for every source, see main().
+ * @returns {Promise<Object>} The batch results, or the error message if we reject.
+ * @since 1.0.0
+ */
+const processGenericName = async (genericName, options) => {
+  logger.debug('processGenericName() started with :', { genericName: genericName, options: options })
+
+  const fileList = await getGenericFileList(genericName)
+  logger.debug('processGenericName() filtered file list', fileList)
+
+  return convertList(fileList.map(file => ({ file })), options)
+}
+
+/**
+ * @description Processes generic member names for IBM i systems. It will create
+ *              a list of Member entries matching the search criteria, then convert each entry.
+ * @param {String} fil The Input Source Physical File name.
+ * @param {String} lib The Input Library containing the Source File.
+ * @param {String} genericMbr The Input Source Member name, like 'ABC*' or '*'.
+ * @param {Object} options The conversion options (outDir, lcNames, overwrite) to use for every source, see main().
+ * @returns {Promise<Object>} The batch results, or the error message if we reject.
+ * @since 1.0.0
+ */
+const processIbmIGenericName = async (fil, lib, genericMbr, options) => {
+  logger.debug('processIbmIGenericName() started with :', { fil: fil, lib: lib, genericMbr: genericMbr, options: options })
+
+  fil = normalizeName(fil)
+  lib = normalizeName(lib)
+
+  const mbrList = await getIbmIMemberList(fil, lib, genericMbr)
+  logger.debug('processIbmIGenericName() received member list', mbrList)
+
+  return convertList(mbrList.map(mbr => ({ file: fil, lib, mbr })), options)
+}
+
+if (require.main !== module) {
 } else if (process.argv.includes('--help') || process.argv.includes('?')) {
   logger.info(`ddsToJson - This tool will convert an existing DDS source-based DSPF into JSON`)
   logger.info(`            format. This will allow you to realize many advantages over the`)
   logger.info(`            DDS version, such as performing mass Find/Replace changes in`)
   logger.info(`            your favorite Source editor, moving the screen to a Git repository, etc.\n`)
-  logger.info(`Usage : ddsToJson output-directory input-DDS-file [input-library] [input-member]`)
+  logger.info(`Usage : ddsToJson output-directory input-DDS-file [input-library] [input-member] [lowercase-names]\n`)
+  logger.info(`        lowercase-names 'Y' converts all record format and field names to lowercase.\n`)
+  logger.info(`Generic names will convert all the matching files in a single run, e.g.`)
+  logger.info(`        ddsToJson output-directory QDDSSRC MYLIB *`)
+  logger.info(`        ddsToJson output-directory '/src/*.dspf'`)
 } else if (process.argv.length > 7) {
   logger.error(`Too many parameters were specified.\n`)
-  logger.info(`Usage : ddsToJson output-directory input-DDS-file [input-library] [input-member]`)
+  logger.info(`Usage : ddsToJson output-directory input-DDS-file [input-library] [input-member] [lowercase-names]`)
 } else if (process.argv.length !== 4 && process.argv.length < 6) {
   logger.error(`Too few parameters were specified.\n`)
-  logger.info(`Usage : ddsToJson output-directory input-DDS-file [input-library] [input-member]`)
+  logger.info(`Usage : ddsToJson output-directory input-DDS-file [input-library] [input-member] [lowercase-names]`)
 } else {
   const outDirectory = process.argv[2]
   const inFil = process.argv[3]
   const inLib = process.argv[4]
   const inMbr = process.argv[5]
-  const inUseLcNames = process.argv[6]
+  const inUseLcNames = typeof process.argv[6] === 'string' && process.argv[6].toUpperCase() === 'Y'
+  const options = { outDir: outDirectory, lcNames: inUseLcNames, overwrite: true }
 
-  main(outDirectory, inFil, inLib, inMbr, inUseLcNames)
-    .then(result => {
-      if (isDdsFile) {
-        logger.info(`DDS file ${inLib.toUpperCase()}/${inFil.toUpperCase()}.${inMbr.toUpperCase()} was converted successfully.\n`)
-      } else {
-        logger.info(`DDS file ${inFil} was converted successfully.\n`)
+  // Is the Input file a Generic name ?
+  if (typeof inLib === 'string' && typeof inMbr === 'string' && inMbr.includes('*')) {
+    processIbmIGenericName(inFil, inLib, inMbr, options)
+      .then(results => summary(results))
+      .catch(err => {
+        logger.error(`${err}\n`)
+      })
+  } else if (typeof inLib === 'undefined' && isGlobPattern(inFil)) {
+    processGenericName(inFil, options)
+      .then(results => summary(results))
+      .catch(err => {
+        logger.error(`${err}\n`)
+      })
+  } else {
+    main({ ...options, srcFile: inFil, srcLib: inLib, srcMbr: inMbr })
+      .then(result => {
+        if (inLib) {
+          logger.info(`DDS file ${normalizeName(inLib)}/${normalizeName(inFil)}.${normalizeName(inMbr)} was converted successfully.\n`)
+        } else {
+          logger.info(`DDS file ${inFil} was converted successfully.\n`)
+        }
       }
-    }
-    )
-    .catch(err => {
-      logger.error(`${err}\n`)
-    })
+      )
+      .catch(err => {
+        logger.error(`${err}\n`)
+      })
+  }
 }
 
+exports.summary = summary
 exports.convert = main
+exports.convertGeneric = processGenericName
+exports.convertIbmIGeneric = processIbmIGenericName
@@ -1,13 +1,25 @@
-console.log(`\nThe following utilities are currently available...\n`)
+#!/usr/bin/env node
+'use strict'
 
-// List all the Utilities available in this repository here...
-console.log(`\t<utility-name>\t<utility-description>`)
-console.log(`\tverifyConvert\tVerifies the DDS->JSON and JSON->DDS conversion utils`)
-console.log(`\tddsToJson\tConverts a Display File from DDS to JSON`)
-console.log(`\tjsonToDds\tConverts a Rich-Display File from JSON format into DDS format`)
-// console.log(`\tmy-next-util\tmy-next-util-description`)
+if (require.main === module) {
+  require('./shared/cli').run(process.argv.slice(2))
+    .then(exitCode => {
+      process.exitCode = exitCode
+    })
+}
 
-console.log(`\nYou can see additional help on each utility using suffix "--help" or "?" ...\n`)
-console.log(`\tnode <utility-name> --help`)
-console.log(`or`)
-console.log(`\tnode <utility-name> ?\n`)
+// The utilities are loaded on first use, so the CLI only loads the utility it runs
+exports.ddsToJson = options => require('./ddsToJson').convert(options)
+exports.jsonToDds = options => require('./jsonToDds').convert(options)
+exports.verify = options => require('./verifyConvert').verify(options)
+exports.lint = options => require('./shared/dspfLint').lintFiles(options.inJsonFiles, options)
+exports.formatJson = options => require('./shared/canonicalJson').formatFiles(options.inJsonFiles, options)
+exports.splitJson = options => require('./shared/splitLayout').splitFile(options.inJson, options.outDir, options)
+exports.joinJson = options => require('./shared/splitLayout').joinFile(options.inDir, options.outFile, options)
+exports.mergeJson = options => require('./shared/dspfMerge').mergeFiles(options.baseFile, options.oursFile, options.theirsFile, options)
+exports.restoreMember = options => require('./shared/memberReplace').restoreIbmISrcMbr(options.srcFile, options.srcLib, options.srcMbr, options)
+exports.parseDds = srcLines => require('./shared/ddsParser').parseDds(srcLines)
+exports.setCommandRunner = (name, listingDir) => require('./shared/compile').setCommandRunner(name, listingDir)
+exports.setSourceSystem = (name, rootDir) => require('./shared/asyncUtils').setSourceSystem(name, rootDir)
+exports.setDBPoolSize = size => require('./shared/asyncUtils').setDBPoolSize(size)
+exports.closeConnections = () => require('./shared/asyncUtils').closeConnections()
@@ -3,7 +3,16 @@
 const { promises: fsPromises, constants } = require('fs')
 const { join, parse, sep } = require('path')
 const { tmpdir } = require('os')
-const { execSql, getIbmIMemberText, isValidLibrary, isValidDdsSourceFile, chunkData, readIbmISrcMbr } = require('./shared/asyncUtils')
+const { getIbmIMemberText, isValidLibrary, isValidDdsSourceFile, chunkData, writeIbmISrcMbr, normalizeName, removeTempDir } = require('./shared/asyncUtils')
+const { parseDds, getHtmlSections } = require('./shared/ddsParser')
+const { restoreNames } = require('./shared/nameCase')
+const { replaceIbmISrcMbr } = require('./shared/memberReplace')
+const { assignSeqDates, readIbmISrcMbrSource } = require('./shared/seqDates')
+const { compileDspf } = require('./shared/compile')
+const { checkSchema } = require('./shared/dspfLint')
+const { isEquivalentFormat } = require('./shared/canonicalJson')
+const { readDspf } = require('./shared/splitLayout')
+const { DEFAULT_FORMAT, encodeSource, readSourceFile, writeSourceFile, normalizeEncoding, normalizeLineEnding, describeFormat } = require('./shared/sourceText')
 const pino = require('pino')
 
 const logger = pino({
@@ -14,41 +23,6 @@ const logger = pino({
   level: process.env.LOG_LEVEL || 'info'
 })
 
-const CRLF = '\r\n'
-
-let isDdsFile = false
-
-/**
- * @description Writes to an IBM i source-physical file member.
- * @param {String} srcFile The Source-stream file in IFS.
- * @param {String} fil The Source physical-file to write to.
- * @param {String} lib The Library containing the Source-physical file.
- * @param {String} mbr The Source Member.
- * @param {String} mbrText The Source Member text.
- * @returns {Promise<String>} The stream of the source member.
- * @since 1.0.0
- */
-const writeIbmISrcMbr = async (srcFile, fil, lib, mbr, mbrText) => {
-  try {
-    logger.debug('writeIbmISrcMbr() started with : ', typeof srcFile, 'srcFile =', srcFile, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof mbrText, 'mbrText =', mbrText)
-    const outFile = `/QSYS.LIB/${lib}.LIB/${fil}.FILE/${mbr}.MBR`
-    logger.info('Writing output file : ', outFile)
-
-    let stmt = `CPYFRMSTMF FROMSTMF('${srcFile}') TOMBR('${outFile}') MBROPT(*ADD) STMFCCSID(1208)`
-    await execSql('CALL QCMDEXC(?)', stmt)
-
-    // Change Member Type
-    stmt = `CHGPFM FILE(${lib}/${fil}) MBR(${mbr}) SRCTYPE(DSPF) TEXT('${mbrText}')`
-    await execSql('CALL QCMDEXC(?)', stmt)
-
-    // Re-sequence file
-    stmt = `RGZPFM FILE(${lib}/${fil}) MBR(${mbr}) SRCOPT(*DATE *SEQNBR) SRCSEQ(0.01 0.01)`
-    await execSql('CALL QCMDEXC(?)', stmt)
-  } catch (error) {
-    return Promise.reject(error)
-  }
-}
-
 /**
  * @description Tests to see if the Source member exists in the Library and File that is passed.
  * @param {String} fil The Source File name.
@@ -60,7 +34,7 @@ const writeIbmISrcMbr = async (srcFile, fil, lib, mbr, mbrText) => {
 const isDdsMemberExist = async (fil, lib, mbr) => {
   logger.debug('isDdsMemberExist() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
   const err = await getIbmIMemberText(fil, lib, mbr)
-    .then(() => `Source Member '${mbr}' exists in file ${lib}/${fil}, and cannot be over-written.`)
+    .then(() => `Source Member '${mbr}' exists in file ${lib}/${fil}, and cannot be over-written unless replace is specified.`)
     .catch(() => null)
 
   if (err) {
@@ -70,45 +44,67 @@ const isDdsMemberExist = async (fil, lib, mbr) => {
 
 /**
  * @description Wrapper function to validate all the input parameters.
- * @param {String} inJsonFile The Input source file in JSON format.
- * @param {String} fil The Output File name.
+ * @param {String} inJsonFile The Input source file in JSON format, or the directory or manifest of a split Rich
+ *                            Display File.
+ * @param {String} [fil] The Output File name. If not specified, no file is written.
  * @param {String} [lib] The Library containing the Output Source File.
  * @param {String} [mbr] The Output Member name.
+ * @param {Boolean} isDdsFile True if the Output is a Lib/File/Mbr, false if it is path-based.
+ * @param {Object} [jsonObj] (Optional) The Input source object in JSON format, used instead of the Input source file.
+ * @param {Boolean} [overwrite] (Optional) Allow an existing path-based Output file to be over-written.
+ * @param {Boolean} [replace] (Optional) Allow an existing Output Member to be replaced.
+ * @param {Boolean} [compile] (Optional) Compile the Output Member.
  * @returns {Promise<String>} The error message if we reject, or the valid JSON data if valid.
  * @since 1.0.0
  */
-const validateParameters = async (inJsonFile, fil, lib, mbr) => {
-  logger.debug('validateParameters() started with : ', typeof inJsonFile, 'inJsonFile =', inJsonFile, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+const validateParameters = async (inJsonFile, fil, lib, mbr, isDdsFile, jsonObj, overwrite, replace, compile) => {
+  logger.debug('validateParameters() started with : ', typeof inJsonFile, 'inJsonFile =', inJsonFile, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof isDdsFile, 'isDdsFile =', isDdsFile)
   let err
   let validJsonFile
 
   // Check the Input JSON file
-  if (typeof inJsonFile === 'undefined') {
+  if (jsonObj && typeof jsonObj === 'object') {
+    validJsonFile = jsonObj
+  } else if (typeof inJsonFile === 'undefined') {
     err = `Input JSON File was not specified.\n`
   } else {
-    err = await fsPromises.readFile(inJsonFile, 'utf8')
-      .then(fileData => {
-        try {
-          validJsonFile = JSON.parse(fileData)
-        } catch (error) {
-          return `Input JSON file '${inJsonFile}' is not a valid JSON file.\n`
-        }
+    err = await readDspf(inJsonFile)
+      .then(dspf => {
+        validJsonFile = dspf
       })
-      .catch(() => {
-        return `Input JSON file '${inJsonFile}' must exist and you must have read permissions.\n`
+      .catch(error => {
+        if (['ENOENT', 'EACCES', 'EPERM'].includes(error.code)) {
+          return `Input JSON file '${inJsonFile}' must exist and you must have read permissions.\n`
+        }
+        return `Input JSON file '${inJsonFile}' could not be read : ${error.message}\n`
       })
   }
+  if (!err) {
+    const problems = checkSchema(validJsonFile)
+    if (problems.length > 0) {
+      err = `Input JSON ${inJsonFile ? `file '${inJsonFile}' ` : ''}is not a valid Rich Display File :\n` +
+        problems.map(problem => `  ${problem.path} : ${problem.message}\n`).join('')
+    }
+  }
   if (err) {
     return Promise.reject(err)
   }
 
-  // Verify output file
+  // Verify output file. No Output file means the DDS is only returned in memory
   if (typeof fil === 'undefined') {
-    err = `Output File Name was not specified.\n`
+    if (lib || mbr) {
+      err = `Output File Name was not specified.\n`
+    } else if (compile) {
+      err = `Output File Name was not specified, so there is no Member to compile.\n`
+    }
   } else {
     // Check if the Output file is path-based or a Lib/File/Mbr
     if (!isDdsFile) {
-      if (lib) {
+      if (replace) {
+        err = `Output File Name '${fil}' is a path-based name, so use overwrite instead of replace.\n`
+      } else if (compile) {
+        err = `Output File Name '${fil}' is a path-based name, so it cannot be compiled. Only an Output Member can be compiled.\n`
+      } else if (lib) {
         err = `Output File Name '${fil}' is a path-based name, so Output Library '${lib}' must not be specified.\n`
       } else if (mbr) {
         err = `Output File Name '${fil}' is a path-based name, so Output Member '${mbr}' must not be specified.\n`
@@ -127,6 +123,11 @@ const validateParameters = async (inJsonFile, fil, lib, mbr) => {
             .then(isNotExists => isNotExists ? null : fsPromises.access(fil, constants.W_OK))
             .catch(() => `Output File '${fil}' already exists, but you don't have write permissions.\n`)
         }
+        if (!err && !overwrite) {
+          err = await fsPromises.access(fil, constants.F_OK)
+            .then(() => `Output File '${fil}' already exists, and cannot be over-written unless overwrite is specified.\n`)
+            .catch(() => null)
+        }
       }
     } else if (typeof fil !== 'string') {
       err = `Output File Name is a mandatory value.\n`
@@ -138,7 +139,7 @@ const validateParameters = async (inJsonFile, fil, lib, mbr) => {
       } else {
         err = await isValidLibrary(lib)
           .then(() => isValidDdsSourceFile(fil, lib))
-          .then(() => isDdsMemberExist(fil, lib, mbr))
+          .then(() => replace ? null : isDdsMemberExist(fil, lib, mbr))
           .catch(error => error)
       }
     }
@@ -214,75 +215,344 @@ const htmlObjToDdsLines = async (htmlObj, htmlLineNum) => {
  *
  * @param {Object} newJsonSrcObj The Input new source object in JSON format.
  * @param {String[]} origSrcLines The Input DDS Source File of the Original source.
- * @returns {Promise<String[]>} The Output DDS lines array.
+ * @returns {Promise<Object>} The Output DDS lines array, and the index of each line in the Original source, or null
+ *                            for the lines of a changed HTML section.
  * @since 1.0.0
  */
 const conversionV1 = async (newJsonSrcObj, origSrcLines) => {
   logger.debug('conversionV1() started with : ', typeof newJsonSrcObj, 'newJsonSrcObj =', newJsonSrcObj, typeof origSrcLines, 'origSrcLines =', origSrcLines)
-  let ddsLines = []
-  let rcdFmt
-  const htmlOpen = `HTML('`
-  const rcdFmtOpen = 'A          R'
+  const ddsLines = []
+  const origins = []
+
+  // Find the HTML section of each Record Format, which will be replaced with the new input
+  const sections = new Map()
+  for (const record of parseDds(origSrcLines).records) {
+    for (const section of getHtmlSections(record)) {
+      sections.set(section.lineNumber, Object.assign(section, { rcdFmt: record.name }))
+    }
+  }
 
   for (let srcIdx = 0; srcIdx < origSrcLines.length; srcIdx++) {
-    const origSrcLine = origSrcLines[srcIdx]
+    const section = sections.get(srcIdx + 1)
 
-    if (origSrcLine.substr(5, 12) === rcdFmtOpen) {
-      rcdFmt = origSrcLine.substr(18, 10).trimRight().toUpperCase()
-      ddsLines.push(origSrcLine)
+    if (section) {
+      const formatObj = newJsonSrcObj.formats.find(x => x.screen['record format name'].toUpperCase() === section.rcdFmt)
+      if (!formatObj) {
+        throw Error(`Record Format ${section.rcdFmt} of the Original DDS source was not found in the JSON.`)
+      }
+      const htmlLineNum = String(section.line === null ? '' : section.line).padStart(3)
+      // Canonical JSON orders the properties its own way, so a format that is the same screen as the original is
+      // written from the original, with its property order
+      const origFormatObj = JSON.parse(section.json)
+      const htmlLines = await htmlObjToDdsLines(isEquivalentFormat(formatObj, origFormatObj) ? origFormatObj : formatObj, htmlLineNum)
+      const origHtmlLines = origSrcLines.slice(srcIdx, section.endLineNumber)
+      // An unchanged HTML section is still the original source
+      const isChanged = htmlLines.length !== origHtmlLines.length || htmlLines.some((line, idx) => line.trimRight() !== origHtmlLines[idx].trimRight())
+      ddsLines.push(...htmlLines)
+      origins.push(...htmlLines.map((line, idx) => isChanged ? null : srcIdx + idx))
+      srcIdx = section.endLineNumber - 1
+    } else {
+      // Otherwise, just write the output from the original file
+      ddsLines.push(origSrcLines[srcIdx])
+      origins.push(srcIdx)
+    }
+  }
+
+  return { ddsLines, origins }
+}
+
+/**
+ * @description Tests whether the Original DDS source has any HTML sections for ConversionV1 to replace. A classic
+ *              (5250) Display File has none, so ConversionV1 would write it back unchanged, without the JSON.
+ * @param {String[]} origSrcLines The Input DDS Source File of the Original source.
+ * @returns {Boolean} True if any Record Format has an HTML section.
+ * @since 1.0.0
+ */
+const hasHtmlSections = origSrcLines => parseDds(origSrcLines).records.some(record => getHtmlSections(record).length > 0)
+
+/**
+ * @description Formats a Record Format line in DDS format.
+ * @param {String} rcdFmt The Record Format name.
+ * @param {String} [keyword] (Optional) The Record-level keyword to add to the line.
+ * @returns {String} The Output DDS line.
+ * @since 1.0.0
+ */
+const rcdFmtToDdsLine = (rcdFmt, keyword) => {
+  const ddsLine = `     A          R ${rcdFmt.toUpperCase()}`
+  return keyword ? ddsLine.padEnd(44) + keyword : ddsLine
+}
+
+/**
+ * @description Formats a Hidden field definition in DDS format.
+ * @param {Object} field The Bound field object, containing the name, length, data type and decimals.
+ * @returns {String} The Output DDS line.
+ * @since 1.0.0
+ */
+const hiddenFieldToDdsLine = (field) => {
+  return '     A            ' +
+    field.name.padEnd(10) + ' ' +
+    (field.length ? String(field.length) : '').padStart(5) +
+    field.type +
+    (field.decimals !== null ? String(field.decimals) : '').padStart(2) +
+    'H'
+}
+
+/**
+ * @description Extracts the Bound field definitions from a list of JSON items or screen properties.
+ *              Indicators, expressions and references are not DDS fields, so they are ignored.
+ * @param {Object[]} objects The JSON objects (items, or the screen object) to search for Bound fields.
+ * @param {Object[]} [fields] (Optional) The Bound fields found so far, which will be added to.
+ * @returns {Object[]} The Bound fields array, in the order they were found.
+ * @since 1.0.0
+ */
+const getBoundFieldDefs = (objects, fields = []) => {
+  const dataTypes = {
+    char: 'A',
+    varchar: 'A',
+    boolean: 'A',
+    graphic: 'G',
+    zoned: 'S',
+    packed: 'S',
+    integer: 'S',
+    decimal: 'S',
+    floating: 'F',
+    date: 'L',
+    time: 'T',
+    timestamp: 'Z'
+  }
+
+  for (const obj of objects) {
+    for (const property in obj) {
+      if (!obj.hasOwnProperty(property)) continue
+      const binding = obj[property]
+      if (!binding || typeof binding !== 'object' || typeof binding.fieldName !== 'string') continue
+
+      const type = dataTypes[binding.dataType]
+      if (!type) continue
+
+      const name = binding.fieldName.toUpperCase()
+      const hasLength = !['L', 'T', 'Z'].includes(type)
+      const length = hasLength ? Number.parseInt(binding.dataLength) || 1 : null
+      const decimals = type === 'S' || type === 'F' ? Number.parseInt(binding.decPos) || 0 : null
+
+      const field = fields.find(x => x.name === name)
+      if (!field) {
+        fields.push({ name, type, length, decimals })
+      } else if (field.type !== type || (length && field.length !== length) || (decimals && field.decimals !== decimals)) {
+        logger.warn(`Field ${name} is bound more than once with different definitions, using ${field.length}${field.type}.`)
+      }
+    }
+  }
+  return fields
+}
+
+/**
+ * @description ConversionV2 - This is the second version of converting the JSON source file back into a DDS Source member.
+ *                             This version does not need the OLD DDS Source File/Member, as it will generate the
+ *                             complete DDS source from the JSON source file. It will write the File-level keywords,
+ *                             a Record Format per JSON format, the Hidden field definitions for all the Bound fields,
+ *                             and the HTML sections. This means that you can: -
+ *
+ *                               1) Add or Remove any Record Formats in the new source file.
+ *                               2) Add or remove any Bound fields in the new source file.
+ *
+ *                             Any grid items will generate a Subfile Record Format, containing the fields bound to
+ *                             the grid's columns, and the owning format will become the Subfile Control format.
+ *
+ *                             Set environment variable JSON_TO_DDS_CONVERSION_METHOD = '2' to convert with this method.
+ *
+ * @param {Object} newJsonSrcObj The Input new source object in JSON format.
+ * @returns {Promise<String[]>} The Output DDS lines array.
+ * @since 1.0.0
+ */
+const conversionV2 = async (newJsonSrcObj) => {
+  logger.debug('conversionV2() started with : ', typeof newJsonSrcObj, 'newJsonSrcObj =', newJsonSrcObj)
+  const kwdOpen = '     A                                      '
+  const ddsLines = []
+
+  // File-level keywords, using the original DDS lines for All-In-One files
+  if (Array.isArray(newJsonSrcObj.dds)) {
+    const firstRecord = parseDds(newJsonSrcObj.dds).records[0]
+    ddsLines.push(...newJsonSrcObj.dds.slice(0, firstRecord ? firstRecord.lineNumber - 1 : undefined))
+  } else {
+    for (const keyword of newJsonSrcObj.keywords || []) {
+      ddsLines.push(kwdOpen + keyword)
+    }
+  }
+
+  // Subfile Record Formats are written along with the grid that references them
+  const sflRcdFmts = newJsonSrcObj.formats
+    .flatMap(format => (format.items || []).filter(item => typeof item['record format name'] === 'string'))
+    .map(grid => grid['record format name'].toUpperCase())
+
+  for (const format of newJsonSrcObj.formats) {
+    const rcdFmt = format.screen['record format name']
+    const items = format.items || []
+
+    if (sflRcdFmts.includes(rcdFmt.toUpperCase())) {
       continue
     }
+    const grids = items.filter(item => typeof item['record format name'] === 'string')
 
-    // Is this is an object section, just replace it with new input
-    if (origSrcLine.substr(5, 2) === 'A ' && origSrcLine.substr(44, 7) === htmlOpen + '{') {
-      for (; srcIdx < origSrcLines.length; srcIdx++) {
-        // Skip through the continuation lines until...
-        if (origSrcLines[srcIdx].substr(5, 2) === 'A ' && origSrcLines[srcIdx].substr(79, 1) !== '-') {
-          // We reach end of source...
-          if (srcIdx === origSrcLines.length - 1) {
-            let formatObj = newJsonSrcObj.formats.filter(x => x.screen['record format name'].toUpperCase() === rcdFmt)
-            const htmlLineNum = origSrcLine.substr(38, 3)
-            ddsLines.push(...await htmlObjToDdsLines(formatObj[0], htmlLineNum))
-            break
-          }
-          // Or end of Record Format, so check to make sure there isn't another HTML continuation
-          if (origSrcLines[srcIdx + 1].substr(44, 6) !== htmlOpen) {
-            let tempText = origSrcLines[srcIdx - 1].substring(44, 79) + origSrcLines[srcIdx].substring(44, 80)
-            let endPos = tempText.lastIndexOf(`}')`)
-            if (endPos !== -1) {
-              let formatObj = newJsonSrcObj.formats.filter(x => x.screen['record format name'].toUpperCase() === rcdFmt)
-              const htmlLineNum = origSrcLine.substr(38, 3)
-              ddsLines.push(...await htmlObjToDdsLines(formatObj[0], htmlLineNum))
-              break
-            }
-          }
-        }
+    if (grids.length > 1) {
+      logger.warn(`Record Format ${rcdFmt} has ${grids.length} grids, only grid ${grids[0].id} will be written as a Subfile.`)
+    }
+
+    const grid = grids[0]
+    if (grid) {
+      // The Subfile Record Format must immediately precede its Control format
+      const sflRcdFmt = grid['record format name'].toUpperCase()
+      const sflFormat = newJsonSrcObj.formats.find(x => x.screen['record format name'].toUpperCase() === sflRcdFmt)
+      const sflFields = sflFormat ? getBoundFieldDefs([sflFormat.screen, ...(sflFormat.items || [])]) : []
+      ddsLines.push(rcdFmtToDdsLine(sflRcdFmt, 'SFL'))
+      if (sflFormat) {
+        ddsLines.push(...await htmlObjToDdsLines(sflFormat, '  1'))
       }
+      getBoundFieldDefs(items.filter(item => item.grid === grid.id), sflFields)
+      ddsLines.push(...sflFields.map(hiddenFieldToDdsLine))
+
+      const sflPag = Math.max((Number.parseInt(grid['number of rows']) || 2) - (grid['has header'] === 'false' ? 0 : 1), 1)
+      ddsLines.push(rcdFmtToDdsLine(rcdFmt, `SFLCTL(${sflRcdFmt})`))
+      ddsLines.push(kwdOpen + `SFLSIZ(${String(sflPag + 1).padStart(4, '0')})`)
+      ddsLines.push(kwdOpen + `SFLPAG(${String(sflPag).padStart(4, '0')})`)
+      ddsLines.push(kwdOpen + 'SFLDSP')
+      ddsLines.push(kwdOpen + 'SFLDSPCTL')
     } else {
-      // Otherwise, just write the output from the original file
-      ddsLines.push(origSrcLine)
+      ddsLines.push(rcdFmtToDdsLine(rcdFmt))
     }
+
+    ddsLines.push(...await htmlObjToDdsLines(format, '  1'))
+
+    const fields = getBoundFieldDefs([format.screen])
+    getBoundFieldDefs(items.filter(item => !grid || item.grid !== grid.id), fields)
+    ddsLines.push(...fields.map(hiddenFieldToDdsLine))
   }
 
   return ddsLines
 }
 
+/**
+ * @description Retrieves the original DDS source, which is required for the V1 conversion method.
+ * @param {String} srcFilOrig The Original Source File name. This can be a path-based name, or
+ *                            a Source Physical File name used in conjunction with the srcLibOrig and srcMbrOrig parameters.
+ * @param {String} [srcLibOrig] The Original Library containing the Source File.
+ * @param {String} [srcMbrOrig] The Original Source Member name.
+ * @returns {Promise<Object>} The Original DDS source, see shared/sourceText.js decodeSource(), or the error message if
+ *                            we reject.
+ * @since 1.0.0
+ */
+const getOriginalDds = async (srcFilOrig, srcLibOrig, srcMbrOrig) => {
+  logger.debug('getOriginalDds() started with : ', typeof srcFilOrig, 'srcFilOrig =', srcFilOrig, typeof srcLibOrig, 'srcLibOrig =', srcLibOrig, typeof srcMbrOrig, 'srcMbrOrig =', srcMbrOrig)
+  let originalDds
+
+  if (typeof srcFilOrig !== 'string') {
+    throw Error(`The Original DDS source must be specified, to convert with V1.`)
+  } else if (typeof srcLibOrig === 'string') {
+    originalDds = await readIbmISrcMbrSource(srcFilOrig, srcLibOrig, srcMbrOrig)
+  } else {
+    originalDds = await readSourceFile(srcFilOrig)
+      .catch(() => Promise.reject(Error(`Original DDS file '${srcFilOrig}' must exist and you must have read permissions.`)))
+  }
+
+  originalDds.warnings.forEach(warning => logger.warn(warning))
+  return originalDds
+}
+
+/**
+ * @description Works out the encoding and line endings to write a path-based Output file with. These are the ones
+ *              requested, otherwise the ones of the Original DDS source, otherwise the ones of the existing Output file.
+ * @param {String} outFile The path-based Output file.
+ * @param {Object} [originalDds] (Optional) The Original DDS source, see getOriginalDds().
+ * @param {String} [encoding] (Optional) The requested encoding.
+ * @param {String} [lineEnding] (Optional) The requested line ending, 'crlf', 'lf' or 'cr'.
+ * @returns {Promise<Object>} The source format, see shared/sourceText.js decodeSource(), or the error message if we reject.
+ * @since 1.0.0
+ */
+const getOutputFormat = async (outFile, originalDds, encoding, lineEnding) => {
+  logger.debug('getOutputFormat() started with : ', typeof outFile, 'outFile =', outFile, typeof encoding, 'encoding =', encoding, typeof lineEnding, 'lineEnding =', lineEnding)
+  const format = Object.assign({}, originalDds ? originalDds.format : await readSourceFile(outFile)
+    .then(existing => existing.format)
+    .catch(() => DEFAULT_FORMAT))
+
+  if (typeof encoding === 'string') {
+    format.encoding = normalizeEncoding(encoding)
+    format.bom = false
+  }
+  if (typeof lineEnding === 'string') {
+    format.lineEnding = normalizeLineEnding(lineEnding)
+    format.recordLength = null
+  }
+  return format
+}
+
+/**
+ * @description Gets the Source type to create the Member with, from the Source metadata recorded by ddsToJson.
+ * @param {Object} newJsonSrcObj The JSON source object.
+ * @returns {String} The Source type, defaulting to DSPF.
+ * @since 1.0.0
+ */
+const getSourceType = newJsonSrcObj => {
+  const type = newJsonSrcObj.source && newJsonSrcObj.source.type
+  if (typeof type !== 'string') {
+    return 'DSPF'
+  } else if (!/^[A-Z][A-Z0-9]{0,9}$/i.test(type)) {
+    logger.warn(`Source type '${type}' is not valid, the Member will be created as DSPF.`)
+    return 'DSPF'
+  }
+  return type.toUpperCase()
+}
+
 /**
  * @description Main function to convert the JSON source file into a DDS Source member.
- * @param {String} inJson The Input source file in JSON format.
- * @param {String} srcFile The Output Source File name. This can be a path-based name, or
- *                         a Source Physical File name used in conjunction with the srcLib and srcMbr parameters.
- * @param {String} [srcLib] The Output Library containing the Source File.
- * @param {String} [srcMbr] The Output Source Member name.
- * @returns {Promise<String>} The error message if we reject.
+ * @param {Object} options The conversion options.
+ * @param {String} [options.inJson] The Input source file in JSON format, or the directory or manifest of a split Rich
+ *                                   Display File, see shared/splitLayout.js.
+ * @param {Object} [options.json] (Optional) The Input source object in JSON format, used instead of options.inJson.
+ * @param {String} [options.srcFile] (Optional) The Output Source File name. This can be a path-based name, or
+ *                                   a Source Physical File name used in conjunction with the srcLib and srcMbr options.
+ *                                   If not specified, the DDS is only returned in memory.
+ * @param {String} [options.srcLib] (Optional) The Output Library containing the Source File.
+ * @param {String} [options.srcMbr] (Optional) The Output Source Member name.
+ * @param {String} [options.srcFilOrig] (Optional) The Original DDS Source File name, required for V1. This can be a
+ *                                      path-based name, or a Source Physical File name used in conjunction with
+ *                                      the srcLibOrig and srcMbrOrig options.
+ * @param {String} [options.srcLibOrig] (Optional) The Original Library containing the Source File.
+ * @param {String} [options.srcMbrOrig] (Optional) The Original Source Member name.
+ * @param {String} [options.method] (Optional) The conversion method '1' or '2'. Defaults to
+ *                                  environment variable JSON_TO_DDS_CONVERSION_METHOD, or '1', or '2' if the Original
+ *                                  DDS source is a classic Display File without HTML sections.
+ * @param {Boolean} [options.overwrite=false] (Optional) Allow an existing path-based Output file to be over-written.
+ * @param {Boolean} [options.replace=false] (Optional) Allow an existing Output Member to be replaced. The new Member is
+ *                                          written and checked before the existing Member is backed up and replaced,
+ *                                          see shared/memberReplace.js replaceIbmISrcMbr().
+ * @param {String} [options.backupDir] (Optional) The directory to back up a replaced Member to.
+ * @param {String} [options.encoding] (Optional) The encoding of a path-based Output file, like 'utf8' or 'ibm-037'.
+ *                                    Defaults to the encoding of the Original DDS source, or of the existing Output file.
+ * @param {String} [options.lineEnding] (Optional) The line endings of a path-based Output file, 'crlf', 'lf' or 'cr'.
+ *                                      Defaults to the line endings of the Original DDS source, or of the existing
+ *                                      Output file.
+ * @param {Boolean} [options.keepSeqDates] (Optional) Keep the Sequence numbers and Dates of the lines taken unchanged
+ *                                         from the Original DDS source, and number and date the new lines into the
+ *                                         gaps, see shared/seqDates.js assignSeqDates(). These start each line of a
+ *                                         path-based Output file. Defaults to true if the Original DDS source has them,
+ *                                         otherwise an Output Member is renumbered and its Dates are cleared.
+ * @param {Boolean} [options.compile=false] (Optional) Compile the Output Member with CRTDSPF, see shared/compile.js
+ *                                          compileDspf(). A failed compile does not reject, its diagnostics are
+ *                                          returned.
+ * @param {String} [options.tgtLib] (Optional) The Library to create the display file in. Defaults to the Output Library.
+ * @param {Boolean} [options.compileReplace=true] (Optional) Replace an existing display file.
+ * @param {String} [options.compileOptions] (Optional) Any other CRTDSPF parameters, like 'RSTDSP(*YES)'.
+ * @returns {Promise<Object>} The output DDS file name (path-based output only), the DDS lines array, the backup file
+ *                            name of a replaced Member, and the compile result, or the error message if we reject.
  * @since 1.0.0
  */
-const main = async (inJson, srcFile, srcLib, srcMbr, srcFilOrig, srcLibOrig, srcMbrOrig) => {
+const main = async (options) => {
+  let { inJson, json, srcFile, srcLib, srcMbr, srcFilOrig, srcLibOrig, srcMbrOrig, method, overwrite, replace, backupDir, encoding, lineEnding, keepSeqDates, compile, tgtLib, compileReplace, compileOptions } = options
   logger.debug('main() started with : ', typeof inJson, 'inJson =', inJson, typeof srcFile, 'srcFile =', srcFile, typeof srcLib, 'srcLib =', srcLib, typeof srcMbr, 'srcMbr =', srcMbr)
   const CONVERT_METHOD = 'JSON_TO_DDS_CONVERSION_METHOD'
   try {
     logger.info('Verifying input parameters...\n')
-    let isValidParameters
+    let isDdsFile = false
     let parts
 
     // Check if the Output file is path-based or Lib/File/Mbr
@@ -290,15 +560,15 @@ const main = async (inJson, srcFile, srcLib, srcMbr, srcFilOrig, srcLibOrig, src
       parts = parse(srcFile)
     }
     if (parts && parts.dir === '') {
-      srcFile = srcFile.toUpperCase()
-      if (typeof srcLib === 'string') srcLib = srcLib.toUpperCase()
-      if (typeof srcMbr === 'string') srcMbr = srcMbr.toUpperCase()
+      srcFile = normalizeName(srcFile)
+      if (typeof srcLib === 'string') srcLib = normalizeName(srcLib)
+      if (typeof srcMbr === 'string') srcMbr = normalizeName(srcMbr)
       isDdsFile = true
     }
 
     let validJsonData
 
-    isValidParameters = await validateParameters(inJson, srcFile, srcLib, srcMbr)
+    const isValidParameters = await validateParameters(inJson, srcFile, srcLib, srcMbr, isDdsFile, json, overwrite, replace, compile)
       .then(rtnData => {
         validJsonData = rtnData
         return true
@@ -310,95 +580,125 @@ const main = async (inJson, srcFile, srcLib, srcMbr, srcFilOrig, srcLibOrig, src
 
     if (!isValidParameters) {
       return Promise.reject(Error(`One or more parameters failed validation, please check above messages and try again.`))
-    } else {
-      logger.info('Converting JSON to DDS...\n')
+    }
 
-      const newJsonSrcObj = validJsonData
+    logger.info('Converting JSON to DDS...\n')
 
-      // Retrieve the original DDS source for this conversion. Required for V1 conversion method.
-      let originalDds
-      let newDdsLines
+    let newJsonSrcObj = validJsonData
 
-      if (isDdsFile) {
-        const parts = parse(inJson).name.split('.')
-        // originalDds = await readIbmISrcMbr(parts[1], parts[0], parts[2])
-        originalDds = await readIbmISrcMbr(srcFilOrig, srcLibOrig, srcMbrOrig);
-      } else {
-        const originalDdsFile = process.env.JSON_TO_DDS_ORIGINAL_DDS_FILE
-        if (typeof originalDdsFile === 'string') {
-          originalDds = await fsPromises.readFile(originalDdsFile, 'utf8')
-            .catch(() => Promise.reject(Error(`Environment variable 'JSON_TO_DDS_ORIGINAL_DDS_FILE' is set but is not a valid file name.`)))
-        } else {
-          throw Error(`Environment variable 'JSON_TO_DDS_ORIGINAL_DDS_FILE' must be set to the location of the Original DDS file.`)
+    // Restore the original DDS names, if the JSON was converted with LCNAMES(*YES). This is done on a copy, as
+    // the JSON object may belong to the caller
+    if (newJsonSrcObj.lcNames) {
+      logger.info('Restoring the original DDS names of the lowercase names...\n')
+      newJsonSrcObj = JSON.parse(JSON.stringify(newJsonSrcObj))
+      restoreNames(newJsonSrcObj, newJsonSrcObj.lcNames)
+    }
+    let convertMethod = typeof method === 'undefined' ? process.env[CONVERT_METHOD] : method
+    let newDdsLines
+    let origins
+    let originalDds
+
+    if (typeof convertMethod !== 'undefined' && !['1', '2'].includes(convertMethod)) {
+      throw Error(`Conversion method has an unexpected value '${convertMethod}'.`)
+    }
+
+    // The JSON of a classic Display File, converted with the classic option, can only be written with V2, as its
+    // Original DDS source has no HTML sections to write the JSON into
+    if (convertMethod !== '2') {
+      originalDds = await getOriginalDds(srcFilOrig, srcLibOrig, srcMbrOrig)
+      if (!hasHtmlSections(originalDds.lines)) {
+        if (typeof convertMethod !== 'undefined') {
+          throw Error(`The Original DDS source is not a Rich Display File, so conversion method 1 would ignore the JSON. Use conversion method 2 (--method 2) to convert the JSON of a classic Display File.`)
         }
+        logger.warn('The Original DDS source is not a Rich Display File, so the JSON is converted with V2.')
+        convertMethod = '2'
       }
+    }
 
-      // Filter out any blank lines, and any source dates & line #'s
-      var originalDdsLines = originalDds.split(CRLF)
-        .map(srcLine => isNaN(Number.parseInt(srcLine.substr(0, 12))) ? srcLine : srcLine.substr(12))
-
-      switch (process.env[CONVERT_METHOD]) {
-        case undefined:
-          logger.info(`${CONVERT_METHOD} is not set, converting with V1...\n`)
-          newDdsLines = await conversionV1(newJsonSrcObj, originalDdsLines)
-          break
-        case '1':
-          logger.info(`${CONVERT_METHOD} is set to '1', converting with V1...\n`)
-          newDdsLines = await conversionV1(newJsonSrcObj, originalDdsLines)
-          break
-        default:
-          throw Error(`Environment Variable ${CONVERT_METHOD} has an unexpected value '${process.env[CONVERT_METHOD]}'.`)
-      }
+    if (convertMethod === '2') {
+      logger.info(`Converting with V2...\n`)
+      newDdsLines = await conversionV2(newJsonSrcObj)
+    } else {
+      logger.info(`Converting with V1...\n`)
+      const converted = await conversionV1(newJsonSrcObj, originalDds.lines)
+      newDdsLines = converted.ddsLines
+      origins = converted.origins
+    }
 
-      // Write the output file
-      if (isDdsFile) {
-        let outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
-          .then(result => result)
-          .catch(err => Promise.reject(err))
+    // Lines taken unchanged from the Original DDS source keep their Sequence numbers and Dates
+    let seqDates
+    if (typeof keepSeqDates === 'boolean' ? keepSeqDates : Boolean(originalDds && originalDds.seqDates)) {
+      seqDates = assignSeqDates(origins || newDdsLines.map(() => null), originalDds && originalDds.seqDates)
+    }
 
-        const parts = parse(inJson)
-        const outputFile = `${outDir}${sep}${parts.name}.dspf`
+    // Write the output file
+    if (isDdsFile) {
+      const outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
+      try {
+        const outputFile = `${outDir}${sep}${typeof inJson === 'string' ? parse(inJson).name : srcMbr.toLowerCase()}.dspf`
 
         logger.info(`Writing temp file ${outputFile} ...`)
-        await fsPromises.writeFile(outputFile, newDdsLines.join(CRLF))
+        await fsPromises.writeFile(outputFile, encodeSource(newDdsLines))
+
+        let backupFile
+        if (replace) {
+          logger.info(`Replacing output IBM i Source file ${srcLib}/${srcFile}.${srcMbr} ...`)
+          const replaced = await replaceIbmISrcMbr(outputFile, srcFile, srcLib, srcMbr,
+            { mbrText: newJsonSrcObj.text, srcType: getSourceType(newJsonSrcObj), expectedLines: newDdsLines, seqDates, backupDir })
+          backupFile = replaced.backupFile
+        } else {
+          logger.info(`Writing output IBM i Source file ${srcLib}/${srcFile}.${srcMbr} ...`)
+          await writeIbmISrcMbr(outputFile, srcFile, srcLib, srcMbr, newJsonSrcObj.text, getSourceType(newJsonSrcObj), seqDates)
+        }
 
-        logger.info(`Writing output IBM i Source file ${srcLib}/${srcFile}.${srcMbr} ...`)
-        await writeIbmISrcMbr(outputFile, srcFile, srcLib, srcMbr, newJsonSrcObj.text)
+        let compileResult
+        if (compile) {
+          compileResult = await compileDspf(srcFile, srcLib, srcMbr,
+            { tgtLib: typeof tgtLib === 'string' ? normalizeName(tgtLib) : srcLib, replace: compileReplace, compileOptions, ddsLines: newDdsLines })
+        }
 
-        return outputFile
-      } else {
-        logger.info(`Writing output file ${srcFile} ...`)
-        await fsPromises.writeFile(srcFile, newDdsLines.join(CRLF))
-        return srcFile
+        return { outFile: undefined, ddsLines: newDdsLines, backupFile, compile: compileResult }
+      } finally {
+        // The temp file was only needed to write the Member
+        await removeTempDir(outDir).catch(error => logger.warn(`Temp directory ${outDir} could not be removed : ${error.message}`))
       }
+    } else if (typeof srcFile === 'string') {
+      const format = await getOutputFormat(srcFile, originalDds, encoding, lineEnding)
+      logger.info(`Writing output file ${srcFile} as ${describeFormat(format)}${seqDates ? ', with Sequence numbers and Dates' : ''} ...`)
+      await writeSourceFile(srcFile, newDdsLines, format, seqDates)
+      return { outFile: srcFile, ddsLines: newDdsLines }
+    } else {
+      return { outFile: undefined, ddsLines: newDdsLines }
     }
   } catch (error) {
     return Promise.reject(error)
   }
 }
 
-if (require.main.filename !== module.filename) {
+if (require.main !== module) {
 } else if (process.argv.includes('--help') || process.argv.includes('?')) {
   logger.info(`jsonToDds - This tool will convert an existing JSON-based DSPF into DDS`)
   logger.info(`            format. This will allow you to convert a DSPF back to native`)
   logger.info(`            format for compile on IBM i.\n`)
-  logger.info(`Usage : jsonToDds input-JSON-file output-DDS-file [output-library] [output-member]`)
+  logger.info(`Usage : jsonToDds input-JSON-file output-DDS-file [output-library] [output-member] [original-DDS-file] [original-library] [original-member]\n`)
+  logger.info(`        original-DDS-file defaults to environment variable JSON_TO_DDS_ORIGINAL_DDS_FILE for path-based output.`)
 } else if (process.argv.length > 9) {
   logger.error(`Too many parameters were specified.\n`)
-  logger.info(`Usage : jsonToDds input-JSON-file output-DDS-file [output-library] [output-member]`)
+  logger.info(`Usage : jsonToDds input-JSON-file output-DDS-file [output-library] [output-member] [original-DDS-file] [original-library] [original-member]`)
 } else if (process.argv.length !== 4 && process.argv.length < 6) {
   logger.error(`Too few parameters were specified.\n`)
-  logger.info(`Usage : jsonToDds input-JSON-file output-DDS-file [output-library] [output-member]`)
+  logger.info(`Usage : jsonToDds input-JSON-file output-DDS-file [output-library] [output-member] [original-DDS-file] [original-library] [original-member]`)
 } else {
   const inJsonFile = process.argv[2]
   const outFil = process.argv[3]
   const outLib = process.argv[4]
   const outMbr = process.argv[5]
-  const srcFilOrig = process.argv[6];
-  const srcLibOrig = process.argv[7];
-  const srcMbrOrig = process.argv[8];
+  // For path-based output, the Original DDS file can be set in the environment instead
+  const srcFilOrig = process.argv[6] || (outLib ? undefined : process.env.JSON_TO_DDS_ORIGINAL_DDS_FILE)
+  const srcLibOrig = process.argv[7]
+  const srcMbrOrig = process.argv[8]
 
-  main(inJsonFile, outFil, outLib, outMbr, srcFilOrig, srcLibOrig, srcMbrOrig)
+  main({ inJson: inJsonFile, srcFile: outFil, srcLib: outLib, srcMbr: outMbr, srcFilOrig, srcLibOrig, srcMbrOrig, overwrite: true })
     .then(result =>
       logger.info(`JSON file ${inJsonFile} was converted successfully.\n`)
     )
@@ -1,9 +1,9 @@
 'use strict'
 
-const { join, sep } = require('path')
-const { type, tmpdir } = require('os')
 const { promises: fsPromises } = require('fs')
 const pino = require('pino')
+const { normalizeName } = require('./sourceSystems/names')
+const { findFiles } = require('./glob')
 
 const logger = pino({
   prettyPrint: {
@@ -13,58 +13,91 @@ const logger = pino({
   level: process.env.LOG_LEVEL || 'info'
 })
 
+let sourceSystem
+
 /**
- * @description Gets a new DBPool object.
- * @returns {Promise<Object>} The DBPool object.
+ * @description Selects the Source System that the IBM i Library, Source File and Member functions will use.
+ *              'db2' uses DB2 for i and QCMDEXC on IBM i. 'local' maps a local directory tree onto
+ *              Libraries, Source Files and Members, so the Lib/File/Mbr functions can run off the box.
+ * @param {String} name The Source System name, 'db2' or 'local'.
+ * @param {String} [rootDir] The root directory containing the Library directories. Required for 'local'.
+ * @returns {Object} The selected Source System object.
  * @since 1.0.0
  */
-const getDBPool = async () => {
-  logger.debug('getDBPool() started with : ')
-
-  const { DBPool } = require('idb-pconnector')
+const setSourceSystem = (name, rootDir) => {
+  logger.debug('setSourceSystem() started with : ', typeof name, 'name =', name, ', ', typeof rootDir, 'rootDir =', rootDir)
+
+  switch (name) {
+    case 'db2':
+      sourceSystem = require('./sourceSystems/db2')
+      break
+    case 'local':
+      if (typeof rootDir !== 'string' || rootDir === '') {
+        throw Error(`Source System 'local' requires a root directory.`)
+      }
+      sourceSystem = require('./sourceSystems/local').createSourceSystem(rootDir)
+      break
+    default:
+      throw Error(`Source System has an unexpected value '${name}'.`)
+  }
 
-  const database = { url: '*LOCAL' }
-  const config = { incrementSize: 2, debug: process.env.LOG_LEVEL === 'debug' }
+  return sourceSystem
+}
 
-  return new DBPool(database, config)
+/**
+ * @description Gets the selected Source System. If none has been selected, environment variables
+ *              PROFOUND_UTILS_SOURCE_SYSTEM and PROFOUND_UTILS_SOURCE_ROOT are used, defaulting to 'db2'.
+ * @returns {Object} The selected Source System object.
+ * @since 1.0.0
+ */
+const getSourceSystem = () => {
+  if (!sourceSystem) {
+    setSourceSystem(process.env.PROFOUND_UTILS_SOURCE_SYSTEM || 'db2', process.env.PROFOUND_UTILS_SOURCE_ROOT)
+  }
+  return sourceSystem
 }
 
 /**
- * @description Directly execute a statement by providing the SQL to the runSql() function.
+ * @description Tests to see if the selected Source System can be used on this machine.
+ * @returns {Boolean} True if the Lib/File/Mbr functions can be used.
+ * @since 1.0.0
+ */
+const isSourceSystemAvailable = () => getSourceSystem().isAvailable()
+
+/**
+ * @description Directly execute a statement on DB2 for i, see sourceSystems/db2.js.
  * @param {String} inSql The SQL statement to run (not for CALL of stored procedures).
  * @returns {Promise<String | Object>} The SQL results.
  * @since 1.0.0
  */
-const runSql = async inSql => {
-  logger.debug('runSql() started with : ', typeof inSql, 'inSql =', inSql)
-
-  const pool = await getDBPool()
-
-  return pool.runSql(inSql)
-}
+const runSql = async inSql => require('./sourceSystems/db2').runSql(inSql)
 
 /**
- * @description Prepare and execute an SQL statement.
+ * @description Prepare and execute an SQL statement on DB2 for i, see sourceSystems/db2.js.
  * @param {String} inSql The SQL statement to prepare & execute.
- * @param {String | [String]} inParams The SQL parameters to be passed. The order of the parameters indexed in the array should map to the order of the parameter markers.
+ * @param {String | [String]} inParams The SQL parameters to be passed.
  * @returns {Promise<String | Object>} The SQL results.
  * @since 1.0.0
  */
-const execSql = async (inSql, inParams) => {
-  logger.debug('execSql() started with : ', typeof inSql, 'inSql =', inSql, ', ', typeof inParams, 'inParams =', inParams)
+const execSql = async (inSql, inParams) => require('./sourceSystems/db2').execSql(inSql, inParams)
 
-  const pool = await getDBPool()
-
-  let params
-  if (typeof inParams === 'string') {
-    params = [inParams]
-  }
+/**
+ * @description Sets the number of DB2 for i connections shared by this process, see sourceSystems/db2.js.
+ * @param {Number} size The pool size.
+ * @since 1.0.0
+ */
+const setDBPoolSize = size => require('./sourceSystems/db2').setDBPoolSize(size)
 
-  return pool.prepareExecute(inSql, params)
-}
+/**
+ * @description Closes the DB2 for i connections shared by this process, if any were opened. Call this once all
+ *              the work is done, so the connection jobs end.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const closeConnections = async () => require('./sourceSystems/db2').closeDBPool()
 
 /**
- * @description Reads an IBM i source-physical file member.
+ * @description Reads an IBM i source-physical file member, using the selected Source System.
  * @param {String} fil The Source-physical file.
  * @param {String} lib The Library containing the Source-physical file.
  * @param {String} mbr The source Member.
@@ -73,149 +106,140 @@ const execSql = async (inSql, inParams) => {
  * @returns {Promise<String>} The stream of the source member.
  * @since 1.0.0
  */
-const readIbmISrcMbr = async (fil, lib, mbr, rtnFormat) => {
-  try {
-    logger.debug('readIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr, ', ', typeof rtnFormat, 'rtnFormat =', rtnFormat)
-
-    // Check if this is IBM i
-    if (type() !== 'OS400') {
-      throw Error('readIbmISrcMbr() can only be called on IBM i.')
-    }
-
-    lib = lib.toUpperCase()
-    fil = fil.toUpperCase()
-    mbr = mbr.toUpperCase()
+const readIbmISrcMbr = async (fil, lib, mbr, rtnFormat) => getSourceSystem().readIbmISrcMbr(fil, lib, mbr, rtnFormat)
 
-    // Copy the Member to a temp stream file
-    const outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
-
-    const ifsStreamFile = `${outDir}${sep}${lib}.${fil}.${mbr}.dspf`
-
-    const srcFile = lib + '/' + fil + ' ' + mbr
-
-    const cpyStmt = `CPYTOIMPF FROMFILE(${srcFile}) TOSTMF('${ifsStreamFile}') MBROPT(*REPLACE) FROMCCSID(*FILE) STMFCCSID(1208) RCDDLM(*CRLF) DTAFMT(*FIXED) RMVBLANK(*EOR)`
-
-    await execSql('CALL QCMDEXC(?)', cpyStmt)
+/**
+ * @description Reads the Sequence numbers and Dates of an IBM i source-physical file member, using the selected
+ *              Source System.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<String[]>} The Sequence number and Date of each line, like '000100200131'.
+ * @since 1.0.0
+ */
+const readIbmISrcMbrSeqDates = async (fil, lib, mbr) => getSourceSystem().readIbmISrcMbrSeqDates(fil, lib, mbr)
 
-    if (typeof rtnFormat === 'string' && rtnFormat === 'file') {
-      return ifsStreamFile
-    } else {
-      const streamData = await fsPromises.readFile(ifsStreamFile, 'utf8')
+/**
+ * @description Writes to an IBM i source-physical file member, using the selected Source System.
+ * @param {String} srcFile The Source-stream file in IFS.
+ * @param {String} fil The Source physical-file to write to.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String} mbrText The Source Member text.
+ * @param {String} [srcType='DSPF'] (Optional) The Source type.
+ * @param {String[]} [seqDates] (Optional) The Sequence number and Date of each line. If not specified, the lines are
+ *                              renumbered and the Dates are cleared.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const writeIbmISrcMbr = async (srcFile, fil, lib, mbr, mbrText, srcType = 'DSPF', seqDates) => getSourceSystem().writeIbmISrcMbr(srcFile, fil, lib, mbr, mbrText, srcType, seqDates)
 
-      fsPromises.unlink(ifsStreamFile)
-        .then(x => fsPromises.rmdir(outDir))
+/**
+ * @description Removes an IBM i source-physical file member, using the selected Source System.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member to remove.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const removeIbmISrcMbr = async (fil, lib, mbr) => getSourceSystem().removeIbmISrcMbr(fil, lib, mbr)
 
-      return streamData
-    }
-  } catch (error) {
-    return Promise.reject(error)
-  }
-}
+/**
+ * @description Renames an IBM i source-physical file member, using the selected Source System.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member to rename.
+ * @param {String} newMbr The new Source Member name, which must not exist.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const renameIbmISrcMbr = async (fil, lib, mbr, newMbr) => getSourceSystem().renameIbmISrcMbr(fil, lib, mbr, newMbr)
 
 /**
- * @description Gets a list of IBM i Members for Generic searches.
+ * @description Gets a list of IBM i Members for Generic searches, using the selected Source System.
  * @param {String} fil The Source-physical file.
  * @param {String} lib The Library containing the Source-physical file.
  * @param {String} mbr The Source Member names to search for. This expects a name like 'ABC*'.
  * @returns {Promise<String[]>} Array of Member names matching the supplied IBM i member name.
  * @since 1.0.0
  */
-const getIbmIMemberList = async (fil, lib, mbr) => {
-  try {
-    logger.debug('getIbmIMemberList() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
-
-    lib = lib.toUpperCase()
-    fil = fil.toUpperCase()
-    mbr = mbr.toUpperCase()
-
-    const sqlStmt = `select rtrim(system_table_member) as member from QSYS2.SYSPARTITIONSTAT where ` +
-      `system_table_schema = '${lib}' and ` +
-      `system_table_name = '${fil}' and ` +
-      `system_table_member like '${mbr.replace('*', '%')}' ` +
-      'order by system_table_member'
-
-    const result = await runSql(sqlStmt)
-    if (result.length === 0) {
-      return []
-    } else {
-      return result.flatMap(arr => arr.MEMBER)
-    }
-  } catch (error) {
-    return Promise.reject(error)
-  }
-}
+const getIbmIMemberList = async (fil, lib, mbr) => getSourceSystem().getIbmIMemberList(fil, lib, mbr)
+
+/**
+ * @description Gets the IBM i Member text, Source type and CCSID, using the selected Source System.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<Object>} The Member text, Source type and CCSID, or null if the Member was not found.
+ * @since 1.0.0
+ */
+const getIbmIMemberInfo = async (fil, lib, mbr) => getSourceSystem().getIbmIMemberInfo(fil, lib, mbr)
 
 /**
- * @description Gets the IBM i Member text.
+ * @description Gets the IBM i Member text, using the selected Source System.
  * @param {String} fil The Source-physical file.
  * @param {String} lib The Library containing the Source-physical file.
  * @param {String} mbr The source Member.
  * @returns {Promise<String>} The Member Text for the supplied IBM i member.
  * @since 1.0.0
  */
-const getIbmIMemberText = async (fil, lib, mbr) => {
-  try {
-    logger.debug('getIbmIMemberText() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
-
-    lib = lib.toUpperCase()
-    fil = fil.toUpperCase()
-    mbr = mbr.toUpperCase()
-
-    const sqlStmt = `select PARTITION_TEXT from QSYS2.SYSPARTITIONSTAT where ` +
-      `system_table_schema = '${lib}' and ` +
-      `system_table_name = '${fil}' and ` +
-      `system_table_member = '${mbr}'`
-
-    const result = await runSql(sqlStmt)
-    if (result.length === 0) {
-      return Promise.reject(Error(`Unable to retrieve Member Text for ${lib}/${fil}.${mbr}.`))
-    } else {
-      return result[0].PARTITION_TEXT
-    }
-  } catch (error) {
-    return Promise.reject(error)
-  }
-}
+const getIbmIMemberText = async (fil, lib, mbr) => getSourceSystem().getIbmIMemberText(fil, lib, mbr)
 
 /**
- * @description Tests to see if the Source member exists in the Library and File that is passed.
+ * @description Gets the IBM i Member Source type, using the selected Source System.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<String>} The Source type for the supplied IBM i member, like 'DSPF'.
+ * @since 1.0.0
+ */
+const getIbmIMemberType = async (fil, lib, mbr) => getSourceSystem().getIbmIMemberType(fil, lib, mbr)
+
+/**
+ * @description Tests to see if this is a valid Source file name or not, using the selected Source System.
  * @param {String} fil The Source File name.
  * @param {String} lib The Library containing the Source File.
- * @param {String} mbr The Source member name to verify.
  * @returns {Promise<String>} The error message if we reject.
  * @since 1.0.0
  */
-const isValidDdsMember = async (fil, lib, mbr) => {
-  logger.debug('isValidDdsMember() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+const isValidDdsSourceFile = async (fil, lib) => getSourceSystem().isValidDdsSourceFile(fil, lib)
 
-  const err = await getIbmIMemberText(fil, lib, mbr)
-    .then(() => null)
-    .catch(() => `Source Member '${mbr}' not found in file ${lib}/${fil}.`)
+/**
+ * @description Tests to see if this is a valid Library name or not, using the selected Source System.
+ * @param {String} lib The Library containing the Source File.
+ * @returns {Promise<String>} The error message if we reject.
+ * @since 1.0.0
+ */
+const isValidLibrary = async lib => getSourceSystem().isValidLibrary(lib)
 
-  if (err) {
-    return Promise.reject(err)
-  }
+/**
+ * @description Gets a list of IFS files for Generic searches, see glob.js findFiles().
+ * @param {String | String[]} genericName The path-based file names to search for. This expects a glob pattern like
+ *                                        '/src/ABC*.dspf' or 'screens/**\/*.dspf', or several patterns, where
+ *                                        patterns starting with '!' exclude files.
+ * @returns {Promise<String[]>} Sorted array of path-based file names matching the supplied generic name.
+ * @since 1.0.0
+ */
+const getGenericFileList = async genericName => {
+  logger.debug('getGenericFileList() started with : ', typeof genericName, 'genericName =', genericName)
+
+  return findFiles(genericName)
 }
 
 /**
- * @description Tests to see if this is a valid Source file name or not.
+ * @description Tests to see if the Source member exists in the Library and File that is passed.
  * @param {String} fil The Source File name.
  * @param {String} lib The Library containing the Source File.
+ * @param {String} mbr The Source member name to verify.
  * @returns {Promise<String>} The error message if we reject.
  * @since 1.0.0
  */
-const isValidDdsSourceFile = async (fil, lib) => {
-  logger.debug('isValidDdsSourceFile() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib)
-
-  const sqlStmt = `select 1 from QSYS2.SYSTABLES ` +
-    `where SYSTEM_TABLE_SCHEMA = '${lib}' ` +
-    `and SYSTEM_TABLE_NAME = '${fil}'` +
-    `and FILE_TYPE = 'S' ` +
-    `fetch first 1 rows only`
+const isValidDdsMember = async (fil, lib, mbr) => {
+  logger.debug('isValidDdsMember() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
 
-  const err = await runSql(sqlStmt)
-    .then(result => result.length === 0 ? `Source File '${fil}' not found in Library '${lib}'.` : null)
-    .catch(error => error)
+  const err = await getIbmIMemberText(fil, lib, mbr)
+    .then(() => null)
+    .catch(() => `Source Member '${mbr}' not found in file ${lib}/${fil}.`)
 
   if (err) {
     return Promise.reject(err)
@@ -223,25 +247,18 @@ const isValidDdsSourceFile = async (fil, lib) => {
 }
 
 /**
- * @description Tests to see if this is a valid Library name or not.
- * @param {String} lib The Library containing the Source File.
- * @returns {Promise<String>} The error message if we reject.
+ * @description Removes a temp directory and everything in it. A directory that is already gone is ignored.
+ * @param {String} dir The directory to remove.
+ * @returns {Promise<void>} The error message if we reject.
  * @since 1.0.0
  */
-const isValidLibrary = async lib => {
-  logger.debug('isValidLibrary() started with : ', typeof lib, 'lib =', lib)
-
-  const sqlStmt = `select 1 from QSYS2.SYSSCHEMAS ` +
-    `where SYSTEM_SCHEMA_NAME = '${lib}' ` +
-    `fetch first 1 rows only`
-
-  const err = await runSql(sqlStmt)
-    .then(result => result.length === 0 ? `Library '${lib}' not found on this system.` : null)
-    .catch(error => error)
+const removeTempDir = async dir => {
+  logger.debug('removeTempDir() started with : ', typeof dir, 'dir =', dir)
 
-  if (err) {
-    return Promise.reject(err)
-  }
+  // fsPromises.rm() is not in older Node.js versions, which remove directories recursively with rmdir() instead
+  return fsPromises.rm
+    ? fsPromises.rm(dir, { recursive: true, force: true })
+    : fsPromises.rmdir(dir, { recursive: true })
 }
 
 /**
@@ -288,10 +305,24 @@ const chunkData = async (data, bytes) => {
 
 exports.runSql = runSql
 exports.execSql = execSql
+exports.setDBPoolSize = setDBPoolSize
+exports.closeConnections = closeConnections
+exports.setSourceSystem = setSourceSystem
+exports.getSourceSystem = getSourceSystem
+exports.isSourceSystemAvailable = isSourceSystemAvailable
 exports.readIbmISrcMbr = readIbmISrcMbr
+exports.readIbmISrcMbrSeqDates = readIbmISrcMbrSeqDates
+exports.writeIbmISrcMbr = writeIbmISrcMbr
+exports.removeIbmISrcMbr = removeIbmISrcMbr
+exports.renameIbmISrcMbr = renameIbmISrcMbr
+exports.getIbmIMemberInfo = getIbmIMemberInfo
 exports.getIbmIMemberText = getIbmIMemberText
+exports.getIbmIMemberType = getIbmIMemberType
 exports.isValidDdsMember = isValidDdsMember
 exports.isValidDdsSourceFile = isValidDdsSourceFile
 exports.isValidLibrary = isValidLibrary
 exports.getIbmIMemberList = getIbmIMemberList
+exports.getGenericFileList = getGenericFileList
+exports.removeTempDir = removeTempDir
 exports.chunkData = chunkData
+exports.normalizeName = normalizeName
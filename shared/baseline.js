@@ -0,0 +1,165 @@
+'use strict'
+
+const { createHash } = require('crypto')
+const { promises: fsPromises } = require('fs')
+const { describeDifferences } = require('./jsonDiff')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+const BASELINE_VERSION = 1
+
+// The baseline classifications of a verification result
+const PASSED = 'passed'
+const KNOWN_FAILURE = 'known failure'
+const NEW_FAILURE = 'new failure'
+const FIXED = 'fixed'
+
+// The parts of an error message that change on every run: temp directories, process ids and timestamps
+const VOLATILE_TOKENS = [
+  [/(?:[^\s'"`(]*[\\/])?profound-utils-\w{6}\b/g, '<temp>'],
+  [/\bpid[ =:]*\d+/gi, 'pid <pid>'],
+  [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?|\b\d{8}T\d{9}Z/g, '<timestamp>']
+]
+
+/**
+ * @description Removes the parts of an error message that change on every run, like the temp directory and process
+ *              id, so the same failure has the same message.
+ * @param {String} message The error message.
+ * @returns {String} The message, with each volatile part replaced by a placeholder like '<temp>'.
+ * @since 1.0.0
+ */
+const normalizeErrorMessage = message => VOLATILE_TOKENS.reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), message)
+
+/**
+ * @description Gets a hash of the differences of a failed verification. The diff file names are left out, as they
+ *              include a temp directory that changes on every run, and so are the volatile parts of an error
+ *              message, see normalizeErrorMessage().
+ * @param {Object} result The verification result, containing the diff, differences or err.
+ * @returns {String} The SHA-256 hash, in hex.
+ * @since 1.0.0
+ */
+const getFailureHash = result => {
+  let details
+  if (typeof result.diff === 'string' && result.diff !== '') {
+    details = result.diff.split('\n').filter(line => !line.startsWith('--- ') && !line.startsWith('+++ ')).join('\n')
+  } else if (Array.isArray(result.differences)) {
+    details = describeDifferences(result.differences)
+  } else {
+    details = normalizeErrorMessage(result.err instanceof Error ? result.err.message : String(result.err))
+  }
+  return createHash('sha256').update(details).digest('hex')
+}
+
+/**
+ * @description Reads a baseline file.
+ * @param {String} baselineFile The baseline file.
+ * @returns {Promise<Object>} The baseline, containing the failures keyed by file, or the error message if we reject.
+ * @since 1.0.0
+ */
+const readBaseline = async baselineFile => {
+  logger.debug('readBaseline() started with : ', typeof baselineFile, 'baselineFile =', baselineFile)
+
+  const data = await fsPromises.readFile(baselineFile, 'utf8')
+    .catch(() => Promise.reject(Error(`Baseline file '${baselineFile}' could not be read.`)))
+
+  let baseline
+  try {
+    baseline = JSON.parse(data)
+  } catch (error) {
+    return Promise.reject(Error(`Baseline file '${baselineFile}' is not valid JSON.`))
+  }
+  if (!baseline || typeof baseline.failures !== 'object' || baseline.failures === null) {
+    return Promise.reject(Error(`Baseline file '${baselineFile}' does not contain any failures.`))
+  }
+
+  return baseline
+}
+
+/**
+ * @description Writes a baseline file, recording each failed verification and a hash of its differences.
+ * @param {String} baselineFile The baseline file.
+ * @param {Object[]} verifications The verification results.
+ * @returns {Promise<Object>} The baseline that was written, or the error message if we reject.
+ * @since 1.0.0
+ */
+const writeBaseline = async (baselineFile, verifications) => {
+  logger.debug('writeBaseline() started with : ', typeof baselineFile, 'baselineFile =', baselineFile)
+
+  const baseline = { version: BASELINE_VERSION, failures: {} }
+  for (const result of verifications.filter(x => x.status !== 'SUCCESS')) {
+    baseline.failures[result.file] = {
+      hash: getFailureHash(result),
+      error: result.err instanceof Error ? result.err.message : String(result.err)
+    }
+  }
+
+  await fsPromises.writeFile(baselineFile, JSON.stringify(baseline, null, 2) + '\n')
+  logger.info(`Baseline written to ${baselineFile}, with ${Object.keys(baseline.failures).length} known failure(s).`)
+
+  return baseline
+}
+
+/**
+ * @description Classifies each verification result against the baseline, as passed, known failure, new failure
+ *              or fixed. A failure is only known if its differences are the same as in the baseline.
+ *              The classification is also added to each verification result, as 'baseline'.
+ * @param {Object[]} verifications The verification results.
+ * @param {Object} baseline The baseline, see readBaseline().
+ * @returns {Object} The classified results, with a list of files for each classification.
+ * @since 1.0.0
+ */
+const classifyResults = (verifications, baseline) => {
+  const classified = { [PASSED]: [], [KNOWN_FAILURE]: [], [NEW_FAILURE]: [], [FIXED]: [] }
+
+  for (const result of verifications) {
+    const known = baseline.failures[result.file]
+    if (result.status === 'SUCCESS') {
+      result.baseline = known ? FIXED : PASSED
+    } else if (known && known.hash === getFailureHash(result)) {
+      result.baseline = KNOWN_FAILURE
+    } else {
+      result.baseline = NEW_FAILURE
+    }
+    classified[result.baseline].push(result.file)
+  }
+
+  return classified
+}
+
+/**
+ * @description Prints the Baseline Summary for the classified results.
+ * @param {Object} classified The classified results, see classifyResults().
+ * @since 1.0.0
+ */
+const baselineSummary = classified => {
+  console.log('\n')
+  logger.info('Baseline Summary\n')
+  logger.info(`${classified[PASSED].length} passed.`)
+  logger.info(`${classified[KNOWN_FAILURE].length} known failure(s).`)
+  logger.info(`${classified[FIXED].length} fixed.`)
+  for (const file of classified[FIXED]) {
+    logger.info(`Fixed : ${file}`)
+  }
+  logger.error(`${classified[NEW_FAILURE].length} new failure(s).`)
+  for (const file of classified[NEW_FAILURE]) {
+    logger.error(`New failure : ${file}`)
+  }
+}
+
+exports.PASSED = PASSED
+exports.KNOWN_FAILURE = KNOWN_FAILURE
+exports.NEW_FAILURE = NEW_FAILURE
+exports.FIXED = FIXED
+exports.normalizeErrorMessage = normalizeErrorMessage
+exports.getFailureHash = getFailureHash
+exports.readBaseline = readBaseline
+exports.writeBaseline = writeBaseline
+exports.classifyResults = classifyResults
+exports.baselineSummary = baselineSummary
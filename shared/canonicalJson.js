@@ -0,0 +1,196 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+const { checkSchema } = require('./dspfLint')
+const { compareJson } = require('./jsonDiff')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The keys that come first, in this order. Any other keys follow them, sorted by name
+const DSPF_KEYS = ['text', 'source', 'formats', 'keywords', 'dds', 'lcNames']
+const SOURCE_KEYS = ['library', 'file', 'member', 'type', 'ccsid']
+const SCREEN_KEYS = ['record format name']
+const ITEM_KEYS = ['id', 'field type', 'grid', 'record format name']
+const BINDING_KEYS = ['fieldName', 'dataType', 'dataLength', 'decPos', 'designValue']
+
+// Lengths and decimals are whole numbers, whether written like '07' or '7'
+const NUMERIC_KEYS = ['dataLength', 'decPos']
+
+/**
+ * @description Sorts the keys of an object, with the leading keys first in their given order, then any other keys
+ *              sorted by name. The names are compared by character code, so the order is the same in every locale.
+ * @param {Object} object The object to sort the keys of.
+ * @param {String[]} leadingKeys The keys that come first.
+ * @returns {String[]} The sorted keys.
+ * @since 1.0.0
+ */
+const sortKeys = (object, leadingKeys) => [
+  ...leadingKeys.filter(key => Object.prototype.hasOwnProperty.call(object, key)),
+  ...Object.keys(object).filter(key => !leadingKeys.includes(key)).sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+]
+
+/**
+ * @description Writes a property value the same way every time. The Designer saves every property as a string, so
+ *              a number is written as a string, and whole-number lengths and decimals lose their leading zeros.
+ * @param {String} key The property name.
+ * @param {*} value The property value.
+ * @returns {*} The canonical value.
+ * @since 1.0.0
+ */
+const canonicalValue = (key, value) => {
+  if (typeof value === 'number') {
+    return String(value)
+  } else if (NUMERIC_KEYS.includes(key) && typeof value === 'string' && /^\d+$/.test(value)) {
+    return String(Number.parseInt(value, 10))
+  }
+  return value
+}
+
+/**
+ * @description Puts the properties of a screen or item in canonical order, including any bindings in them.
+ * @param {Object} object The screen or item object.
+ * @param {String[]} leadingKeys The keys that come first.
+ * @returns {Object} The canonical object.
+ * @since 1.0.0
+ */
+const canonicalProperties = (object, leadingKeys) => {
+  const canonical = {}
+  for (const key of sortKeys(object, leadingKeys)) {
+    const value = object[key]
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      const binding = {}
+      for (const bindingKey of sortKeys(value, BINDING_KEYS)) {
+        binding[bindingKey] = canonicalValue(bindingKey, value[bindingKey])
+      }
+      canonical[key] = binding
+    } else {
+      canonical[key] = canonicalValue(key, value)
+    }
+  }
+  return canonical
+}
+
+/**
+ * @description Puts a record format in canonical form, with its screen and item properties in a stable order.
+ *              The items stay in their order, as it is their order on the screen.
+ * @param {Object} format The record format object, containing the screen and items.
+ * @returns {Object} The canonical record format object.
+ * @since 1.0.0
+ */
+const canonicalizeFormat = format => {
+  const canonical = {}
+  for (const key of sortKeys(format, ['screen', 'items'])) {
+    if (key === 'screen') {
+      canonical.screen = canonicalProperties(format.screen, SCREEN_KEYS)
+    } else if (key === 'items' && Array.isArray(format.items)) {
+      canonical.items = format.items.map(item => canonicalProperties(item, ITEM_KEYS))
+    } else {
+      canonical[key] = format[key]
+    }
+  }
+  return canonical
+}
+
+/**
+ * @description Puts a Rich Display File in canonical form, so that the same screen is always written the same way,
+ *              whatever order the Designer saved its properties in. The record formats, items, keywords and DDS lines
+ *              stay in their order.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object} The canonical Rich Display File JSON object.
+ * @since 1.0.0
+ */
+const canonicalizeDspf = dspf => {
+  const canonical = {}
+  for (const key of sortKeys(dspf, DSPF_KEYS)) {
+    if (key === 'source' && dspf.source) {
+      canonical.source = {}
+      sortKeys(dspf.source, SOURCE_KEYS).forEach(sourceKey => { canonical.source[sourceKey] = dspf.source[sourceKey] })
+    } else if (key === 'formats' && Array.isArray(dspf.formats)) {
+      canonical.formats = dspf.formats.map(canonicalizeFormat)
+    } else if (key === 'lcNames' && dspf.lcNames) {
+      canonical.lcNames = {}
+      sortKeys(dspf.lcNames, []).forEach(name => { canonical.lcNames[name] = dspf.lcNames[name] })
+    } else {
+      canonical[key] = dspf[key]
+    }
+  }
+  return canonical
+}
+
+/**
+ * @description Writes a Rich Display File as JSON text. Canonical JSON has a stable key order and a final newline,
+ *              so it only changes where the screen changes. Otherwise, it is written in the order it was built in.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @param {Boolean} [canonical=false] (Optional) Write canonical JSON.
+ * @returns {String} The JSON text.
+ * @since 1.0.0
+ */
+const stringifyDspf = (dspf, canonical = false) => canonical
+  ? JSON.stringify(canonicalizeDspf(dspf), null, 2) + '\n'
+  : JSON.stringify(dspf, null, 2)
+
+/**
+ * @description Tests whether two record formats are the same screen, in canonical form.
+ * @param {Object} format1 The first record format object.
+ * @param {Object} format2 The second record format object.
+ * @returns {Boolean} True if they are equivalent.
+ * @since 1.0.0
+ */
+const isEquivalentFormat = (format1, format2) => compareJson(canonicalizeFormat(format1), canonicalizeFormat(format2)).length === 0
+
+/**
+ * @description Rewrites Rich Display JSON files as canonical JSON, in place. Files that are already canonical are
+ *              not written, and files that are not valid Rich Display Files are left as they are.
+ * @param {String[]} inJsonFiles The path-based JSON file names.
+ * @param {Object} [options] (Optional) The format options.
+ * @param {Boolean} [options.check=false] (Optional) Only check which files are not canonical, without writing them.
+ * @returns {Promise<Object[]>} The results, each containing the file, its status ('UNCHANGED', 'FORMATTED',
+ *                              'NOT CANONICAL' or 'FAILED'), and the error if it failed.
+ * @since 1.0.0
+ */
+const formatFiles = async (inJsonFiles, options = {}) => {
+  logger.debug('formatFiles() started with : ', typeof inJsonFiles, 'inJsonFiles =', inJsonFiles, typeof options, 'options =', options)
+  const results = []
+
+  for (const file of inJsonFiles) {
+    try {
+      const jsonData = await fsPromises.readFile(file, 'utf8')
+      let dspf
+      try {
+        dspf = JSON.parse(jsonData)
+      } catch (error) {
+        throw Error(`Not a valid JSON file : ${error.message}`)
+      }
+      const problems = checkSchema(dspf)
+      if (problems.length > 0) {
+        throw Error(`Not a valid Rich Display File : ${problems.map(problem => `${problem.path} ${problem.message}`).join(', ')}.`)
+      }
+
+      const canonicalData = stringifyDspf(dspf, true)
+      if (canonicalData === jsonData) {
+        results.push({ file, status: 'UNCHANGED' })
+      } else if (options.check) {
+        results.push({ file, status: 'NOT CANONICAL' })
+      } else {
+        await fsPromises.writeFile(file, canonicalData)
+        results.push({ file, status: 'FORMATTED' })
+      }
+    } catch (error) {
+      results.push({ file, status: 'FAILED', err: error })
+    }
+  }
+  return results
+}
+
+exports.canonicalizeFormat = canonicalizeFormat
+exports.canonicalizeDspf = canonicalizeDspf
+exports.stringifyDspf = stringifyDspf
+exports.isEquivalentFormat = isEquivalentFormat
+exports.formatFiles = formatFiles
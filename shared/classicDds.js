@@ -0,0 +1,352 @@
+'use strict'
+
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The size of one 5250 character cell, in pixels, used to position the Rich Display items
+const CHAR_WIDTH = 9
+const LINE_HEIGHT = 20
+
+// The DDS data types mapped to Rich Display binding data types, anything else is char
+const DATA_TYPES = {
+  S: 'zoned',
+  Y: 'zoned',
+  F: 'floating',
+  L: 'date',
+  T: 'time',
+  Z: 'timestamp',
+  G: 'graphic',
+  O: 'graphic',
+  J: 'graphic',
+  E: 'graphic'
+}
+
+// The DDS colors mapped to CSS colors, which must be readable on the light Profound UI themes
+const COLORS = {
+  BLU: 'blue',
+  GRN: 'green',
+  PNK: 'fuchsia',
+  RED: 'red',
+  TRQ: 'teal',
+  WHT: 'black',
+  YLW: 'darkgoldenrod'
+}
+
+// The lengths of the constants showing a system value
+const SYSTEM_VALUES = { DATE: 8, TIME: 8, SYSNAME: 8, USER: 10 }
+
+// The DDS display attributes mapped to a Rich Display property, with its value when the attribute is on and off
+const DISPLAY_ATTRIBUTES = {
+  HI: { property: 'font weight', on: 'bold', off: 'normal' },
+  UL: { property: 'text decoration', on: 'underline', off: 'none' },
+  ND: { property: 'visibility', on: 'hidden', off: 'visible' },
+  PR: { property: 'read only', on: 'true', off: 'false' }
+}
+
+/**
+ * @description Gets the record formats of the parsed DDS source, with the defaults of classic DSPF fields applied.
+ *              A field without a data type is alphanumeric, or zoned if it has decimals, and a field without a usage
+ *              is both input and output.
+ * @param {Object} dds The parsed DDS source, see shared/ddsParser.js parseDds().
+ * @param {String[]} warnings The list of warnings, which will be added to.
+ * @returns {Object[]} The record formats, each containing its name, keywords and elements, where an element is a
+ *                     field or a constant at a line and position.
+ * @since 1.0.0
+ */
+const getClassicRecords = (dds, warnings) => dds.records.map(record => {
+  const elements = record.fields.map(field => {
+    if (field.isOr || field.keywords.some(keyword => keyword.isOr)) {
+      warnings.push(`OR conditioning on DDS line ${field.lineNumber} is not converted, only the first condition is used.`)
+    }
+
+    let length = field.length
+    if (field.name === '') {
+      const systemValue = field.keywords.find(keyword => SYSTEM_VALUES[keyword.name])
+      length = length !== null ? length : systemValue ? SYSTEM_VALUES[systemValue.name] : 0
+    } else if (length === null && !['L', 'T', 'Z'].includes(field.type)) {
+      warnings.push(`Field ${field.name} has no length${field.isReference ? ', as it is a reference field' : ''}, so it is converted as 10A.`)
+      length = 10
+    }
+
+    return Object.assign({}, field, {
+      length,
+      type: field.type || (field.decimals === null ? 'A' : 'S'),
+      usage: field.usage || 'B',
+      line: field.line || 0,
+      pos: field.pos || 0
+    })
+  })
+  return { name: record.name, keywords: record.keywords, elements }
+})
+
+/**
+ * @description Gets a property value, bound to a conditioning indicator if there is one.
+ * @param {Object[]} indicators The conditioning indicators.
+ * @param {String} on The property value when the condition is true.
+ * @param {String} off The property value when the condition is false.
+ * @param {String[]} warnings The list of warnings, which will be added to.
+ * @returns {String | Object} The property value, or the indicator binding.
+ * @since 1.0.0
+ */
+const conditionValue = (indicators, on, off, warnings) => {
+  if (indicators.length === 0) {
+    return on
+  }
+  if (indicators.length > 1) {
+    warnings.push(`Only indicator ${indicators[0].indicator} of the conditions ${indicators.map(x => (x.negated ? 'N' : '') + x.indicator).join(' ')} is converted.`)
+  }
+  const { indicator, negated } = indicators[0]
+  return {
+    fieldName: indicator,
+    dataType: 'indicator',
+    formatting: 'Indicator',
+    indFormat: 'Custom',
+    customTrue: negated ? off : on,
+    customFalse: negated ? on : off
+  }
+}
+
+/**
+ * @description Converts a field or constant into a Rich Display item.
+ * @param {Object} element The field or constant, from getClassicRecords().
+ * @param {String} id The item id.
+ * @param {Object} context The conversion context, containing the list of warnings and of keywords not converted.
+ * @returns {Object} The item.
+ * @since 1.0.0
+ */
+const elementToItem = (element, id, context) => {
+  const item = { id }
+  const isHidden = ['H', 'P'].includes(element.usage)
+
+  if (element.name === '') {
+    const constant = element.keywords.find(keyword => (keyword.name === '' || keyword.name === 'DFT') && typeof keyword.literal === 'string')
+    const systemValue = element.keywords.find(keyword => SYSTEM_VALUES[keyword.name])
+    item['field type'] = 'output field'
+    item.value = constant ? constant.literal : systemValue ? systemValue.name : ''
+    if (!constant && systemValue) {
+      context.warnings.push(`Constant ${systemValue.name} at line ${element.line} position ${element.pos} is converted as text, bind it to a field to show the value.`)
+    }
+  } else {
+    const dataType = DATA_TYPES[element.type] || 'char'
+    const value = { fieldName: element.name, dataType }
+    if (!['date', 'time', 'timestamp'].includes(dataType)) {
+      value.dataLength = String(element.length)
+    }
+    if (['zoned', 'floating'].includes(dataType)) {
+      value.decPos = String(element.decimals || 0)
+    }
+    value.designValue = `[${element.name}]`
+    item['field type'] = ['I', 'B'].includes(element.usage) ? 'textbox' : 'output field'
+    item.value = value
+  }
+
+  if (isHidden) {
+    item.visibility = 'hidden'
+  } else if (element.indicators.length > 0) {
+    item.visibility = conditionValue(element.indicators, 'visible', 'hidden', context.warnings)
+  }
+  if (!isHidden && element.length > 0) {
+    item.width = `${element.length * CHAR_WIDTH}px`
+  }
+
+  for (const keyword of element.keywords) {
+    if (keyword.name === 'DSPATR') {
+      for (const attribute of (keyword.value || '').trim().toUpperCase().split(/\s+/)) {
+        const mapping = DISPLAY_ATTRIBUTES[attribute]
+        if (mapping) {
+          item[mapping.property] = conditionValue(keyword.indicators, mapping.on, mapping.off, context.warnings)
+        } else {
+          context.notConverted.add(`DSPATR(${attribute})`)
+        }
+      }
+    } else if (keyword.name === 'COLOR') {
+      const color = COLORS[(keyword.value || '').trim().toUpperCase()]
+      if (color) {
+        item.color = conditionValue(keyword.indicators, color, '', context.warnings)
+      } else {
+        context.notConverted.add(`COLOR(${keyword.value})`)
+      }
+    } else if (!['', 'DFT', 'TEXT'].includes(keyword.name) && !SYSTEM_VALUES[keyword.name]) {
+      context.notConverted.add(keyword.name)
+    }
+  }
+
+  return item
+}
+
+/**
+ * @description Positions an item on the screen, from the line and position of its field or constant.
+ * @param {Object} item The item.
+ * @param {Object} element The field or constant, from getClassicRecords().
+ * @returns {Object} The item.
+ * @since 1.0.0
+ */
+const positionItem = (item, element) => Object.assign(item, {
+  left: `${Math.max(element.pos - 1, 0) * CHAR_WIDTH}px`,
+  top: `${Math.max(element.line - 1, 0) * LINE_HEIGHT}px`
+})
+
+/**
+ * @description Gets the numeric value of a record format keyword, like SFLPAG(0012).
+ * @param {Object} record The record format, from getClassicRecords().
+ * @param {String} name The keyword name.
+ * @returns {Number} The value, or NaN if the record format does not have the keyword.
+ * @since 1.0.0
+ */
+const getKeywordNumber = (record, name) => {
+  const keyword = record.keywords.find(x => x.name === name)
+  return keyword ? Number.parseInt(keyword.value) : NaN
+}
+
+/**
+ * @description Converts a subfile record format into a grid, with a column for each visible field.
+ * @param {Object} sflRecord The subfile record format, from getClassicRecords().
+ * @param {Object} ctlRecord The subfile control record format, from getClassicRecords().
+ * @param {String} gridId The grid item id.
+ * @param {Object} context The conversion context, containing the list of warnings and of keywords not converted.
+ * @returns {Object[]} The grid item, followed by the items for its columns and hidden fields.
+ * @since 1.0.0
+ */
+const subfileToItems = (sflRecord, ctlRecord, gridId, context) => {
+  const visible = sflRecord.elements
+    .filter(element => !['H', 'P'].includes(element.usage))
+    .sort((a, b) => a.line - b.line || a.pos - b.pos)
+  const hidden = sflRecord.elements.filter(element => ['H', 'P'].includes(element.usage))
+
+  if (visible.length > 0 && visible[visible.length - 1].line !== visible[0].line) {
+    context.warnings.push(`Subfile ${sflRecord.name} uses more than one line per record, each field becomes a column of one grid row.`)
+  }
+  let sflPag = getKeywordNumber(ctlRecord, 'SFLPAG')
+  if (isNaN(sflPag)) {
+    context.warnings.push(`Subfile control ${ctlRecord.name} has no SFLPAG, so the grid shows 10 rows.`)
+    sflPag = 10
+  }
+
+  const firstLine = visible.length > 0 ? visible[0].line : 2
+  const grid = positionItem({
+    id: gridId,
+    'field type': 'grid',
+    'record format name': sflRecord.name,
+    'number of rows': String(sflPag + 1),
+    'number of columns': String(visible.length),
+    'column widths': visible.map(element => `${Math.max(element.length, element.name.length) * CHAR_WIDTH + 10}`).join(','),
+    'column headings': visible.map(element => element.name).join(','),
+    'has header': 'true'
+  }, { line: firstLine - 1, pos: visible.length > 0 ? visible[0].pos : 1 })
+
+  const columns = visible.map((element, column) => Object.assign(elementToItem(element, element.name, context), {
+    grid: gridId,
+    column: String(column),
+    left: '4px',
+    top: '2px'
+  }))
+  const hiddenItems = hidden.map(element => Object.assign(elementToItem(element, element.name, context), { grid: gridId }))
+
+  return [grid, ...columns, ...hiddenItems]
+}
+
+/**
+ * @description Converts the WINDOW keyword of a record format into the screen properties of a window.
+ * @param {Object} record The record format, from getClassicRecords().
+ * @param {Object} screen The screen properties, which will be added to.
+ * @param {Object} context The conversion context, containing the list of warnings and of keywords not converted.
+ * @since 1.0.0
+ */
+const addWindowProperties = (record, screen, context) => {
+  const keyword = record.keywords.find(x => x.name === 'WINDOW')
+  if (!keyword) {
+    return
+  }
+  const parms = (keyword.value || '').trim().split(/\s+/)
+  if (parms.length === 1 && parms[0] !== '') {
+    // WINDOW(format) uses the window defined by another record format
+    screen['window reference'] = parms[0].toUpperCase()
+    return
+  }
+  screen['show as window'] = 'true'
+  if (parms[0].toUpperCase() === '*DFT') {
+    screen['center window'] = 'true'
+  } else if (parms.length >= 4) {
+    screen['window left'] = `${Math.max(Number.parseInt(parms[1]) - 1, 0) * CHAR_WIDTH}px`
+    screen['window top'] = `${Math.max(Number.parseInt(parms[0]) - 1, 0) * LINE_HEIGHT}px`
+  } else {
+    context.warnings.push(`Record format ${record.name} has an unexpected WINDOW(${keyword.value}), it is converted as a centered window.`)
+    screen['center window'] = 'true'
+  }
+}
+
+/**
+ * @description Converts classic (5250) DSPF source into the formats of a Rich Display JSON. Fields become output
+ *              fields or textboxes, constants become output fields, and each subfile becomes a grid in its subfile
+ *              control format. DSPATR and COLOR keywords, and conditioning indicators, become item properties.
+ *              This is a starting point, to be opened in the Designer, and written back as DDS with jsonToDds.
+ * @param {Object} dds The parsed DDS source, see shared/ddsParser.js parseDds().
+ * @returns {Object} The formats array, and a list of warnings about anything that was not converted.
+ * @since 1.0.0
+ */
+const classicDdsToFormats = dds => {
+  logger.debug('classicDdsToFormats() started with : ', typeof dds, 'dds =', dds)
+  const warnings = []
+  const records = getClassicRecords(dds, warnings)
+  const context = { warnings, notConverted: new Set() }
+  const formats = []
+  let constantCount = 0
+  let gridCount = 0
+
+  const sflNames = records
+    .map(record => record.keywords.find(keyword => keyword.name === 'SFLCTL'))
+    .filter(keyword => keyword)
+    .map(keyword => (keyword.value || '').trim().toUpperCase())
+
+  for (const record of records) {
+    if (sflNames.includes(record.name)) {
+      continue
+    }
+    if (record.keywords.some(keyword => keyword.name === 'SFL')) {
+      warnings.push(`Subfile ${record.name} has no subfile control format, so it is not converted.`)
+      continue
+    }
+
+    const screen = { 'record format name': record.name }
+    addWindowProperties(record, screen, context)
+    const items = []
+
+    const sflCtl = record.keywords.find(keyword => keyword.name === 'SFLCTL')
+    if (sflCtl) {
+      const sflRecord = records.find(x => x.name === (sflCtl.value || '').trim().toUpperCase())
+      if (sflRecord) {
+        gridCount += 1
+        items.push(...subfileToItems(sflRecord, record, `Grid${gridCount}`, context))
+      } else {
+        warnings.push(`Subfile ${sflCtl.value} of control format ${record.name} was not found, so no grid is created.`)
+      }
+    }
+
+    for (const element of record.elements) {
+      let id = element.name
+      if (id === '') {
+        constantCount += 1
+        id = `Label${constantCount}`
+      }
+      const item = elementToItem(element, id, context)
+      items.push(['H', 'P'].includes(element.usage) ? item : positionItem(item, element))
+    }
+
+    formats.push({ screen, items })
+  }
+
+  if (context.notConverted.size > 0) {
+    warnings.push(`Keywords not converted : ${[...context.notConverted].join(', ')}.`)
+  }
+
+  return { formats, warnings }
+}
+
+exports.classicDdsToFormats = classicDdsToFormats
@@ -0,0 +1,648 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const { dirname, join, resolve } = require('path')
+const { homedir } = require('os')
+const { setSourceSystem, setDBPoolSize, closeConnections, getGenericFileList, getIbmIMemberList, normalizeName } = require('./asyncUtils')
+const { isGlobPattern } = require('./glob')
+const { REPORT_FORMATS, writeReport } = require('./reports')
+const { ENCODINGS } = require('./sourceText')
+const { LINT_FORMATS } = require('./dspfLint')
+const { NEW_FAILURE, readBaseline, writeBaseline, classifyResults, baselineSummary } = require('./baseline')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+const CLI_NAME = 'profound-utils'
+const CONFIG_FILE = '.profoundutilsrc'
+
+// Flags that are available on every command
+const globalFlags = {
+  'source-system': { type: 'string', description: `The Source System for Libraries, Source Files and Members, 'db2' (IBM i) or 'local'. Defaults to 'db2'.` },
+  'source-root': { type: 'string', description: `The root directory of the 'local' Source System, containing LIB/FILE/MBR.dspf files.` },
+  'db-pool-size': { type: 'number', description: `The number of DB2 for i connections to use. Defaults to 2.` },
+  config: { type: 'string', description: `The configuration file to load defaults from. Defaults to the nearest ${CONFIG_FILE}.` },
+  help: { type: 'boolean', description: 'Show the help for this command.' }
+}
+
+// Flags that are shared by the commands that read or write a Lib/File/Mbr
+const mbrFlags = {
+  lib: { type: 'string', description: 'The Library containing the Source Physical File.' },
+  mbr: { type: 'string', description: 'The Source Member name. This can be a generic name, like ABC* or *.' }
+}
+
+/**
+ * @description Prints a Conversion Summary, and returns the exit code for the batch results.
+ * @param {Function} summary The summary function of the utility that produced the results.
+ * @param {Object} results The batch results, containing the inputCount, successCount and failDetails.
+ * @returns {Promise<Number>} The exit code, 1 if any conversions failed.
+ * @since 1.0.0
+ */
+const batchExitCode = async (summary, results) => {
+  await summary(results)
+  return results.failDetails.length > 0 ? 1 : 0
+}
+
+// List all the Commands available in this repository here...
+const commands = {
+  'dds-to-json': {
+    description: 'Converts a Display File from DDS to JSON',
+    args: ['input-DDS-file'],
+    flags: {
+      'out-dir': { type: 'string', required: true, description: 'The Output Directory where the converted JSON file will be created.' },
+      ...mbrFlags,
+      'lowercase-names': { type: 'boolean', description: 'Convert all record format and field names to lowercase, for Profound.js.' },
+      overwrite: { type: 'boolean', description: 'Allow existing JSON files to be over-written.' },
+      classic: { type: 'boolean', description: 'Convert classic (5250) Display Files, that have no HTML, into a starting Rich Display JSON.' },
+      encoding: { type: 'string', description: `The encoding of path-based input files, one of ${ENCODINGS.join(', ')}. Detected from each file by default.` },
+      text: { type: 'string', description: 'The Member text to record in the JSON, instead of the Member text or the metadata kept next to a path-based file.' },
+      canonical: { type: 'boolean', description: 'Write canonical JSON, with a stable property order and a final newline, so that converting the same screen again gives no diff.' },
+      split: { type: 'boolean', description: 'Write a directory holding a dspf.json manifest and one formats/<name>.json file per record format, instead of one JSON file.' }
+    },
+    run: async ([srcFile], flags) => {
+      const { convert, convertGeneric, convertIbmIGeneric, summary } = require('../ddsToJson')
+      const options = { outDir: flags['out-dir'], lcNames: flags['lowercase-names'], overwrite: flags.overwrite, classic: flags.classic, encoding: flags.encoding, text: flags.text, canonical: flags.canonical, split: flags.split }
+
+      if (flags.lib && flags.mbr && flags.mbr.includes('*')) {
+        return batchExitCode(summary, await convertIbmIGeneric(srcFile, flags.lib, flags.mbr, options))
+      } else if (!flags.lib && isGlobPattern(srcFile)) {
+        return batchExitCode(summary, await convertGeneric(srcFile, options))
+      }
+
+      const result = await convert({ ...options, srcFile, srcLib: flags.lib, srcMbr: flags.mbr })
+      logger.info(`DDS file was converted successfully to ${result.outFile}.\n`)
+      return 0
+    }
+  },
+  'json-to-dds': {
+    description: 'Converts a Rich-Display File from JSON format into DDS format',
+    args: ['input-JSON-file'],
+    flags: {
+      out: { type: 'string', required: true, description: 'The Output file. This can be a Source Physical File used with --lib and --mbr, or a path-based file name.' },
+      lib: { type: 'string', description: 'The Library containing the Output Source Physical File.' },
+      mbr: { type: 'string', description: 'The Output Source Member name. The Member must NOT exist.' },
+      original: { type: 'string', description: 'The Original DDS source, required for method 1. This can be a Source Physical File used with --original-lib and --original-mbr, or a path-based file name.' },
+      'original-lib': { type: 'string', description: 'The Library containing the Original Source Physical File.' },
+      'original-mbr': { type: 'string', description: 'The Original Source Member name.' },
+      method: { type: 'string', description: `The conversion method, '1' to update the Original DDS source, or '2' to generate the DDS from the JSON alone.` },
+      overwrite: { type: 'boolean', description: 'Allow an existing path-based Output file to be over-written.' },
+      replace: { type: 'boolean', description: 'Replace an existing Output Member, after backing it up. The new Member is written and checked first, and any failure leaves the existing Member as it was.' },
+      'backup-dir': { type: 'string', description: 'The directory to back up replaced Members to. Defaults to PROFOUND_UTILS_BACKUP_DIR, or .profound-utils/backups in your home directory.' },
+      encoding: { type: 'string', description: `The encoding of a path-based Output file, one of ${ENCODINGS.join(', ')}. Defaults to the encoding of the Original DDS source.` },
+      'line-ending': { type: 'string', description: `The line endings of a path-based Output file, 'crlf', 'lf' or 'cr'. Defaults to the line endings of the Original DDS source.` },
+      'keep-seq-dates': { type: 'boolean', description: 'Keep the sequence numbers and dates of unchanged lines, and number and date the changed lines into the gaps. Defaults to true if the Original DDS source has them. Use --no-keep-seq-dates to renumber the Output Member.' },
+      compile: { type: 'boolean', description: 'Compile the Output Member with CRTDSPF, and report the compile errors against the record formats and JSON items they came from.' },
+      'target-lib': { type: 'string', description: 'The Library to create the display file in. Defaults to the Output Library.' },
+      'compile-replace': { type: 'boolean', description: 'Replace an existing display file. Defaults to true, use --no-compile-replace to keep it.' },
+      'compile-options': { type: 'string', description: `Any other CRTDSPF parameters, like 'RSTDSP(*YES) DFRWRT(*NO)'.` },
+      'command-runner': { type: 'string', description: `Runs the compile, 'db2' (IBM i) or 'replay'. Defaults to 'db2'.` },
+      'listing-dir': { type: 'string', description: `The directory of canned listings, like MYDSPF.txt, that the 'replay' Command Runner replays instead of compiling.` }
+    },
+    run: async ([inJson], flags) => {
+      const { convert } = require('../jsonToDds')
+
+      if (typeof flags['command-runner'] !== 'undefined' || typeof flags['listing-dir'] !== 'undefined') {
+        require('./compile').setCommandRunner(flags['command-runner'] || 'replay', flags['listing-dir'])
+      }
+
+      const result = await convert({
+        inJson,
+        srcFile: flags.out,
+        srcLib: flags.lib,
+        srcMbr: flags.mbr,
+        srcFilOrig: flags.original,
+        srcLibOrig: flags['original-lib'],
+        srcMbrOrig: flags['original-mbr'],
+        method: flags.method,
+        overwrite: flags.overwrite,
+        replace: flags.replace,
+        backupDir: flags['backup-dir'],
+        encoding: flags.encoding,
+        lineEnding: flags['line-ending'],
+        keepSeqDates: flags['keep-seq-dates'],
+        compile: flags.compile,
+        tgtLib: flags['target-lib'],
+        compileReplace: flags['compile-replace'],
+        compileOptions: flags['compile-options']
+      })
+      logger.info(`JSON file ${inJson} was converted successfully.\n`)
+
+      if (result.compile && !result.compile.success) {
+        logger.error(`Compile failed, with ${result.compile.diagnostics.length} message(s).\n`)
+        return 1
+      } else if (result.compile) {
+        logger.info(`Compiled successfully.\n`)
+      }
+      return 0
+    }
+  },
+  lint: {
+    description: 'Checks Rich Display JSON files against the JSON Schema, and for problems that would break the DDS',
+    args: ['input-JSON-file...'],
+    flags: {
+      original: { type: 'string', description: 'The Original DDS source, to check the record formats and fields against. This can be a Source Physical File used with --original-lib and --original-mbr, or a path-based file name.' },
+      'original-lib': { type: 'string', description: 'The Library containing the Original Source Physical File.' },
+      'original-mbr': { type: 'string', description: 'The Original Source Member name.' },
+      format: { type: 'string', description: `The report format, one of ${LINT_FORMATS.join(', ')}. Defaults to text.` },
+      output: { type: 'string', description: 'The file to write the report to. Defaults to the console.' }
+    },
+    run: async (inJsonFiles, flags) => {
+      const { lintFiles, toText, toSarif } = require('./dspfLint')
+      const format = flags.format || 'text'
+      if (!LINT_FORMATS.includes(format)) {
+        throw Error(`Option '--format' must be one of ${LINT_FORMATS.join(', ')}.`)
+      }
+
+      const files = inJsonFiles.length > 1 || isGlobPattern(inJsonFiles[0]) ? await getGenericFileList(inJsonFiles) : inJsonFiles
+      if (files.length === 0) {
+        throw Error(`No JSON files match '${inJsonFiles.join(' ')}'.`)
+      }
+      const results = await lintFiles(files, { srcFilOrig: flags.original, srcLibOrig: flags['original-lib'], srcMbrOrig: flags['original-mbr'] })
+
+      const report = format === 'sarif' ? toSarif(results) : toText(results.filter(result => result.problems.length > 0))
+      if (flags.output) {
+        await fsPromises.writeFile(flags.output, report)
+        logger.info(`Lint report was written to ${flags.output}.\n`)
+      } else if (format === 'sarif' || report.trim()) {
+        process.stdout.write(report)
+      }
+
+      const problems = results.flatMap(result => result.problems)
+      const errors = problems.filter(problem => problem.level === 'error').length
+      logger.info(`Linted ${results.length} file(s) : ${errors} error(s), ${problems.length - errors} warning(s).\n`)
+      return errors > 0 ? 1 : 0
+    }
+  },
+  format: {
+    description: 'Rewrites Rich Display JSON files as canonical JSON, in place',
+    args: ['input-JSON-file...'],
+    flags: {
+      check: { type: 'boolean', description: 'Only list the files that are not canonical, without rewriting them.' }
+    },
+    run: async (inJsonFiles, flags) => {
+      const { formatFiles } = require('./canonicalJson')
+
+      const files = inJsonFiles.length > 1 || isGlobPattern(inJsonFiles[0]) ? await getGenericFileList(inJsonFiles) : inJsonFiles
+      if (files.length === 0) {
+        throw Error(`No JSON files match '${inJsonFiles.join(' ')}'.`)
+      }
+      const results = await formatFiles(files, { check: flags.check })
+
+      for (const result of results) {
+        if (result.status === 'FAILED') {
+          logger.error(`${result.file} : ${result.err.message}`)
+        } else if (result.status !== 'UNCHANGED') {
+          logger.info(`${result.file} : ${result.status}`)
+        }
+      }
+      const count = status => results.filter(result => result.status === status).length
+      logger.info(`${results.length} file(s) : ${count('FORMATTED')} formatted, ${count('NOT CANONICAL')} not canonical, ${count('UNCHANGED')} unchanged, ${count('FAILED')} failed.\n`)
+      return count('FAILED') + count('NOT CANONICAL') > 0 ? 1 : 0
+    }
+  },
+  split: {
+    description: 'Splits a Rich Display JSON file into a directory, with one file per record format',
+    args: ['input-JSON-file'],
+    flags: {
+      'out-dir': { type: 'string', required: true, description: 'The Output Directory to create the split directory in. It is named like the JSON file, without its extension.' },
+      overwrite: { type: 'boolean', description: 'Allow an existing split directory to be over-written.' },
+      canonical: { type: 'boolean', description: 'Write canonical JSON.' }
+    },
+    run: async ([inJson], flags) => {
+      const { splitFile } = require('./splitLayout')
+
+      const result = await splitFile(inJson, flags['out-dir'], { overwrite: flags.overwrite, canonical: flags.canonical })
+      logger.info(`JSON file ${inJson} was split into ${result.outDir}, with ${result.files.length - 1} record format(s).\n`)
+      return 0
+    }
+  },
+  join: {
+    description: 'Joins a split Rich Display JSON directory back into one JSON file',
+    args: ['input-directory'],
+    flags: {
+      out: { type: 'string', required: true, description: 'The Output JSON file.' },
+      overwrite: { type: 'boolean', description: 'Allow an existing Output JSON file to be over-written.' },
+      canonical: { type: 'boolean', description: 'Write canonical JSON.' }
+    },
+    run: async ([inDir], flags) => {
+      const { joinFile } = require('./splitLayout')
+
+      const result = await joinFile(inDir, flags.out, { overwrite: flags.overwrite, canonical: flags.canonical })
+      logger.info(`Directory ${inDir} was joined into ${result.outFile}, with ${result.dspf.formats.length} record format(s).\n`)
+      return 0
+    }
+  },
+  merge: {
+    description: 'Merges two versions of a Rich Display JSON file with their common base, as a git merge driver',
+    args: ['base-file', 'current-file', 'other-file'],
+    flags: {
+      path: { type: 'string', description: 'The name of the file being merged, %P in git, to report the conflicts against. Defaults to current-file.' },
+      'conflict-file': { type: 'string', description: 'The file to write the conflicts to. Defaults to the path with a .conflicts.txt suffix.' }
+    },
+    run: async ([baseFile, oursFile, theirsFile], flags) => {
+      const { mergeFiles } = require('./dspfMerge')
+
+      const result = await mergeFiles(baseFile, oursFile, theirsFile, { path: flags.path, conflictFile: flags['conflict-file'] })
+      if (result.conflicts.length > 0) {
+        logger.error(`${flags.path || oursFile} was merged with ${result.conflicts.length} conflict(s), see ${result.conflictFile}.\n`)
+        return 1
+      }
+      logger.info(`${flags.path || oursFile} was merged.\n`)
+      return 0
+    }
+  },
+  restore: {
+    description: 'Restores a Source Member from its latest backup, made when json-to-dds replaced it. Each restore goes one backup further back',
+    args: ['source-file'],
+    flags: {
+      lib: { type: 'string', required: true, description: 'The Library containing the Source Physical File.' },
+      mbr: { type: 'string', required: true, description: 'The Source Member name.' },
+      'backup-dir': { type: 'string', description: 'The directory the Member was backed up to. Defaults to PROFOUND_UTILS_BACKUP_DIR, or .profound-utils/backups in your home directory.' },
+      'backup-file': { type: 'string', description: 'The backup file to restore, like the backup made by a restore, to undo it.' }
+    },
+    run: async ([srcFile], flags) => {
+      const { restoreIbmISrcMbr } = require('./memberReplace')
+
+      const { restoredFile, backupFile } = await restoreIbmISrcMbr(normalizeName(srcFile), normalizeName(flags.lib), normalizeName(flags.mbr),
+        { backupDir: flags['backup-dir'], backupFile: flags['backup-file'] })
+      logger.info(`Member ${flags.lib}/${srcFile}.${flags.mbr} was restored from ${restoredFile}.\n`)
+      if (backupFile) {
+        logger.info(`The Member it replaced was backed up to ${backupFile}.\n`)
+      }
+      return 0
+    }
+  },
+  verify: {
+    description: 'Verifies the DDS->JSON and JSON->DDS conversion utils',
+    args: ['input-DDS-file...'],
+    flags: {
+      ...mbrFlags,
+      list: { type: 'boolean', description: 'Only list the matching files or members, without verifying them.' },
+      concurrency: { type: 'number', description: 'The number of verifications to run at once. Defaults to 1.' },
+      progress: { type: 'boolean', description: 'Show a live progress line. Defaults to true when run in a terminal.' },
+      'from-json': { type: 'boolean', description: 'Verify the reverse round trip JSON->DDS->JSON, starting from the input JSON file.' },
+      original: { type: 'string', description: 'With --from-json, the original DDS file, or a directory of them for a generic name. Not needed with --method 2.' },
+      'original-lib': { type: 'string', description: 'With --from-json, the Library containing the original DDS Source Physical File.' },
+      'original-mbr': { type: 'string', description: 'With --from-json, the original DDS Member name. Defaults to the JSON file name for a generic name.' },
+      method: { type: 'string', description: `With --from-json, the JSON to DDS conversion method, '1' or '2'.` },
+      'lowercase-names': { type: 'boolean', description: 'Convert to JSON with lowercase record format and field names, and verify that they are restored in the DDS.' },
+      canonical: { type: 'boolean', description: 'Convert to canonical JSON, and verify that it converts back to the same DDS.' },
+      split: { type: 'boolean', description: 'Convert to a split JSON directory, with one file per record format, and verify that it converts back to the same DDS.' },
+      'keep-temp': { type: 'boolean', description: 'Keep the temp files of each failed verification, for inspection. They are always removed otherwise.' },
+      'ignore-trailing-blanks': { type: 'boolean', description: 'Ignore blanks at the end of each line when comparing.' },
+      'ignore-seq-dates': { type: 'boolean', description: 'Ignore leading sequence numbers and dates when comparing.' },
+      context: { type: 'number', description: 'The number of unchanged lines to show around each difference. Defaults to 3.' },
+      report: { type: 'string', description: `Write a report of every verification, in format ${REPORT_FORMATS.join(', ')}.` },
+      'report-file': { type: 'string', description: 'The report file to write. Required with --report.' },
+      baseline: { type: 'string', description: 'The baseline file of known failures. Only new failures give a non-zero exit code.' },
+      'update-baseline': { type: 'boolean', description: 'Write the failures of this run to the --baseline file, as the known failures.' }
+    },
+    run: async (srcFiles, flags) => {
+      const { verifyList, verifyGeneric, verifyIbmIGeneric, verifyJsonGeneric, summary } = require('../verifyConvert')
+      const [srcFile] = srcFiles
+      const isIbmIGeneric = !flags['from-json'] && flags.lib && flags.mbr && flags.mbr.includes('*')
+      const isGeneric = !flags.lib && (srcFiles.length > 1 || isGlobPattern(srcFile))
+      if (srcFiles.length > 1 && flags.lib) {
+        throw Error(`Only one Source File can be specified with option '--lib'.`)
+      }
+
+      if (flags.list) {
+        let list
+        if (isIbmIGeneric) {
+          list = await getIbmIMemberList(srcFile, flags.lib, flags.mbr)
+        } else if (isGeneric) {
+          list = await getGenericFileList(srcFiles)
+        } else {
+          list = [flags.lib ? `${flags.lib}/${srcFile}.${flags.mbr}` : srcFile]
+        }
+        list.forEach(file => console.log(file))
+        return 0
+      }
+
+      const options = {
+        concurrency: flags.concurrency,
+        progress: typeof flags.progress === 'boolean' ? flags.progress : Boolean(process.stderr.isTTY),
+        lcNames: flags['lowercase-names'],
+        canonical: flags.canonical,
+        split: flags.split,
+        keepTemp: flags['keep-temp'],
+        compare: {
+          ignoreTrailingBlanks: flags['ignore-trailing-blanks'],
+          ignoreSeqDates: flags['ignore-seq-dates'],
+          context: flags.context
+        }
+      }
+
+      if (typeof flags.report !== 'undefined' && !REPORT_FORMATS.includes(flags.report)) {
+        throw Error(`Option '--report' must be one of ${REPORT_FORMATS.join(', ')}.`)
+      }
+      if (typeof flags.report !== 'undefined' && typeof flags['report-file'] === 'undefined') {
+        throw Error(`Option '--report-file' is required with '--report'.`)
+      }
+      if (flags['update-baseline'] && typeof flags.baseline === 'undefined') {
+        throw Error(`Option '--baseline' is required with '--update-baseline'.`)
+      }
+      const baseline = flags.baseline && !flags['update-baseline'] ? await readBaseline(flags.baseline) : undefined
+
+      let results
+      if (flags['from-json']) {
+        const original = { srcFilOrig: flags.original, srcLibOrig: flags['original-lib'], method: flags.method }
+        if (isGeneric) {
+          results = await verifyJsonGeneric(srcFiles, original, options)
+        } else {
+          results = await verifyList([{ inJson: srcFile, ...original, srcMbrOrig: flags['original-mbr'] }], options)
+        }
+      } else if (isIbmIGeneric) {
+        results = await verifyIbmIGeneric(srcFile, flags.lib, flags.mbr, options)
+      } else if (isGeneric) {
+        results = await verifyGeneric(srcFiles, options)
+      } else {
+        results = await verifyList([{ srcFile, srcLib: flags.lib, srcMbr: flags.mbr }], options)
+      }
+
+      const classified = baseline ? classifyResults(results.verifications, baseline) : undefined
+      if (flags.report) {
+        await writeReport(results.verifications, flags.report, flags['report-file'])
+      }
+
+      if (flags['update-baseline']) {
+        await summary(results)
+        await writeBaseline(flags.baseline, results.verifications)
+        return 0
+      } else if (classified) {
+        await summary(results)
+        baselineSummary(classified)
+        return classified[NEW_FAILURE].length > 0 ? 1 : 0
+      }
+      return batchExitCode(summary, results)
+    }
+  }
+}
+
+/**
+ * @description Prints the list of Commands currently available.
+ * @since 1.0.0
+ */
+const listCommands = () => {
+  console.log(`\nUsage : ${CLI_NAME} <command> [arguments] [options]\n`)
+  console.log(`The following commands are currently available...\n`)
+  for (const name in commands) {
+    console.log(`\t${name.padEnd(16)}${commands[name].description}`)
+  }
+  console.log(`\nYou can see additional help on each command using suffix "--help" or "?" ...\n`)
+  console.log(`\t${CLI_NAME} <command> --help\n`)
+  console.log(`Default options can be set for all commands, or for each command, in a ${CONFIG_FILE} file.\n`)
+}
+
+/**
+ * @description Prints the help for a Command.
+ * @param {String} name The Command name.
+ * @since 1.0.0
+ */
+const commandHelp = (name) => {
+  const command = commands[name]
+  const flags = { ...command.flags, ...globalFlags }
+
+  console.log(`\n${name} - ${command.description}\n`)
+  console.log(`Usage : ${CLI_NAME} ${name} ${command.args.map(arg => `<${arg}>`).join(' ')} [options]\n`)
+  console.log('Options :')
+  for (const flagName in flags) {
+    const flag = flags[flagName]
+    const value = flag.type === 'boolean' ? '' : ` <${flag.type === 'number' ? 'n' : 'value'}>`
+    console.log(`\t--${(flagName + value).padEnd(24)}${flag.required ? '(Required) ' : ''}${flag.description}`)
+  }
+  console.log('')
+}
+
+/**
+ * @description Converts a flag value into the type of the flag definition.
+ * @param {String} flagName The flag name.
+ * @param {Object} flag The flag definition.
+ * @param {*} value The flag value from the command line or config file.
+ * @returns {*} The converted flag value.
+ * @since 1.0.0
+ */
+const toFlagValue = (flagName, flag, value) => {
+  if (flag.type === 'boolean') {
+    if (typeof value === 'boolean') return value
+    if (value === 'true') return true
+    if (value === 'false') return false
+    throw Error(`Option '--${flagName}' must be true or false.`)
+  } else if (flag.type === 'number') {
+    const number = Number(value)
+    if (value === '' || value === null || Number.isNaN(number)) {
+      throw Error(`Option '--${flagName}' must be a number.`)
+    }
+    return number
+  }
+  if (typeof value !== 'string') {
+    throw Error(`Option '--${flagName}' must be a string.`)
+  }
+  return value
+}
+
+/**
+ * @description Parses the command line arguments for a Command into the positional arguments and named flags.
+ * @param {String} name The Command name.
+ * @param {String[]} argv The command line arguments, following the Command name.
+ * @returns {Object} The positional args array, and the flags object.
+ * @since 1.0.0
+ */
+const parseArgs = (name, argv) => {
+  logger.debug('parseArgs() started with : ', typeof name, 'name =', name, typeof argv, 'argv =', argv)
+  const flags = { ...commands[name].flags, ...globalFlags }
+  const parsed = { args: [], flags: {} }
+
+  for (let argIdx = 0; argIdx < argv.length; argIdx++) {
+    const arg = argv[argIdx]
+
+    if (!arg.startsWith('--')) {
+      parsed.args.push(arg)
+      continue
+    }
+
+    const eqPos = arg.indexOf('=')
+    let flagName = eqPos === -1 ? arg.substr(2) : arg.substring(2, eqPos)
+    let value = eqPos === -1 ? undefined : arg.substr(eqPos + 1)
+
+    // --no-<flag> turns off a boolean flag, for example one set in the config file
+    if (!flags[flagName] && flagName.startsWith('no-') && flags[flagName.substr(3)] && flags[flagName.substr(3)].type === 'boolean') {
+      flagName = flagName.substr(3)
+      value = false
+    }
+
+    const flag = flags[flagName]
+    if (!flag) {
+      throw Error(`Unknown option '--${flagName}' for command '${name}'.`)
+    }
+
+    if (typeof value === 'undefined') {
+      if (flag.type === 'boolean') {
+        value = true
+      } else if (argIdx + 1 < argv.length) {
+        value = argv[++argIdx]
+      } else {
+        throw Error(`Option '--${flagName}' requires a value.`)
+      }
+    }
+
+    parsed.flags[flagName] = toFlagValue(flagName, flag, value)
+  }
+
+  // A last argument like 'input-file...' takes any number of values
+  const commandArgs = commands[name].args
+  const isVariadic = commandArgs.length > 0 && commandArgs[commandArgs.length - 1].endsWith('...')
+  if (!isVariadic && parsed.args.length > commandArgs.length) {
+    throw Error(`Too many arguments were specified for command '${name}'.`)
+  }
+
+  return parsed
+}
+
+/**
+ * @description Loads the configuration file. If no file name is passed, the nearest config file is found by
+ *              searching the current directory and its parents, then the user's home directory.
+ * @param {String} [configFile] (Optional) The configuration file name.
+ * @returns {Promise<Object>} The configuration object, or an empty object if there is no config file.
+ * @since 1.0.0
+ */
+const loadConfig = async (configFile) => {
+  logger.debug('loadConfig() started with : ', typeof configFile, 'configFile =', configFile)
+  let configData
+
+  if (typeof configFile === 'string') {
+    configData = await fsPromises.readFile(configFile, 'utf8')
+      .catch(() => Promise.reject(Error(`Config file '${configFile}' must exist and you must have read permissions.`)))
+  } else {
+    const searchDirs = []
+    for (let dir = resolve(process.cwd()); !searchDirs.includes(dir); dir = dirname(dir)) {
+      searchDirs.push(dir)
+    }
+    searchDirs.push(homedir())
+
+    for (const dir of searchDirs) {
+      configFile = join(dir, CONFIG_FILE)
+      configData = await fsPromises.readFile(configFile, 'utf8').catch(() => undefined)
+      if (typeof configData === 'string') break
+    }
+  }
+
+  if (typeof configData !== 'string') {
+    return {}
+  }
+
+  logger.debug(`loadConfig() loading config file ${configFile}`)
+  try {
+    return JSON.parse(configData)
+  } catch (error) {
+    throw Error(`Config file '${configFile}' is not a valid JSON file.`)
+  }
+}
+
+/**
+ * @description Merges the config file defaults into the command line flags. Command line flags take priority
+ *              over the Command's section of the config file, which takes priority over the top-level defaults.
+ * @param {String} name The Command name.
+ * @param {Object} cliFlags The command line flags.
+ * @param {Object} config The configuration object.
+ * @returns {Object} The merged flags object.
+ * @since 1.0.0
+ */
+const applyConfig = (name, cliFlags, config) => {
+  const commandConfig = typeof config[name] === 'object' && config[name] !== null ? config[name] : {}
+  const merged = {}
+
+  const flags = { ...commands[name].flags, ...globalFlags }
+
+  for (const flagName in flags) {
+    const flag = flags[flagName]
+    if (typeof cliFlags[flagName] !== 'undefined') {
+      merged[flagName] = cliFlags[flagName]
+    } else if (typeof commandConfig[flagName] !== 'undefined') {
+      merged[flagName] = toFlagValue(flagName, flag, commandConfig[flagName])
+    } else if (typeof config[flagName] !== 'undefined' && typeof config[flagName] !== 'object') {
+      merged[flagName] = toFlagValue(flagName, flag, config[flagName])
+    }
+  }
+
+  return merged
+}
+
+/**
+ * @description Main function to run a Command from the command line.
+ * @param {String[]} argv The command line arguments, starting with the Command name.
+ * @returns {Promise<Number>} The process exit code.
+ * @since 1.0.0
+ */
+const run = async (argv) => {
+  logger.debug('run() started with : ', typeof argv, 'argv =', argv)
+  const [name, ...commandArgv] = argv
+
+  try {
+    if (typeof name === 'undefined' || name === '--help' || name === '?') {
+      listCommands()
+      return 0
+    }
+
+    if (name === 'help') {
+      if (commands[commandArgv[0]]) {
+        commandHelp(commandArgv[0])
+      } else {
+        listCommands()
+      }
+      return 0
+    }
+
+    if (!commands[name]) {
+      logger.error(`Unknown command '${name}'.`)
+      listCommands()
+      return 1
+    }
+
+    if (commandArgv.includes('--help') || commandArgv.includes('?')) {
+      commandHelp(name)
+      return 0
+    }
+
+    const command = commands[name]
+    const { args, flags } = parseArgs(name, commandArgv)
+    const options = applyConfig(name, flags, await loadConfig(flags.config))
+
+    if (args.length < command.args.length) {
+      throw Error(`Missing argument <${command.args[args.length]}> for command '${name}'.`)
+    }
+    for (const flagName in command.flags) {
+      if (command.flags[flagName].required && typeof options[flagName] === 'undefined') {
+        throw Error(`Option '--${flagName}' is required for command '${name}'.`)
+      }
+    }
+
+    if (typeof options['source-system'] !== 'undefined' || typeof options['source-root'] !== 'undefined') {
+      setSourceSystem(options['source-system'] || 'local', options['source-root'])
+    }
+    if (typeof options['db-pool-size'] !== 'undefined') {
+      setDBPoolSize(options['db-pool-size'])
+    }
+
+    return await command.run(args, options)
+  } catch (error) {
+    logger.error(`${error instanceof Error ? error.message : error}\n`)
+    if (commands[name]) {
+      logger.info(`See '${CLI_NAME} ${name} --help' for the available options.`)
+    }
+    return 1
+  } finally {
+    await closeConnections()
+      .catch(error => logger.error(`Unable to close the DB connections : ${error}`))
+  }
+}
+
+exports.commands = commands
+exports.loadConfig = loadConfig
+exports.run = run
@@ -0,0 +1,66 @@
+'use strict'
+
+const pino = require('pino')
+const { execSql } = require('../sourceSystems/db2')
+const { toSystemName } = require('../sourceSystems/names')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+/**
+ * @description Reads the lines of the latest spooled file of this user with the given name, created since a time.
+ * @param {String} spooledFile The spooled file name.
+ * @param {Date} since The time the command started.
+ * @returns {Promise<String[]>} The spooled file lines, or an empty array if there is no such spooled file.
+ * @since 1.0.0
+ */
+const readSpooledFile = async (spooledFile, since) => {
+  logger.debug('readSpooledFile() started with : ', typeof spooledFile, 'spooledFile =', spooledFile, typeof since, 'since =', since)
+
+  const findStmt = `select JOB_NAME, SPOOLED_FILE_NUMBER from QSYS2.OUTPUT_QUEUE_ENTRIES_BASIC where ` +
+    `SPOOLED_FILE_NAME = ? and ` +
+    `USER_NAME = USER and ` +
+    `CREATE_TIMESTAMP >= timestamp(?) ` +
+    `order by CREATE_TIMESTAMP desc fetch first 1 rows only`
+
+  const found = await execSql(findStmt, [toSystemName(spooledFile), since.toISOString().replace('T', ' ').replace('Z', '')])
+  const entry = found && Array.isArray(found.resultSet) ? found.resultSet[0] : undefined
+  if (!entry) {
+    return []
+  }
+
+  const dataStmt = `select SPOOLED_DATA from table(SYSTOOLS.SPOOLED_FILE_DATA(` +
+    `JOB_NAME => ?, SPOOLED_FILE_NAME => ?, SPOOLED_FILE_NUMBER => ?)) order by ORDINAL_POSITION`
+
+  const data = await execSql(dataStmt, [entry.JOB_NAME, toSystemName(spooledFile), String(entry.SPOOLED_FILE_NUMBER)])
+  return data && Array.isArray(data.resultSet) ? data.resultSet.map(row => row.SPOOLED_DATA || '') : []
+}
+
+/**
+ * @description Runs a CL command on IBM i with QCMDEXC, and reads the listing it spooled.
+ * @param {String} command The CL command.
+ * @param {Object} [options] (Optional) The command options.
+ * @param {String} [options.spooledFile] (Optional) The name of the listing spooled file to read.
+ * @returns {Promise<Object>} Whether the command completed, its error message if not, and the listing lines.
+ * @since 1.0.0
+ */
+const runCommand = async (command, options = {}) => {
+  logger.debug('runCommand() started with : ', typeof command, 'command =', command)
+  const since = new Date()
+
+  // A command that fails still spools its listing, which explains why
+  const error = await execSql('CALL QCMDEXC(?)', command)
+    .then(() => null)
+    .catch(err => err)
+
+  const listing = options.spooledFile ? await readSpooledFile(options.spooledFile, since) : []
+  return { success: !error, message: error ? String(error.message || error) : '', listing }
+}
+
+exports.name = 'db2'
+exports.runCommand = runCommand
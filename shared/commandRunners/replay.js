@@ -0,0 +1,65 @@
+'use strict'
+
+const { join, resolve } = require('path')
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+const { toSystemName } = require('../sourceSystems/names')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+/**
+ * @description Creates a Command Runner that stands in for IBM i, replaying canned listings instead of running the
+ *              commands. The listing of a spooled file is read from a text file named like 'MYDSPF.txt' in the
+ *              listing directory, and the commands that were run are kept in the runner's 'commands' list, so
+ *              the compile step can be tried and tested off the box.
+ * @param {String} listingDir The directory containing the canned listings.
+ * @returns {Object} The Command Runner object.
+ * @since 1.0.0
+ */
+const createCommandRunner = (listingDir) => {
+  logger.debug('createCommandRunner() started with : ', typeof listingDir, 'listingDir =', listingDir)
+
+  listingDir = resolve(listingDir)
+  const commands = []
+
+  /**
+   * @description Records a command, and replays the canned listing of its spooled file.
+   * @param {String} command The CL command.
+   * @param {Object} [options] (Optional) The command options.
+   * @param {String} [options.spooledFile] (Optional) The name of the listing spooled file to read.
+   * @returns {Promise<Object>} Whether the command completed, its error message if not, and the listing lines.
+   */
+  const runCommand = async (command, options = {}) => {
+    logger.debug('runCommand() started with : ', typeof command, 'command =', command)
+    commands.push(command)
+
+    if (!options.spooledFile) {
+      return { success: true, message: '', listing: [] }
+    }
+
+    const name = toSystemName(options.spooledFile)
+    const entries = await fsPromises.readdir(listingDir).catch(() => [])
+    const entry = entries.find(x => x.toUpperCase() === `${name}.TXT`)
+    if (!entry) {
+      return { success: false, message: `No canned listing '${name}.txt' was found in ${listingDir}.`, listing: [] }
+    }
+
+    const listing = (await fsPromises.readFile(join(listingDir, entry), 'utf8')).split(/\r\n|\n/)
+    return { success: true, message: '', listing }
+  }
+
+  return {
+    name: 'replay',
+    listingDir,
+    commands,
+    runCommand
+  }
+}
+
+exports.createCommandRunner = createCommandRunner
@@ -0,0 +1,126 @@
+'use strict'
+
+const pino = require('pino')
+const { toClName } = require('./sourceSystems/names')
+const { parseCompileListing, mapDiagnostics, formatDiagnostic } = require('./compileListing')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// CRTDSPF does not create the file if there are messages of this severity or higher
+const DEFAULT_GENLVL = 20
+
+let commandRunner
+
+/**
+ * @description Selects the Command Runner that runs the compile commands. 'db2' runs them on IBM i with QCMDEXC, and
+ *              reads their spooled listings with SQL. 'replay' stands in for IBM i, replaying canned listings from a
+ *              directory, see commandRunners/replay.js.
+ * @param {String} name The Command Runner name, 'db2' or 'replay'.
+ * @param {String} [listingDir] The directory containing the canned listings. Required for 'replay'.
+ * @returns {Object} The selected Command Runner object.
+ * @since 1.0.0
+ */
+const setCommandRunner = (name, listingDir) => {
+  logger.debug('setCommandRunner() started with : ', typeof name, 'name =', name, ', ', typeof listingDir, 'listingDir =', listingDir)
+
+  switch (name) {
+    case 'db2':
+      commandRunner = require('./commandRunners/db2')
+      break
+    case 'replay':
+      if (typeof listingDir !== 'string' || listingDir === '') {
+        throw Error(`Command Runner 'replay' requires a listing directory.`)
+      }
+      commandRunner = require('./commandRunners/replay').createCommandRunner(listingDir)
+      break
+    default:
+      throw Error(`Command Runner has an unexpected value '${name}'.`)
+  }
+
+  return commandRunner
+}
+
+/**
+ * @description Gets the selected Command Runner. If none has been selected, environment variables
+ *              PROFOUND_UTILS_COMMAND_RUNNER and PROFOUND_UTILS_LISTING_DIR are used, defaulting to 'db2'.
+ * @returns {Object} The selected Command Runner object.
+ * @since 1.0.0
+ */
+const getCommandRunner = () => {
+  if (!commandRunner) {
+    setCommandRunner(process.env.PROFOUND_UTILS_COMMAND_RUNNER || 'db2', process.env.PROFOUND_UTILS_LISTING_DIR)
+  }
+  return commandRunner
+}
+
+/**
+ * @description Compiles a display file from a Source Member with CRTDSPF, and parses its listing into diagnostics
+ *              that are mapped back to the record formats and JSON items, see compileListing.js.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {Object} [options] (Optional) The compile options.
+ * @param {String} [options.tgtLib] (Optional) The Library to create the display file in. Defaults to the Library of
+ *                                  the Source-physical file.
+ * @param {String} [options.tgtFile] (Optional) The display file name. Defaults to the Member name.
+ * @param {Boolean} [options.replace=true] (Optional) Replace an existing display file.
+ * @param {Number} [options.genLvl=20] (Optional) The lowest message severity that stops the file being created.
+ * @param {String} [options.compileOptions] (Optional) Any other CRTDSPF parameters, like 'RSTDSP(*YES) DFRWRT(*NO)'.
+ * @param {String[]} [options.ddsLines] (Optional) The DDS source lines in the Member, to map the diagnostics with.
+ * @returns {Promise<Object>} Whether the display file was created, the command, its error message, and the
+ *                            diagnostics, or the error message if we reject.
+ * @since 1.0.0
+ */
+const compileDspf = async (fil, lib, mbr, options = {}) => {
+  logger.debug('compileDspf() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+  try {
+    const { tgtLib = lib, tgtFile = mbr, replace = true, genLvl = DEFAULT_GENLVL, compileOptions, ddsLines } = options
+
+    if (!Number.isInteger(genLvl) || genLvl < 0 || genLvl > 30) {
+      throw Error(`Generation severity level must be a whole number from 0 to 30, but was '${genLvl}'.`)
+    }
+
+    const command = [
+      `CRTDSPF FILE(${toClName(tgtLib)}/${toClName(tgtFile)})`,
+      `SRCFILE(${toClName(lib)}/${toClName(fil)})`,
+      `SRCMBR(${toClName(mbr)})`,
+      `GENLVL(${genLvl})`,
+      `OPTION(*SRC *LIST)`,
+      `REPLACE(${replace === false ? '*NO' : '*YES'})`,
+      compileOptions || ''
+    ].join(' ').trim()
+
+    logger.info(`Compiling ${toClName(tgtLib)}/${toClName(tgtFile)} ...`)
+    const result = await getCommandRunner().runCommand(command, { spooledFile: tgtFile })
+
+    const parsed = parseCompileListing(result.listing)
+    const diagnostics = ddsLines ? mapDiagnostics(parsed, ddsLines) : parsed
+
+    for (const diagnostic of diagnostics) {
+      const level = diagnostic.severity >= genLvl ? 'error' : diagnostic.severity >= 10 ? 'warn' : 'info'
+      logger[level](formatDiagnostic(diagnostic))
+    }
+    if (!result.success) {
+      logger.error(`${command} failed : ${result.message}`)
+    }
+
+    return {
+      success: result.success && !diagnostics.some(diagnostic => diagnostic.severity >= genLvl),
+      command,
+      message: result.message,
+      diagnostics
+    }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+exports.setCommandRunner = setCommandRunner
+exports.getCommandRunner = getCommandRunner
+exports.compileDspf = compileDspf
@@ -0,0 +1,184 @@
+'use strict'
+
+const pino = require('pino')
+const { parseDds, getHtmlSections } = require('./ddsParser')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The severity levels of IBM i messages, by their lowest severity
+const SEVERITY_LEVELS = [
+  { severity: 40, level: 'terminal' },
+  { severity: 30, level: 'severe' },
+  { severity: 20, level: 'error' },
+  { severity: 10, level: 'warning' },
+  { severity: 0, level: 'info' }
+]
+
+/**
+ * @description Gets the level name of a message severity, like 'error' for 20 to 29.
+ * @param {Number} severity The message severity, 0 to 99.
+ * @returns {String} The level name.
+ * @since 1.0.0
+ */
+const getSeverityLevel = severity => SEVERITY_LEVELS.find(x => severity >= x.severity).level
+
+/**
+ * @description Parses a DDS compile listing, like the one spooled by CRTDSPF OPTION(*SRC *LIST), into diagnostics.
+ *              The source section runs from the 'SEQNBR' heading to '* * * * *  E N D  O F  S O U R C E', and
+ *              each source line in it starts with its sequence number. A message line starts with '*', like
+ *
+ *                * CPD7812-30  Keyword HTML parameter not valid.
+ *                * 200  CPD7812  30  Keyword HTML parameter not valid.
+ *
+ *              and is for the sequence number given, or the source line above it. Messages after the source section,
+ *              like CPF7302, are for the whole file.
+ * @param {String[]} listing The listing lines.
+ * @returns {Object[]} The diagnostics, each containing the message id, severity and level, the message text, and the
+ *                     sequence number and source line number (or null for the whole file).
+ * @since 1.0.0
+ */
+const parseCompileListing = listing => {
+  logger.debug('parseCompileListing() started with : ', typeof listing, 'listing =', listing)
+  const diagnostics = []
+  const seqLines = new Map()
+  let isSource = false
+  let lineNumber = 0
+  let lastLine = null
+
+  for (const listLine of listing) {
+    if (/E\s*N\s*D\s+O\s*F\s+S\s*O\s*U\s*R\s*C\s*E/.test(listLine)) {
+      isSource = false
+      lastLine = null
+      continue
+    }
+    if (lineNumber === 0 && !isSource && /^\s*SEQNBR\b/.test(listLine)) {
+      isSource = true
+      continue
+    }
+
+    const message = /^\s*\*\s+(?:(\d+(?:\.\d+)?)\s+)?([A-Z]{3}[0-9A-F]{4})\s*-?\s*(\d{1,2})\s+(.*?)\s*$/.exec(listLine)
+    if (message) {
+      const seq = message[1] || null
+      const line = seq !== null && seqLines.has(Number(seq)) ? seqLines.get(Number(seq)) : seq === null ? lastLine : null
+      const severity = Number.parseInt(message[3])
+      diagnostics.push({ id: message[2], severity, level: getSeverityLevel(severity), message: message[4], seq, line })
+      continue
+    }
+
+    const source = isSource ? /^\s*(\d+(?:\.\d+)?)(?:\s|$)/.exec(listLine) : null
+    if (source) {
+      lineNumber += 1
+      lastLine = lineNumber
+      seqLines.set(Number(source[1]), lineNumber)
+    }
+  }
+
+  return diagnostics
+}
+
+/**
+ * @description Finds where each part of an HTML section's JSON text starts, in terms of its source lines. The
+ *              keyword text of the lines, without the HTML(' and ') of each chunk and the '-' continuations, is the
+ *              JSON text with its quotes doubled.
+ * @param {Object[]} lines The source lines, from parseDds().
+ * @param {Object} section The HTML section, from getHtmlSections().
+ * @returns {Object} The JSON text with its quotes doubled, and the position of each source line in it.
+ * @since 1.0.0
+ */
+const getSectionText = (lines, section) => {
+  let text = ''
+  const offsets = new Map()
+
+  for (let lineNumber = section.lineNumber; lineNumber <= section.endLineNumber; lineNumber++) {
+    let part = lines[lineNumber - 1].keywordText.trimLeft()
+    part = part.startsWith(`HTML('`) ? part.substr(6) : lines[lineNumber - 1].keywordText
+    part = part.endsWith('-') ? part.slice(0, -1) : part.endsWith(`')`) ? part.slice(0, -2) : part
+    offsets.set(lineNumber, text.length)
+    text += part
+  }
+  return { text, offsets }
+}
+
+/**
+ * @description Maps compile diagnostics back to the record format, and the Rich Display JSON item, that each source
+ *              line came from. A line in an HTML section is mapped to the item whose JSON it contains, or to no item
+ *              if it only contains the record format's screen properties.
+ * @param {Object[]} diagnostics The diagnostics, from parseCompileListing().
+ * @param {String[]} ddsLines The DDS source lines that were compiled, without Sequence numbers and Dates.
+ * @returns {Object[]} The diagnostics, each with the record format name and item id added (or null).
+ * @since 1.0.0
+ */
+const mapDiagnostics = (diagnostics, ddsLines) => {
+  logger.debug('mapDiagnostics() started with : ', typeof diagnostics, 'diagnostics =', diagnostics)
+  let dds
+  try {
+    dds = parseDds(ddsLines)
+  } catch (error) {
+    logger.warn(`The compiled DDS could not be parsed, so the diagnostics are not mapped to the JSON : ${error.message}`)
+    return diagnostics.map(diagnostic => Object.assign({}, diagnostic, { recordFormat: null, item: null }))
+  }
+
+  const sections = dds.records.flatMap(getHtmlSections)
+
+  /**
+   * @description Finds the id of the JSON item on a source line of an HTML section.
+   * @param {Number} lineNumber The source line number.
+   * @returns {String} The item id, or null.
+   */
+  const findItem = lineNumber => {
+    const section = sections.find(x => lineNumber >= x.lineNumber && lineNumber <= x.endLineNumber)
+    if (!section) {
+      return null
+    }
+    const { text, offsets } = getSectionText(dds.lines, section)
+    const offset = offsets.get(lineNumber)
+    let position = 0
+    for (const item of JSON.parse(section.json).items || []) {
+      const itemText = JSON.stringify(item).replace(/'/g, `''`)
+      const start = text.indexOf(itemText, position)
+      if (start === -1) {
+        return null
+      }
+      position = start + itemText.length
+      if (offset < position) {
+        return offset >= start ? item.id || null : null
+      }
+    }
+    return null
+  }
+
+  return diagnostics.map(diagnostic => {
+    const line = diagnostic.line && dds.lines[diagnostic.line - 1]
+    return Object.assign({}, diagnostic, {
+      recordFormat: line ? line.record : null,
+      item: line ? findItem(diagnostic.line) : null
+    })
+  })
+}
+
+/**
+ * @description Formats a diagnostic for the log, like
+ *              'DDS line 12 (record format CTL1, item TextBox1) : CPD7812-30 Keyword HTML parameter not valid.'
+ * @param {Object} diagnostic The diagnostic, from mapDiagnostics().
+ * @returns {String} The formatted diagnostic.
+ * @since 1.0.0
+ */
+const formatDiagnostic = diagnostic => {
+  const where = [
+    diagnostic.recordFormat ? `record format ${diagnostic.recordFormat}` : '',
+    diagnostic.item ? `item ${diagnostic.item}` : ''
+  ].filter(x => x).join(', ')
+  return `${diagnostic.line ? `DDS line ${diagnostic.line}${where ? ` (${where})` : ''}` : 'DDS file'} : ` +
+    `${diagnostic.id}-${String(diagnostic.severity).padStart(2, '0')} ${diagnostic.message}`
+}
+
+exports.getSeverityLevel = getSeverityLevel
+exports.parseCompileListing = parseCompileListing
+exports.mapDiagnostics = mapDiagnostics
+exports.formatDiagnostic = formatDiagnostic
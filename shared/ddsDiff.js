@@ -0,0 +1,147 @@
+'use strict'
+
+const { structuredPatch } = require('diff')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The name used for the file-level lines, before the first record format
+const FILE_LEVEL = '*FILE'
+
+/**
+ * @description Tests to see if a DDS line has a leading Sequence number and Date, like '000100190101'.
+ * @param {String} srcLine The DDS source line.
+ * @returns {Boolean} True if the line starts with a Sequence number and Date.
+ * @since 1.0.0
+ */
+const hasSeqDate = srcLine => /^[0-9 ]{12}/.test(srcLine) && !isNaN(Number.parseInt(srcLine.substr(0, 12)))
+
+/**
+ * @description Splits DDS source into lines, applying the comparison options to each line.
+ * @param {String} ddsSource The DDS source.
+ * @param {Object} options The comparison options, see compareDds().
+ * @returns {String[]} The DDS lines.
+ * @since 1.0.0
+ */
+const toCompareLines = (ddsSource, options) => {
+  const lines = ddsSource.split(/\r?\n/)
+  // Ignore the empty line after the last line ending
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+
+  return lines.map(srcLine => {
+    if (options.ignoreSeqDates && hasSeqDate(srcLine)) {
+      srcLine = srcLine.substr(12)
+    }
+    if (options.ignoreTrailingBlanks) {
+      srcLine = srcLine.trimRight()
+    }
+    return srcLine
+  })
+}
+
+/**
+ * @description Finds the record format that each DDS line belongs to. Lines before the first record format are
+ *              file-level lines.
+ * @param {String[]} ddsLines The DDS lines, without Sequence numbers and Dates.
+ * @returns {String[]} The record format name for each line.
+ * @since 1.0.0
+ */
+const getLineFormats = ddsLines => {
+  let rcdFmt = FILE_LEVEL
+  return ddsLines.map(srcLine => {
+    if (srcLine.substr(6, 1) !== '*' && srcLine.substr(16, 1) === 'R') {
+      rcdFmt = srcLine.substr(18, 10).trim().toUpperCase()
+    }
+    return rcdFmt
+  })
+}
+
+/**
+ * @description Compares the original DDS source to the converted DDS source, line by line.
+ * @param {String} origDds The original DDS source.
+ * @param {String} newDds The converted DDS source.
+ * @param {Object} [options] (Optional) The comparison options.
+ * @param {Boolean} [options.ignoreTrailingBlanks=false] (Optional) Ignore blanks at the end of each line.
+ * @param {Boolean} [options.ignoreSeqDates=false] (Optional) Ignore leading Sequence numbers and Dates on each line.
+ * @param {Number} [options.context=3] (Optional) The number of unchanged lines to show around each difference.
+ * @param {String} [options.origName='original'] (Optional) The original DDS name, for the diff header.
+ * @param {String} [options.newName='converted'] (Optional) The converted DDS name, for the diff header.
+ * @returns {Object} The comparison, containing equal, the unified diff, and the differences grouped by record format,
+ *                   like [{ name: 'SFL1', removed: 1, added: 2 }].
+ * @since 1.0.0
+ */
+const compareDds = (origDds, newDds, options = {}) => {
+  logger.debug('compareDds() started with : ', typeof options, 'options =', options)
+
+  const context = typeof options.context === 'number' ? options.context : 3
+  if (!Number.isInteger(context) || context < 0) {
+    throw Error(`Context lines must be a whole number, but was '${options.context}'.`)
+  }
+
+  const origLines = toCompareLines(origDds, options)
+  const newLines = toCompareLines(newDds, options)
+  const withoutSeqDate = srcLine => hasSeqDate(srcLine) ? srcLine.substr(12) : srcLine
+  const origFormats = getLineFormats(origLines.map(withoutSeqDate))
+  const newFormats = getLineFormats(newLines.map(withoutSeqDate))
+
+  const patch = structuredPatch(options.origName || 'original', options.newName || 'converted',
+    origLines.join('\n') + '\n', newLines.join('\n') + '\n', '', '', { context })
+
+  if (patch.hunks.length === 0) {
+    return { equal: true, diff: '', formats: [] }
+  }
+
+  const diffLines = [`--- ${patch.oldFileName}`, `+++ ${patch.newFileName}`]
+  const formats = []
+  const countChange = (name, change) => {
+    let rcdFmt = formats.find(x => x.name === name)
+    if (!rcdFmt) {
+      rcdFmt = { name, removed: 0, added: 0 }
+      formats.push(rcdFmt)
+    }
+    rcdFmt[change] += 1
+  }
+
+  for (const hunk of patch.hunks) {
+    diffLines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`)
+    let origIndex = hunk.oldStart - 1
+    let newIndex = hunk.newStart - 1
+    for (const line of hunk.lines) {
+      diffLines.push(line)
+      if (line.startsWith('-')) {
+        countChange(origFormats[origIndex], 'removed')
+        origIndex += 1
+      } else if (line.startsWith('+')) {
+        countChange(newFormats[newIndex], 'added')
+        newIndex += 1
+      } else if (line.startsWith(' ')) {
+        origIndex += 1
+        newIndex += 1
+      }
+    }
+  }
+
+  return { equal: false, diff: diffLines.join('\n') + '\n', formats }
+}
+
+/**
+ * @description Describes the differences for each record format, like 'SFL1 (1 removed, 2 added)'.
+ * @param {Object[]} formats The differences grouped by record format, from compareDds().
+ * @returns {String} The description.
+ * @since 1.0.0
+ */
+const describeFormats = formats => formats
+  .map(rcdFmt => `${rcdFmt.name} (${rcdFmt.removed} removed, ${rcdFmt.added} added)`)
+  .join(', ')
+
+exports.FILE_LEVEL = FILE_LEVEL
+exports.compareDds = compareDds
+exports.describeFormats = describeFormats
@@ -0,0 +1,404 @@
+'use strict'
+
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The DDS columns, as 0-based offsets into a source line without a Sequence number and Date
+const COLUMNS = {
+  formType: 5,
+  comment: 6,
+  indicators: 7,
+  nameType: 16,
+  name: 18,
+  reference: 28,
+  length: 29,
+  dataType: 34,
+  decimals: 35,
+  usage: 37,
+  line: 38,
+  pos: 41,
+  keywords: 44
+}
+const KEYWORD_AREA_LENGTH = 36
+
+/**
+ * @description Creates a DDS parse error, with the source line number and column in the message and as properties.
+ * @param {String} message The error message.
+ * @param {Number} lineNumber The source line number, starting at 1.
+ * @param {Number} column The source column, starting at 1.
+ * @returns {Error} The parse error.
+ * @since 1.0.0
+ */
+const parseError = (message, lineNumber, column) => {
+  const error = Error(`DDS line ${lineNumber}, column ${column} : ${message}`)
+  error.lineNumber = lineNumber
+  error.column = column
+  return error
+}
+
+/**
+ * @description Classifies a DDS source line by its Form type and Name type columns.
+ * @param {String} srcLine The DDS source line, without a Sequence number and Date.
+ * @returns {String} The kind of line, 'blank', 'sda' (an A*%% SDA line), 'pui' (an A*PUI line), 'comment',
+ *                   'record', 'help' or 'entry' (a field, constant or keyword line).
+ * @since 1.0.0
+ */
+const getLineKind = srcLine => {
+  if (srcLine.trim() === '') {
+    return 'blank'
+  } else if (srcLine.substr(COLUMNS.comment, 1) === '*') {
+    if (srcLine.substr(COLUMNS.comment, 3) === '*%%') return 'sda'
+    if (srcLine.substr(COLUMNS.comment, 4) === '*PUI') return 'pui'
+    return 'comment'
+  } else if (srcLine.substr(COLUMNS.nameType, 1) === 'R') {
+    return 'record'
+  } else if (srcLine.substr(COLUMNS.nameType, 1) === 'H') {
+    return 'help'
+  }
+  return 'entry'
+}
+
+/**
+ * @description Parses the conditioning indicators in columns 8 to 16 of a DDS line, like '  50N31'.
+ * @param {String} srcLine The DDS source line.
+ * @param {Number} lineNumber The source line number, for any parse error.
+ * @returns {Object[]} The indicators, each containing the indicator number and whether it is negated.
+ * @since 1.0.0
+ */
+const parseIndicators = (srcLine, lineNumber) => {
+  const indicators = []
+  for (let pos = COLUMNS.indicators; pos < COLUMNS.nameType; pos += 3) {
+    const slot = srcLine.substr(pos, 3)
+    if (slot.trim() === '') continue
+    if (!/^[ N]\d\d$/.test(slot)) {
+      throw parseError(`Conditioning indicator '${slot.trim()}' is not valid, expected an indicator like 'N50'.`, lineNumber, pos + 1)
+    }
+    indicators.push({ indicator: slot.substr(1), negated: slot.startsWith('N') })
+  }
+  return indicators
+}
+
+/**
+ * @description Parses a numeric DDS column, like the length or the line number.
+ * @param {String} srcLine The DDS source line.
+ * @param {Number} offset The 0-based offset of the column.
+ * @param {Number} width The width of the column.
+ * @param {String} description The column description, for any parse error.
+ * @param {Number} lineNumber The source line number, for any parse error.
+ * @param {Boolean} [allowRelative=false] (Optional) Allow a '+n' relative value.
+ * @returns {Number | null} The value, or null if the column is blank.
+ * @since 1.0.0
+ */
+const parseNumber = (srcLine, offset, width, description, lineNumber, allowRelative = false) => {
+  const text = srcLine.substr(offset, width).trim()
+  if (text === '') {
+    return null
+  }
+  if (!(allowRelative ? /^\+?\d+$/ : /^\d+$/).test(text)) {
+    throw parseError(`${description} '${text}' is not a number.`, lineNumber, offset + 1)
+  }
+  return Number.parseInt(text)
+}
+
+/**
+ * @description Gets the keyword area of a DDS line, in columns 45 to 80.
+ * @param {String} srcLine The DDS source line.
+ * @returns {String} The keyword text, without trailing blanks.
+ * @since 1.0.0
+ */
+const getKeywordText = srcLine => srcLine.substr(COLUMNS.keywords, KEYWORD_AREA_LENGTH).trimRight()
+
+/**
+ * @description Joins the keyword area of a DDS line with any continuation lines. A '-' keeps the leading blanks of
+ *              the next line, and a '+' skips them.
+ * @param {String[]} srcLines The DDS source lines.
+ * @param {Number} srcIdx The index of the first line.
+ * @returns {Object} The joined text, the index of the last line used, and the segments that map each part of the text
+ *                   back to its source line and column.
+ * @since 1.0.0
+ */
+const joinKeywordLines = (srcLines, srcIdx) => {
+  let text = getKeywordText(srcLines[srcIdx])
+  const segments = [{ offset: 0, lineNumber: srcIdx + 1, column: COLUMNS.keywords + 1 }]
+
+  while (/[-+]$/.test(text)) {
+    if (srcIdx + 1 >= srcLines.length) {
+      throw parseError('Keyword is continued, but there are no more source lines.', srcIdx + 1, COLUMNS.keywords + srcLines[srcIdx].substr(COLUMNS.keywords).trimRight().length)
+    }
+    const isPlus = text.endsWith('+')
+    text = text.slice(0, -1)
+    srcIdx += 1
+    let continuation = getKeywordText(srcLines[srcIdx])
+    let column = COLUMNS.keywords + 1
+    if (isPlus) {
+      column += continuation.length - continuation.trimLeft().length
+      continuation = continuation.trimLeft()
+    }
+    segments.push({ offset: text.length, lineNumber: srcIdx + 1, column })
+    text += continuation
+  }
+  return { text, lastIdx: srcIdx, segments }
+}
+
+/**
+ * @description Finds the source line number and column of a position in joined keyword text.
+ * @param {Object[]} segments The segments of the joined text, from joinKeywordLines().
+ * @param {Number} offset The position in the joined text.
+ * @returns {Object} The source line number and column.
+ * @since 1.0.0
+ */
+const locate = (segments, offset) => {
+  const segment = segments.filter(x => x.offset <= offset).pop()
+  return { lineNumber: segment.lineNumber, column: segment.column + offset - segment.offset }
+}
+
+/**
+ * @description Splits joined keyword text into keywords, like 'DSPATR(HI) COLOR(RED)'. A quoted literal is a
+ *              constant, and is returned as a keyword without a name.
+ * @param {String} text The joined keyword text, from joinKeywordLines().
+ * @param {Object[]} segments The segments of the joined text, from joinKeywordLines().
+ * @returns {Object[]} The keywords, each containing the name, the value inside the parentheses (or the text of a
+ *                     constant), the literal if the value is a single quoted literal, and the line number and column.
+ * @since 1.0.0
+ */
+const splitKeywords = (text, segments) => {
+  const keywords = []
+  let index = 0
+
+  // Reads a quoted literal starting at the index, where '' is an escaped quote
+  const readLiteral = () => {
+    const start = index
+    let literal = ''
+    index += 1
+    while (index < text.length) {
+      if (text[index] === `'` && text[index + 1] === `'`) {
+        literal += `'`
+        index += 2
+      } else if (text[index] === `'`) {
+        index += 1
+        return literal
+      } else {
+        literal += text[index]
+        index += 1
+      }
+    }
+    const { lineNumber, column } = locate(segments, start)
+    throw parseError('Quoted literal is not closed.', lineNumber, column)
+  }
+
+  while (index < text.length) {
+    const start = index
+    const { lineNumber, column } = locate(segments, start)
+    if (text[index] === ' ') {
+      index += 1
+    } else if (text[index] === `'`) {
+      const literal = readLiteral()
+      keywords.push({ name: '', value: literal, literal, lineNumber, column })
+    } else {
+      while (index < text.length && !/[ ()']/.test(text[index])) {
+        index += 1
+      }
+      const name = text.substring(start, index).toUpperCase()
+      if (name === '') {
+        throw parseError(`Unexpected '${text[index]}', expected a keyword name.`, lineNumber, column)
+      }
+      let value = null
+      let literal = null
+      if (text[index] === '(') {
+        // Read up to the matching parenthesis, skipping over any quoted literals
+        const valueStart = index + 1
+        let depth = 0
+        do {
+          if (text[index] === `'`) {
+            readLiteral()
+            continue
+          }
+          depth += text[index] === '(' ? 1 : text[index] === ')' ? -1 : 0
+          index += 1
+        } while (depth > 0 && index < text.length)
+        if (depth > 0) {
+          throw parseError(`Keyword ${name} has no closing parenthesis.`, lineNumber, column)
+        }
+        value = text.substring(valueStart, index - 1)
+        if (/^'([^']|'')*'$/.test(value)) {
+          literal = value.slice(1, -1).replace(/''/g, `'`)
+        }
+      }
+      keywords.push({ name, value, literal, lineNumber, column })
+    }
+  }
+  return keywords
+}
+
+/**
+ * @description Parses DDS source into a structured model. Every part of the model keeps its source line number.
+ *
+ *              The file-level keywords are those before the first record format. Each record format contains its
+ *              keywords, and its fields and constants in source order. A field or constant contains its name (blank for
+ *              a constant), length, data type, decimals, usage, line and position (with '+n' positions resolved),
+ *              its conditioning indicators, and its keywords. Conditioning indicators on a field line condition the
+ *              field, and indicators on a keyword line condition the keywords on that line.
+ *
+ * @param {String[]} srcLines The DDS source lines, without Sequence numbers and Dates.
+ * @returns {Object} The model, containing the file-level keywords, the record formats, the comments (including the
+ *                   A*%% SDA lines), and for each source line its kind, record format name and keyword text.
+ * @since 1.0.0
+ */
+const parseDds = srcLines => {
+  logger.debug('parseDds() started with : ', typeof srcLines, 'srcLines =', srcLines)
+  const dds = { keywords: [], records: [], comments: [], lines: [] }
+  let record = null
+  let entry = null
+  let isHelp = false
+
+  for (let srcIdx = 0; srcIdx < srcLines.length; srcIdx++) {
+    const srcLine = srcLines[srcIdx]
+    const lineNumber = srcIdx + 1
+    const kind = getLineKind(srcLine)
+    const name = srcLine.substr(COLUMNS.name, 10).trim().toUpperCase()
+    const recordName = kind === 'record' ? name : record ? record.name : null
+    dds.lines.push({ lineNumber, kind, record: recordName, keywordText: getKeywordText(srcLine) })
+
+    if (kind === 'blank') {
+      continue
+    }
+    if (['sda', 'pui', 'comment'].includes(kind)) {
+      dds.comments.push({ lineNumber, kind, text: srcLine })
+      continue
+    }
+    if (srcLine.length <= COLUMNS.formType) {
+      throw parseError(`Line ends before the Form type, expected 'A' in column ${COLUMNS.formType + 1}.`, lineNumber, srcLine.length + 1)
+    } else if (!/^[A ]$/.test(srcLine.substr(COLUMNS.formType, 1))) {
+      throw parseError(`Form type '${srcLine.substr(COLUMNS.formType, 1)}' is not valid, expected 'A'.`, lineNumber, COLUMNS.formType + 1)
+    }
+
+    const indicators = parseIndicators(srcLine, lineNumber)
+    const isOr = srcLine.substr(COLUMNS.comment, 1) === 'O'
+    const { text, lastIdx, segments } = joinKeywordLines(srcLines, srcIdx)
+    const keywords = splitKeywords(text, segments)
+      .map(keyword => Object.assign(keyword, { endLineNumber: lastIdx + 1, indicators, isOr }))
+    for (let contIdx = srcIdx + 1; contIdx <= lastIdx; contIdx++) {
+      dds.lines.push({ lineNumber: contIdx + 1, kind: 'continuation', record: recordName, keywordText: getKeywordText(srcLines[contIdx]) })
+    }
+    srcIdx = lastIdx
+
+    if (kind === 'record') {
+      if (name === '') {
+        throw parseError('Record format has no name.', lineNumber, COLUMNS.name + 1)
+      }
+      record = { name, lineNumber, endLineNumber: lastIdx + 1, keywords, fields: [] }
+      dds.records.push(record)
+      entry = null
+      isHelp = false
+      continue
+    }
+    if (kind === 'help') {
+      // Help specifications, and their keywords, belong to the record format
+      isHelp = true
+      if (record) record.endLineNumber = lastIdx + 1
+      continue
+    }
+
+    const posText = srcLine.substr(COLUMNS.pos, 3).trim()
+    if (name === '' && posText === '') {
+      // A keyword line for the current field or constant, or for the help, record format or file
+      if (isHelp) {
+        // Help keywords are not converted
+      } else if (entry) {
+        entry.keywords.push(...keywords)
+        entry.endLineNumber = lastIdx + 1
+      } else if (record) {
+        record.keywords.push(...keywords)
+      } else {
+        dds.keywords.push(...keywords)
+      }
+      if (record) record.endLineNumber = lastIdx + 1
+      continue
+    }
+    if (!record) {
+      throw parseError(`${name === '' ? 'Constant' : `Field ${name}`} is not in a record format.`, lineNumber, COLUMNS.name + 1)
+    }
+    isHelp = false
+
+    const previous = record.fields[record.fields.length - 1]
+    let length = parseNumber(srcLine, COLUMNS.length, 5, 'Length', lineNumber)
+    if (name === '') {
+      const constant = keywords.find(keyword => keyword.name === '' || keyword.name === 'DFT')
+      length = constant && typeof constant.literal === 'string' ? constant.literal.length : null
+    }
+    const line = parseNumber(srcLine, COLUMNS.line, 3, 'Line', lineNumber)
+    let pos = parseNumber(srcLine, COLUMNS.pos, 3, 'Position', lineNumber, true)
+    if (posText.startsWith('+')) {
+      pos = previous && previous.pos !== null ? previous.pos + (previous.length || 0) + pos : pos
+    }
+
+    entry = {
+      name,
+      lineNumber,
+      endLineNumber: lastIdx + 1,
+      isReference: srcLine.substr(COLUMNS.reference, 1) === 'R',
+      length,
+      type: srcLine.substr(COLUMNS.dataType, 1).trim(),
+      decimals: parseNumber(srcLine, COLUMNS.decimals, 2, 'Decimal positions', lineNumber),
+      usage: srcLine.substr(COLUMNS.usage, 1).trim(),
+      line: line === null && posText !== '' && previous ? previous.line : line,
+      pos,
+      indicators,
+      isOr,
+      // Indicators on the field line condition the field, and not the keywords on that line
+      keywords: keywords.map(keyword => Object.assign(keyword, { indicators: [] }))
+    }
+    record.fields.push(entry)
+    record.endLineNumber = lastIdx + 1
+  }
+
+  return dds
+}
+
+/**
+ * @description Gets the Rich Display HTML sections of a record format. A section starts with an HTML keyword
+ *              containing '{', and continues over any following HTML keywords until it is complete JSON.
+ * @param {Object} record The record format, from parseDds().
+ * @returns {Object[]} The sections, each containing the JSON text, the first and last source line numbers, and the
+ *                     line number column of the HTML constant.
+ * @since 1.0.0
+ */
+const getHtmlSections = record => {
+  const sections = []
+  let section = null
+
+  for (const field of record.fields) {
+    for (const keyword of field.keywords.filter(x => x.name === 'HTML' && typeof x.literal === 'string')) {
+      if (!section && keyword.literal.startsWith('{')) {
+        section = { json: '', lineNumber: keyword.lineNumber, line: field.line }
+      }
+      if (section) {
+        section.json += keyword.literal
+        section.endLineNumber = keyword.endLineNumber
+        try {
+          JSON.parse(section.json)
+          sections.push(section)
+          section = null
+        } catch (error) {
+          // There must be more JSON in the next HTML keyword
+        }
+      }
+    }
+  }
+  if (section) {
+    throw parseError(`The HTML for record format ${record.name} is not valid JSON.`, section.lineNumber, COLUMNS.keywords + 1)
+  }
+  return sections
+}
+
+exports.joinKeywordLines = joinKeywordLines
+exports.splitKeywords = splitKeywords
+exports.parseDds = parseDds
+exports.getHtmlSections = getHtmlSections
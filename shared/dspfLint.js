@@ -0,0 +1,343 @@
+'use strict'
+
+const Ajv = require('ajv')
+const pino = require('pino')
+const { parseDds, getHtmlSections } = require('./ddsParser')
+const { chunkData } = require('./asyncUtils')
+const { readSourceFile } = require('./sourceText')
+const { readIbmISrcMbrSource } = require('./seqDates')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// jsonToDds splits the HTML of each record format into chunks of this size, and the DDS compiler can not take an
+// HTML keyword longer than HTML_LIMIT bytes
+const CHUNK_SIZE = 2500
+const HTML_LIMIT = 5000
+
+const LINT_FORMATS = ['text', 'sarif']
+
+// The lint rules, by id
+const RULES = {
+  schema: 'The JSON must match the Rich Display File schema, shared/dspf.schema.json.',
+  'duplicate-id': 'Item ids must be unique in each record format.',
+  'missing-field': 'Bound fields must be defined in the record format of the DDS source.',
+  'inconsistent-field': 'A field bound more than once must have the same length and decimals everywhere.',
+  'missing-format': 'The record formats of the JSON and of the DDS source must match.',
+  'html-size': `The HTML of a record format must fit the ${CHUNK_SIZE}-byte chunks and ${HTML_LIMIT}-byte HTML keywords of the DDS.`
+}
+
+let validateSchema
+
+/**
+ * @description Gets the JSON path of a property, like "$.formats[0].screen['record format name']".
+ * @param {String} path The JSON path of the parent object.
+ * @param {String | Number} property The property name, or the array index.
+ * @returns {String} The JSON path of the property.
+ * @since 1.0.0
+ */
+const jsonPath = (path, property) => typeof property === 'number' ? `${path}[${property}]`
+  : /^[A-Za-z_$][\w$]*$/.test(property) ? `${path}.${property}` : `${path}['${property.replace(/'/g, `\\'`)}']`
+
+/**
+ * @description Validates a Rich Display File against its JSON Schema.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object[]} The problems found, each containing the rule, level, message and JSON path.
+ * @since 1.0.0
+ */
+const checkSchema = dspf => {
+  if (!validateSchema) {
+    validateSchema = new Ajv({ allErrors: true }).compile(require('./dspf.schema.json'))
+  }
+  if (validateSchema(dspf)) {
+    return []
+  }
+
+  // A value that matches no choice of a oneOf fails every choice, so only report the oneOf
+  const oneOfPaths = validateSchema.errors.filter(error => error.keyword === 'oneOf').map(error => error.dataPath)
+  return validateSchema.errors
+    .filter(error => error.keyword === 'oneOf' || !oneOfPaths.includes(error.dataPath))
+    .map(error => ({
+      rule: 'schema',
+      level: 'error',
+      message: error.keyword !== 'oneOf' ? error.message
+        : error.schemaPath.startsWith('#/definitions/wholeNumber') ? 'should be a whole number'
+          : 'should be a string or number, or an object bound to a field',
+      path: `$${error.dataPath.replace(/\['([A-Za-z_$][\w$]*)'\]/g, '.$1')}`
+    }))
+}
+
+/**
+ * @description Finds the field bindings of a Rich Display File. Indicators and expressions are not fields, so they
+ *              are ignored.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object[]} The bindings, each containing the record format and item they are in, the binding, and its
+ *                     JSON path.
+ * @since 1.0.0
+ */
+const getFieldBindings = dspf => {
+  const bindings = []
+  dspf.formats.forEach((format, formatIdx) => {
+    const formatPath = jsonPath('$.formats', formatIdx)
+    const objects = [{ object: format.screen, path: jsonPath(formatPath, 'screen') }]
+      .concat(format.items.map((item, itemIdx) => ({ object: item, item, path: jsonPath(jsonPath(formatPath, 'items'), itemIdx) })))
+
+    for (const { object, item, path } of objects) {
+      for (const property in object) {
+        const binding = object[property]
+        if (binding && typeof binding === 'object' && !['indicator', 'expression'].includes(binding.dataType)) {
+          bindings.push({ format, item, binding, path: jsonPath(path, property) })
+        }
+      }
+    }
+  })
+  return bindings
+}
+
+/**
+ * @description Checks that the item ids are unique in each record format.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object[]} The problems found.
+ * @since 1.0.0
+ */
+const checkDuplicateIds = dspf => {
+  const problems = []
+  dspf.formats.forEach((format, formatIdx) => {
+    const ids = new Map()
+    format.items.forEach((item, itemIdx) => {
+      const path = jsonPath(jsonPath(jsonPath(jsonPath('$.formats', formatIdx), 'items'), itemIdx), 'id')
+      if (ids.has(item.id)) {
+        problems.push({ rule: 'duplicate-id', level: 'error', message: `Item id '${item.id}' is already used by ${ids.get(item.id)}.`, path })
+      } else {
+        ids.set(item.id, path)
+      }
+    })
+  })
+  return problems
+}
+
+/**
+ * @description Checks that every field bound more than once has the same length and decimals.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object[]} The problems found.
+ * @since 1.0.0
+ */
+const checkFieldDefinitions = dspf => {
+  const problems = []
+  const fields = new Map()
+
+  for (const { binding, path } of getFieldBindings(dspf)) {
+    const name = binding.fieldName.toUpperCase()
+    // Lengths and decimals can be written like '07', '7' or 7
+    const wholeNumber = value => typeof value === 'undefined' || value === '' ? '' : String(Number(value))
+    const definition = { length: wholeNumber(binding.dataLength), decimals: wholeNumber(binding.decPos), path }
+    const first = fields.get(name)
+    if (!first) {
+      fields.set(name, definition)
+    } else if ((definition.length && first.length && definition.length !== first.length) ||
+      (definition.decimals && first.decimals && definition.decimals !== first.decimals)) {
+      const describe = x => `length ${x.length || '?'}${x.decimals ? `, ${x.decimals} decimals` : ''}`
+      problems.push({ rule: 'inconsistent-field', level: 'warning', message: `Field ${name} has ${describe(definition)}, but ${describe(first)} at ${first.path}.`, path })
+    }
+  }
+  return problems
+}
+
+/**
+ * @description Checks the record formats and bound fields of a Rich Display File against its DDS source. The fields
+ *              of a grid's items are in the grid's subfile record format.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @param {String[]} ddsLines The DDS source lines, without Sequence numbers and Dates.
+ * @returns {Object[]} The problems found.
+ * @since 1.0.0
+ */
+const checkAgainstDds = (dspf, ddsLines) => {
+  const problems = []
+  const records = new Map(parseDds(ddsLines).records.map(record => [record.name, record]))
+  const formatNames = dspf.formats.map(format => format.screen['record format name'].toUpperCase())
+
+  dspf.formats.forEach((format, formatIdx) => {
+    if (!records.has(formatNames[formatIdx])) {
+      problems.push({
+        rule: 'missing-format',
+        level: 'warning',
+        message: `Record format ${formatNames[formatIdx]} is not in the DDS source, so it is only written by conversion method 2.`,
+        path: jsonPath(jsonPath(jsonPath('$.formats', formatIdx), 'screen'), 'record format name')
+      })
+    }
+  })
+  for (const record of records.values()) {
+    if (getHtmlSections(record).length > 0 && !formatNames.includes(record.name)) {
+      problems.push({ rule: 'missing-format', level: 'error', message: `Record format ${record.name} of the DDS source (line ${record.lineNumber}) is not in the JSON.`, path: '$.formats' })
+    }
+  }
+
+  for (const { format, item, binding, path } of getFieldBindings(dspf)) {
+    const grid = item && item.grid && format.items.find(x => x.id === item.grid && typeof x['record format name'] === 'string')
+    const rcdFmt = (grid ? grid['record format name'] : format.screen['record format name']).toUpperCase()
+    const record = records.get(rcdFmt)
+    const name = binding.fieldName.toUpperCase()
+    if (record && !record.fields.some(field => field.name === name)) {
+      problems.push({ rule: 'missing-field', level: 'error', message: `Field ${name} is not defined in record format ${rcdFmt} of the DDS source.`, path })
+    }
+  }
+  return problems
+}
+
+/**
+ * @description Checks that the HTML of each record format fits the DDS. jsonToDds splits it into chunks of 2500
+ *              characters, but characters that take more than one byte can make a chunk longer than that in bytes.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Promise<Object[]>} The problems found.
+ * @since 1.0.0
+ */
+const checkHtmlSize = async dspf => {
+  const problems = []
+  for (let formatIdx = 0; formatIdx < dspf.formats.length; formatIdx++) {
+    const format = dspf.formats[formatIdx]
+    const chunks = await chunkData(JSON.stringify(format).replace(/'/g, `''`), CHUNK_SIZE)
+    chunks.forEach((chunk, chunkIdx) => {
+      const bytes = Buffer.byteLength(chunk, 'utf8')
+      if (bytes > HTML_LIMIT) {
+        problems.push({ rule: 'html-size', level: 'error', message: `HTML chunk ${chunkIdx + 1} of record format ${format.screen['record format name']} is ${bytes} bytes, over the ${HTML_LIMIT}-byte limit of an HTML keyword.`, path: jsonPath('$.formats', formatIdx) })
+      } else if (bytes > CHUNK_SIZE) {
+        problems.push({ rule: 'html-size', level: 'warning', message: `HTML chunk ${chunkIdx + 1} of record format ${format.screen['record format name']} is ${bytes} bytes, over the ${CHUNK_SIZE}-byte chunk size.`, path: jsonPath('$.formats', formatIdx) })
+      }
+    })
+  }
+  return problems
+}
+
+/**
+ * @description Lints a Rich Display File. It is checked against the JSON Schema first, and only if it matches, for
+ *              duplicate item ids, inconsistent field definitions, HTML that is too long, and, if the original DDS
+ *              source is passed, for record formats and bound fields that are missing from it. The 'dds' lines of an
+ *              All-In-One file are not used, as they leave out the HTML and hidden fields that jsonToDds generates.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @param {String[]} [ddsLines] (Optional) The original DDS source lines, without Sequence numbers and Dates.
+ * @returns {Promise<Object[]>} The problems found, each containing the rule, the level ('error' or 'warning'), the
+ *                              message and the JSON path.
+ * @since 1.0.0
+ */
+const lintDspf = async (dspf, ddsLines) => {
+  logger.debug('lintDspf() started with : ', typeof dspf, 'dspf =', dspf, typeof ddsLines, 'ddsLines =', ddsLines)
+  const problems = checkSchema(dspf)
+  if (problems.length > 0) {
+    return problems
+  }
+
+  problems.push(...checkDuplicateIds(dspf), ...checkFieldDefinitions(dspf), ...await checkHtmlSize(dspf))
+
+  if (ddsLines) {
+    try {
+      problems.push(...checkAgainstDds(dspf, ddsLines))
+    } catch (error) {
+      problems.push({ rule: 'missing-format', level: 'error', message: `The DDS source could not be parsed : ${error.message}`, path: '$' })
+    }
+  }
+  return problems
+}
+
+/**
+ * @description Lints Rich Display JSON files. The record formats of a single file can also be checked against its
+ *              original DDS source, which is a path-based file, or a Source Member used with srcLibOrig and srcMbrOrig.
+ * @param {String[]} inJsonFiles The path-based JSON file names, or the directories or manifests of split Rich Display
+ *                               Files.
+ * @param {Object} [options] (Optional) The lint options.
+ * @param {String} [options.srcFilOrig] (Optional) The Original DDS source file.
+ * @param {String} [options.srcLibOrig] (Optional) The Library containing the Original Source Physical File.
+ * @param {String} [options.srcMbrOrig] (Optional) The Original Source Member name.
+ * @returns {Promise<Object[]>} The lint results, each containing the JSON file name and its problems, or the error
+ *                              message if we reject.
+ * @since 1.0.0
+ */
+const lintFiles = async (inJsonFiles, options = {}) => {
+  logger.debug('lintFiles() started with : ', typeof inJsonFiles, 'inJsonFiles =', inJsonFiles, typeof options, 'options =', options)
+  try {
+    const { srcFilOrig, srcLibOrig, srcMbrOrig } = options
+    let ddsLines
+
+    if (typeof srcFilOrig === 'string') {
+      if (inJsonFiles.length > 1) {
+        throw Error(`The Original DDS source can only be specified when linting one JSON file.`)
+      }
+      const originalDds = typeof srcLibOrig === 'string'
+        ? await readIbmISrcMbrSource(srcFilOrig, srcLibOrig, srcMbrOrig)
+        : await readSourceFile(srcFilOrig)
+          .catch(() => Promise.reject(Error(`Original DDS file '${srcFilOrig}' must exist and you must have read permissions.`)))
+      ddsLines = originalDds.lines
+    }
+
+    // Loaded here, as the split layout uses the canonical JSON, which uses checkSchema()
+    const { readDspf } = require('./splitLayout')
+
+    const results = []
+    for (const file of inJsonFiles) {
+      let dspf
+      try {
+        dspf = await readDspf(file)
+      } catch (error) {
+        const message = error.code === 'ENOENT' ? `The file must exist and you must have read permissions.` : error.message
+        results.push({ file, problems: [{ rule: 'schema', level: 'error', message, path: '$' }] })
+        continue
+      }
+      results.push({ file, problems: await lintDspf(dspf, ddsLines) })
+    }
+    return results
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Formats lint problems as text, one per line, like
+ *              "mydspf.json: $.formats[0].items[2].id: error: Item id 'T1' is already used by ... [duplicate-id]".
+ * @param {Object[]} results The lint results, each containing the JSON file name and its problems.
+ * @returns {String} The text report.
+ * @since 1.0.0
+ */
+const toText = results => results
+  .flatMap(({ file, problems }) => problems.map(problem => `${file}: ${problem.path}: ${problem.level}: ${problem.message} [${problem.rule}]`))
+  .join('\n') + '\n'
+
+/**
+ * @description Formats lint problems as a SARIF 2.1.0 log, for code scanning tools. Each result is located by its
+ *              JSON path, as a logical location in its JSON file.
+ * @param {Object[]} results The lint results, each containing the JSON file name and its problems.
+ * @returns {String} The SARIF log.
+ * @since 1.0.0
+ */
+const toSarif = results => JSON.stringify({
+  $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+  version: '2.1.0',
+  runs: [{
+    tool: {
+      driver: {
+        name: 'profound-utils lint',
+        informationUri: 'https://github.com/ProfoundLogic/profound-utils',
+        rules: Object.keys(RULES).map(id => ({ id, shortDescription: { text: RULES[id] } }))
+      }
+    },
+    results: results.flatMap(({ file, problems }) => problems.map(problem => ({
+      ruleId: problem.rule,
+      level: problem.level,
+      message: { text: problem.message },
+      locations: [{
+        physicalLocation: { artifactLocation: { uri: file.split('\\').join('/') } },
+        logicalLocations: [{ fullyQualifiedName: problem.path, kind: 'member' }]
+      }]
+    })))
+  }]
+}, null, 2) + '\n'
+
+exports.LINT_FORMATS = LINT_FORMATS
+exports.checkSchema = checkSchema
+exports.lintDspf = lintDspf
+exports.lintFiles = lintFiles
+exports.toText = toText
+exports.toSarif = toSarif
@@ -0,0 +1,321 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+const { compareJson } = require('./jsonDiff')
+const { canonicalizeDspf, canonicalizeFormat } = require('./canonicalJson')
+const { checkSchema } = require('./dspfLint')
+const { isManifest } = require('./splitLayout')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+/**
+ * @description Tests whether two JSON values are the same, with object keys in any order.
+ * @param {*} value1 The first JSON value, or undefined if it is not there.
+ * @param {*} value2 The second JSON value, or undefined if it is not there.
+ * @returns {Boolean} True if they are the same.
+ * @since 1.0.0
+ */
+const isEqual = (value1, value2) => compareJson(value1, value2).length === 0
+
+/**
+ * @description Describes where a conflict is, like "record format CTL1, item T1, property 'value'".
+ * @param {Object} where The record format name, item id and property name of the conflict, where there are any.
+ * @returns {String} The description.
+ * @since 1.0.0
+ */
+const describeWhere = where => [
+  where.format ? `record format ${where.format}` : '',
+  where.item ? `item ${where.item}` : '',
+  where.property ? `property '${where.property}'` : ''
+].filter(x => x).join(', ') || 'file'
+
+/**
+ * @description Merges a value three ways. A side that did not change the base value takes the other side's value,
+ *              and if both sides changed it differently, ours is kept and the conflict is recorded.
+ * @param {*} base The base value, or undefined if it was not there.
+ * @param {*} ours Our value, or undefined if we removed it.
+ * @param {*} theirs Their value, or undefined if they removed it.
+ * @param {Object} where Where the value is, see describeWhere().
+ * @param {Object[]} conflicts The conflicts found so far, which will be added to.
+ * @returns {*} The merged value, or undefined if it is removed.
+ * @since 1.0.0
+ */
+const mergeValue = (base, ours, theirs, where, conflicts) => {
+  if (isEqual(ours, theirs) || isEqual(base, theirs)) {
+    return ours
+  } else if (isEqual(base, ours)) {
+    return theirs
+  }
+  conflicts.push({ ...where, base, ours, theirs })
+  return ours
+}
+
+/**
+ * @description Merges the properties of an object three ways, each property on its own. The merged object has our
+ *              properties in our order, followed by any properties that only they added.
+ * @param {Object} base The base object, or an empty object if it was not there.
+ * @param {Object} ours Our object.
+ * @param {Object} theirs Their object.
+ * @param {Object} where Where the object is, see describeWhere().
+ * @param {Object[]} conflicts The conflicts found so far, which will be added to.
+ * @param {Object} [mergers] (Optional) The functions that merge particular properties, by property name.
+ * @returns {Object} The merged object.
+ * @since 1.0.0
+ */
+const mergeProperties = (base, ours, theirs, where, conflicts, mergers = {}) => {
+  const merged = {}
+  const keys = [...Object.keys(ours), ...Object.keys(theirs).filter(key => !Object.prototype.hasOwnProperty.call(ours, key))]
+
+  for (const key of keys) {
+    const value = mergers[key] && typeof ours[key] !== 'undefined' && typeof theirs[key] !== 'undefined'
+      ? mergers[key](base[key], ours[key], theirs[key])
+      : mergeValue(base[key], ours[key], theirs[key], { ...where, property: key }, conflicts)
+    if (typeof value !== 'undefined') {
+      merged[key] = value
+    }
+  }
+  return merged
+}
+
+/**
+ * @description Orders the entries of a merged list. If only they moved entries, their order is used, otherwise ours
+ *              is. The entries that only the other side added are placed after the entry they follow on that side,
+ *              and after any entries that the first side added there.
+ * @param {String[]} baseKeys The keys of the base entries, in order.
+ * @param {String[]} oursKeys The keys of our entries, in order.
+ * @param {String[]} theirsKeys The keys of their entries, in order.
+ * @param {Set} keep The keys of the merged entries.
+ * @returns {String[]} The keys of the merged entries, in order.
+ * @since 1.0.0
+ */
+const mergeOrder = (baseKeys, oursKeys, theirsKeys, keep) => {
+  const inAll = keys => keys.filter(key => baseKeys.includes(key) && oursKeys.includes(key) && theirsKeys.includes(key))
+  const theyMoved = !isEqual(inAll(theirsKeys), inAll(baseKeys)) && isEqual(inAll(oursKeys), inAll(baseKeys))
+  const [primary, secondary] = theyMoved ? [theirsKeys, oursKeys] : [oursKeys, theirsKeys]
+
+  const order = primary.filter(key => keep.has(key))
+  secondary.forEach((key, keyIdx) => {
+    if (keep.has(key) && !order.includes(key)) {
+      const previous = secondary.slice(0, keyIdx).reverse().find(x => order.includes(x))
+      let position = previous ? order.indexOf(previous) + 1 : 0
+      // Entries that both sides added in the same place go in after the primary side's
+      while (position < order.length && !baseKeys.includes(order[position]) && !secondary.includes(order[position])) {
+        position += 1
+      }
+      order.splice(position, 0, key)
+    }
+  })
+  return order
+}
+
+/**
+ * @description Merges a list of entries three ways, matching the entries by key, like the record formats by name or
+ *              the items by id. An entry that one side removed and the other did not change is removed, and an entry
+ *              that one side removed and the other changed is a conflict, which keeps ours. So is an entry that both
+ *              sides added differently, with the same key.
+ * @param {Object[]} baseList The base entries.
+ * @param {Object[]} oursList Our entries.
+ * @param {Object[]} theirsList Their entries.
+ * @param {Function} keyOf Gets the key of an entry.
+ * @param {Function} mergeEntry Merges an entry that both sides have, given the base (or undefined), ours and theirs.
+ * @param {Function} whereOf Gets where an entry is, see describeWhere().
+ * @param {Object[]} conflicts The conflicts found so far, which will be added to.
+ * @returns {Object[]} The merged entries.
+ * @since 1.0.0
+ */
+const mergeList = (baseList, oursList, theirsList, keyOf, mergeEntry, whereOf, conflicts) => {
+  // An entry whose key is used more than once, which is not valid, is matched by the number of its use
+  const keyed = list => {
+    const counts = new Map()
+    return list.map(entry => {
+      const key = String(keyOf(entry))
+      counts.set(key, (counts.get(key) || 0) + 1)
+      return [counts.get(key) === 1 ? key : `${key}#${counts.get(key)}`, entry]
+    })
+  }
+  const base = new Map(keyed(baseList))
+  const ours = new Map(keyed(oursList))
+  const theirs = new Map(keyed(theirsList))
+
+  const merged = new Map()
+  for (const key of new Set([...ours.keys(), ...theirs.keys()])) {
+    const [baseEntry, oursEntry, theirsEntry] = [base.get(key), ours.get(key), theirs.get(key)]
+    if (oursEntry && theirsEntry && !baseEntry && !isEqual(oursEntry, theirsEntry)) {
+      // Added on both sides with the same key, like two new items with the same generated id, which are not the same
+      // entry, so they are not merged property by property
+      conflicts.push({ ...whereOf(oursEntry), base: baseEntry, ours: oursEntry, theirs: theirsEntry })
+      merged.set(key, oursEntry)
+    } else if (oursEntry && theirsEntry) {
+      merged.set(key, mergeEntry(baseEntry, oursEntry, theirsEntry))
+    } else if (!baseEntry) {
+      merged.set(key, oursEntry || theirsEntry)
+    } else if (!isEqual(baseEntry, oursEntry || theirsEntry)) {
+      // Removed on one side, but changed on the other
+      conflicts.push({ ...whereOf(oursEntry || theirsEntry), base: baseEntry, ours: oursEntry, theirs: theirsEntry })
+      if (oursEntry) {
+        merged.set(key, oursEntry)
+      }
+    }
+  }
+
+  return mergeOrder([...base.keys()], [...ours.keys()], [...theirs.keys()], new Set(merged.keys())).map(key => merged.get(key))
+}
+
+/**
+ * @description Merges a record format three ways. The screen and item properties are merged one by one, and the
+ *              items are matched by id.
+ * @param {Object} [base] The base record format, or undefined if both sides added it.
+ * @param {Object} ours Our record format.
+ * @param {Object} theirs Their record format.
+ * @param {Object[]} conflicts The conflicts found so far, which will be added to.
+ * @returns {Object} The merged record format.
+ * @since 1.0.0
+ */
+const mergeFormat = (base, ours, theirs, conflicts) => {
+  const format = ours.screen['record format name']
+  base = base || { screen: {}, items: [] }
+
+  return mergeProperties(base, ours, theirs, { format }, conflicts, {
+    screen: (baseScreen, oursScreen, theirsScreen) => mergeProperties(baseScreen || {}, oursScreen, theirsScreen, { format }, conflicts),
+    items: (baseItems, oursItems, theirsItems) => mergeList(baseItems || [], oursItems, theirsItems, item => item.id,
+      (baseItem, oursItem, theirsItem) => mergeProperties(baseItem || {}, oursItem, theirsItem, { format, item: oursItem.id }, conflicts),
+      item => ({ format, item: item.id }), conflicts)
+  })
+}
+
+/**
+ * @description Merges two changed versions of a Rich Display File with their common base. The record formats are
+ *              matched by name, and the items by id, and each property is merged on its own, so changes to different
+ *              properties, items or record formats never conflict. When both sides change the same property
+ *              differently, ours is kept, so the merged JSON is still a valid Rich Display File, and the conflict is
+ *              returned. This also merges the manifest, or a record format file, of a split Rich Display File.
+ * @param {Object} base The base Rich Display File, or an empty object if there is no common base.
+ * @param {Object} ours Our Rich Display File.
+ * @param {Object} theirs Their Rich Display File.
+ * @returns {Object} The merged Rich Display File, and the conflicts, each containing where it is (see
+ *                   describeWhere()) and the base, our and their values.
+ * @since 1.0.0
+ */
+const mergeDspf = (base, ours, theirs) => {
+  logger.debug('mergeDspf() started')
+  const conflicts = []
+  let merged
+
+  if (!Array.isArray(ours.formats) && ours.screen && theirs.screen) {
+    // A record format file of a split Rich Display File
+    merged = mergeFormat(base.screen ? base : undefined, ours, theirs, conflicts)
+  } else {
+    const formatName = format => typeof format === 'string' ? format : format.screen['record format name']
+    merged = mergeProperties(base, ours, theirs, {}, conflicts, {
+      formats: (baseFormats, oursFormats, theirsFormats) => mergeList(baseFormats || [], oursFormats, theirsFormats, format => formatName(format).toUpperCase(),
+        (baseFormat, oursFormat, theirsFormat) => typeof oursFormat === 'string' ? oursFormat : mergeFormat(baseFormat, oursFormat, theirsFormat, conflicts),
+        format => ({ format: formatName(format) }), conflicts),
+      lcNames: (baseNames, oursNames, theirsNames) => mergeProperties(baseNames || {}, oursNames, theirsNames, { property: 'lcNames' }, conflicts)
+    })
+  }
+  return { merged, conflicts }
+}
+
+/**
+ * @description Formats the merge conflicts as a report that people can read, with the base, our and their value of
+ *              each conflict.
+ * @param {Object[]} conflicts The conflicts, from mergeDspf().
+ * @param {String} name The name of the merged file.
+ * @returns {String} The conflict report.
+ * @since 1.0.0
+ */
+const formatConflicts = (conflicts, name) => {
+  const show = value => typeof value === 'undefined' ? '(none)' : JSON.stringify(value)
+  return [
+    `${conflicts.length} merge conflict(s) in ${name}`,
+    `Our side of each conflict was kept, so the merged JSON can still be converted.`,
+    `Resolve each conflict in the JSON, then remove this file.`,
+    '',
+    ...conflicts.flatMap((conflict, conflictIdx) => [
+      `${conflictIdx + 1}) ${describeWhere(conflict)}`,
+      `   base   : ${show(conflict.base)}`,
+      `   ours   : ${show(conflict.ours)}   <- kept`,
+      `   theirs : ${show(conflict.theirs)}`,
+      ''
+    ])
+  ].join('\n')
+}
+
+/**
+ * @description Merges Rich Display JSON files three ways, as a git merge driver. The merged JSON is written over our
+ *              file, in the same layout: canonical JSON if ours was canonical, otherwise as our file was written. Any
+ *              conflicts are written to a conflict report next to it, and if there are none, the conflict report of an
+ *              earlier merge is removed. Configure git with
+ *
+ *                git config merge.dspf.driver "profound-utils merge %O %A %B --path %P"
+ *
+ *              and a line like '*.json merge=dspf' in .gitattributes.
+ * @param {String} baseFile The common base file (%O), which is empty if there is no common base.
+ * @param {String} oursFile Our file (%A), which the merged JSON is written to.
+ * @param {String} theirsFile Their file (%B).
+ * @param {Object} [options] (Optional) The merge options.
+ * @param {String} [options.path] (Optional) The name of the file being merged (%P), used in the conflict report and
+ *                                to name the conflict report file. Defaults to oursFile.
+ * @param {String} [options.conflictFile] (Optional) The conflict report file. Defaults to the path with a
+ *                                        '.conflicts.txt' suffix, like 'mydspf.json.conflicts.txt'.
+ * @returns {Promise<Object>} The merged JSON, the conflicts, and the conflict report file if there were conflicts, or
+ *                            the error message if we reject.
+ * @since 1.0.0
+ */
+const mergeFiles = async (baseFile, oursFile, theirsFile, options = {}) => {
+  logger.debug('mergeFiles() started with : ', typeof baseFile, 'baseFile =', baseFile, typeof oursFile, 'oursFile =', oursFile, typeof theirsFile, 'theirsFile =', theirsFile)
+  try {
+    const name = options.path || oursFile
+    const readJson = async (file, side) => {
+      const fileData = await fsPromises.readFile(file, 'utf8')
+        .catch(() => Promise.reject(Error(`The ${side} file '${file}' must exist and you must have read permissions.`)))
+      try {
+        return { fileData, json: fileData.trim() === '' && side === 'base' ? {} : JSON.parse(fileData) }
+      } catch (error) {
+        throw Error(`The ${side} file '${file}' of ${name} is not a valid JSON file, so it can not be merged.`)
+      }
+    }
+    const base = await readJson(baseFile, 'base')
+    const ours = await readJson(oursFile, 'current')
+    const theirs = await readJson(theirsFile, 'other')
+
+    const isFormat = json => json !== null && typeof json === 'object' && !Array.isArray(json.formats) && typeof json.screen === 'object'
+    for (const [json, side] of [[ours.json, 'current'], [theirs.json, 'other']]) {
+      const problems = isFormat(json) || isManifest(json) ? [] : checkSchema(json)
+      if (problems.length > 0) {
+        throw Error(`The ${side} version of ${name} is not a valid Rich Display File, so it can not be merged : ${problems.map(problem => `${problem.path} ${problem.message}`).join(', ')}.`)
+      }
+    }
+
+    const { merged, conflicts } = mergeDspf(base.json, ours.json, theirs.json)
+
+    // The merged JSON is written the way ours was, so the merge only changes what was merged
+    const canonical = isFormat(merged) ? canonicalizeFormat(merged) : canonicalizeDspf(merged)
+    const isCanonical = ours.fileData === JSON.stringify(isFormat(ours.json) ? canonicalizeFormat(ours.json) : canonicalizeDspf(ours.json), null, 2) + '\n'
+    const mergedData = isCanonical ? JSON.stringify(canonical, null, 2) + '\n' : JSON.stringify(merged, null, 2) + (ours.fileData.endsWith('\n') ? '\n' : '')
+    await fsPromises.writeFile(oursFile, mergedData)
+
+    // A conflict report left by an earlier merge is removed, so it is not taken for one of this merge
+    const conflictFile = options.conflictFile || `${name}.conflicts.txt`
+    if (conflicts.length === 0) {
+      await fsPromises.unlink(conflictFile).catch(error => error.code === 'ENOENT' ? undefined : Promise.reject(error))
+      return { merged: isCanonical ? canonical : merged, conflicts }
+    }
+    await fsPromises.writeFile(conflictFile, formatConflicts(conflicts, name))
+    conflicts.forEach(conflict => logger.warn(`Merge conflict in ${name} : ${describeWhere(conflict)}`))
+    return { merged: isCanonical ? canonical : merged, conflicts, conflictFile }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+exports.mergeDspf = mergeDspf
+exports.formatConflicts = formatConflicts
+exports.mergeFiles = mergeFiles
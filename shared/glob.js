@@ -0,0 +1,150 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+/**
+ * @description Tests to see if a file name is a glob pattern, containing '*', '?' or '[...]', or an '!' exclude pattern.
+ * @param {String} name The file name.
+ * @returns {Boolean} True if it is a glob pattern.
+ * @since 1.0.0
+ */
+const isGlobPattern = name => /[*?[]/.test(name) || name.startsWith('!')
+
+/**
+ * @description Converts a path to use '/' separators, without any leading './', so paths can be matched the
+ *              same way on every platform.
+ * @param {String} path The path.
+ * @returns {String} The normalized path.
+ * @since 1.0.0
+ */
+const normalizePath = path => path.replace(/\\/g, '/').replace(/^(\.\/)+/, '')
+
+/**
+ * @description Converts one path segment of a glob pattern into a regular expression source. '*' matches any
+ *              characters, '?' matches one character, and '[...]' matches one of the characters, or none of them
+ *              with '[!...]' or '[^...]'. Names starting with '.' are only matched by a segment starting with '.'.
+ * @param {String} segment The path segment, like '*ORD*.dspf'.
+ * @returns {String} The regular expression source.
+ * @since 1.0.0
+ */
+const segmentToRegExp = segment => {
+  let source = segment.startsWith('.') ? '' : '(?!\\.)'
+  for (let index = 0; index < segment.length; index++) {
+    const char = segment[index]
+    const classEnd = char === '[' ? segment.indexOf(']', index + 2) : -1
+    if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (classEnd !== -1) {
+      let chars = segment.substring(index + 1, classEnd)
+      const negate = chars.startsWith('!') || chars.startsWith('^')
+      if (negate) {
+        chars = chars.substr(1)
+      }
+      source += `[${negate ? '^/' : ''}${chars.replace(/[\\\]^]/g, '\\$&')}]`
+      index = classEnd
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\*]/g, '\\$&')
+    }
+  }
+  return source
+}
+
+/**
+ * @description Converts a glob pattern into a regular expression. '**' matches any number of directories,
+ *              including none.
+ * @param {String} pattern The glob pattern, like 'screens/**\/*.dspf'.
+ * @returns {RegExp} The regular expression, for matching normalized paths.
+ * @since 1.0.0
+ */
+const globToRegExp = pattern => {
+  const segments = normalizePath(pattern).split('/')
+  let source = ''
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1
+    if (segment === '**') {
+      source += isLast ? '(?:(?!\\.)[^/]*(?:/|$))*' : '(?:(?!\\.)[^/]*/)*'
+    } else {
+      source += segmentToRegExp(segment) + (isLast ? '' : '/')
+    }
+  })
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * @description Lists the files in a directory and its sub-directories, down to a maximum depth.
+ * @param {String} dir The directory.
+ * @param {Number} depth The number of directory levels to list, 1 for only this directory.
+ * @returns {Promise<String[]>} The file paths, relative to the directory and using '/' separators.
+ * @since 1.0.0
+ */
+const listFiles = async (dir, depth) => {
+  const dirEntries = await fsPromises.readdir(dir, { withFileTypes: true }).catch(() => [])
+  const files = []
+  for (const entry of dirEntries) {
+    if (entry.isFile()) {
+      files.push(entry.name)
+    } else if (entry.isDirectory() && depth > 1) {
+      const subFiles = await listFiles(`${dir}/${entry.name}`, depth - 1)
+      files.push(...subFiles.map(file => `${entry.name}/${file}`))
+    }
+  }
+  return files
+}
+
+/**
+ * @description Finds the files matching one or more glob patterns. Patterns starting with '!' exclude the files
+ *              they match. The results are sorted, so they are the same on every run.
+ * @param {String | String[]} patterns The glob patterns, like ['screens/**\/*.dspf', '!screens/old/**'].
+ * @returns {Promise<String[]>} The matching file paths, or the error message if we reject.
+ * @since 1.0.0
+ */
+const findFiles = async patterns => {
+  logger.debug('findFiles() started with : ', typeof patterns, 'patterns =', patterns)
+
+  patterns = Array.isArray(patterns) ? patterns : [patterns]
+  const includes = patterns.filter(pattern => !pattern.startsWith('!'))
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.substr(1)))
+  if (includes.length === 0) {
+    return Promise.reject(Error('At least one file name or pattern that is not an exclude pattern is required.'))
+  }
+
+  const found = new Set()
+  for (const pattern of includes) {
+    const segments = pattern.replace(/\\/g, '/').split('/')
+
+    // The leading segments without any glob characters are the base directory to search
+    const baseSegments = []
+    while (baseSegments.length < segments.length - 1 && !isGlobPattern(segments[baseSegments.length])) {
+      baseSegments.push(segments[baseSegments.length])
+    }
+    const globSegments = segments.slice(baseSegments.length)
+    const baseDir = baseSegments.length === 0 ? '.' : (baseSegments.join('/') || '/')
+    const depth = globSegments.includes('**') ? Infinity : globSegments.length
+    const regExp = globToRegExp(globSegments.join('/'))
+
+    for (const file of await listFiles(baseDir, depth)) {
+      if (regExp.test(file)) {
+        found.add(baseDir === '/' ? `/${file}` : `${baseDir}/${file}`)
+      }
+    }
+  }
+
+  return [...found]
+    .filter(file => !excludes.some(regExp => regExp.test(normalizePath(file))))
+    .sort()
+}
+
+exports.isGlobPattern = isGlobPattern
+exports.globToRegExp = globToRegExp
+exports.findFiles = findFiles
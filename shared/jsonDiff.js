@@ -0,0 +1,90 @@
+'use strict'
+
+/**
+ * @description Adds a key to a JSON path, like 'formats[2].items[14].value' or 'screen["record format name"]'.
+ * @param {String} path The JSON path so far, or '' for the root.
+ * @param {String | Number} key The object key or array index.
+ * @returns {String} The JSON path.
+ * @since 1.0.0
+ */
+const toPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`
+  } else if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return path === '' ? key : `${path}.${key}`
+  } else {
+    return `${path}[${JSON.stringify(key)}]`
+  }
+}
+
+/**
+ * @description Tests to see if a value is a plain object, and not an array or null.
+ * @param {*} value The value to test.
+ * @returns {Boolean} True if it is a plain object.
+ * @since 1.0.0
+ */
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * @description Compares two JSON values structurally. Object keys are compared in any order, and array entries
+ *              are compared by position.
+ * @param {*} expected The expected JSON value.
+ * @param {*} actual The actual JSON value.
+ * @param {String} [path=''] (Optional) The JSON path of these values, used for nested comparisons.
+ * @param {Object[]} [differences=[]] (Optional) The differences found so far, used for nested comparisons.
+ * @returns {Object[]} The differences, each containing the path, the type ('changed', 'removed' or 'added'),
+ *                     and the expected and actual values.
+ * @since 1.0.0
+ */
+const compareJson = (expected, actual, path = '', differences = []) => {
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+      if (index >= actual.length) {
+        differences.push({ path: toPath(path, index), type: 'removed', expected: expected[index] })
+      } else if (index >= expected.length) {
+        differences.push({ path: toPath(path, index), type: 'added', actual: actual[index] })
+      } else {
+        compareJson(expected[index], actual[index], toPath(path, index), differences)
+      }
+    }
+  } else if (isObject(expected) && isObject(actual)) {
+    for (const key of Object.keys(expected)) {
+      if (!Object.prototype.hasOwnProperty.call(actual, key)) {
+        differences.push({ path: toPath(path, key), type: 'removed', expected: expected[key] })
+      } else {
+        compareJson(expected[key], actual[key], toPath(path, key), differences)
+      }
+    }
+    for (const key of Object.keys(actual)) {
+      if (!Object.prototype.hasOwnProperty.call(expected, key)) {
+        differences.push({ path: toPath(path, key), type: 'added', actual: actual[key] })
+      }
+    }
+  } else if (expected !== actual) {
+    differences.push({ path: path === '' ? '(root)' : path, type: 'changed', expected, actual })
+  }
+
+  return differences
+}
+
+/**
+ * @description Describes each difference on its own line, like 'formats[2].items[14].value changed from "A" to "B"'.
+ * @param {Object[]} differences The differences, from compareJson().
+ * @returns {String} The description.
+ * @since 1.0.0
+ */
+const describeDifferences = differences => differences
+  .map(difference => {
+    switch (difference.type) {
+      case 'removed':
+        return `${difference.path} removed, was ${JSON.stringify(difference.expected)}`
+      case 'added':
+        return `${difference.path} added, is ${JSON.stringify(difference.actual)}`
+      default:
+        return `${difference.path} changed from ${JSON.stringify(difference.expected)} to ${JSON.stringify(difference.actual)}`
+    }
+  })
+  .join('\n')
+
+exports.compareJson = compareJson
+exports.describeDifferences = describeDifferences
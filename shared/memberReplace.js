@@ -0,0 +1,325 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const { basename, join } = require('path')
+const { homedir, tmpdir } = require('os')
+const { readIbmISrcMbr, writeIbmISrcMbr, removeIbmISrcMbr, renameIbmISrcMbr, getIbmIMemberText, getIbmIMemberType, removeTempDir } = require('./asyncUtils')
+const { toSystemName } = require('./sourceSystems/names')
+const { decodeSource, encodeSource } = require('./sourceText')
+const { readIbmISrcMbrSource } = require('./seqDates')
+const { parseProperties, readSourceMetadata } = require('./sourceMetadata')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+const BACKUP_EXT = '.dspf'
+
+// The backups made by a restore are tagged, so that the next restore goes further back instead of undoing it
+const RESTORE_TAG = '.restore'
+const BACKUP_NAME = /^(\d{8}T\d{9}Z)(\.restore)?\.dspf$/
+
+/**
+ * @description Gets the backup directory. Defaults to environment variable PROFOUND_UTILS_BACKUP_DIR, or
+ *              '.profound-utils/backups' in the user's home directory.
+ * @param {String} [backupDir] (Optional) The backup directory.
+ * @returns {String} The backup directory.
+ * @since 1.0.0
+ */
+const getBackupDir = backupDir => backupDir || process.env.PROFOUND_UTILS_BACKUP_DIR || join(homedir(), '.profound-utils', 'backups')
+
+/**
+ * @description Gets the start of the backup file names of a Member, like 'MYLIB.QDDSSRC.MYDSPF.'.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @returns {String} The backup file name prefix.
+ * @since 1.0.0
+ */
+const getBackupPrefix = (fil, lib, mbr) => [lib, fil, mbr]
+  .map(name => toSystemName(name).replace(/[^\w$#@]/g, '_'))
+  .join('.') + '.'
+
+/**
+ * @description Tests to see if a Member exists.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @returns {Promise<Boolean>} True if the Member exists.
+ * @since 1.0.0
+ */
+const isMemberExist = async (fil, lib, mbr) => getIbmIMemberText(fil, lib, mbr)
+  .then(() => true)
+  .catch(() => false)
+
+/**
+ * @description Gets a Member name that is not in use, for the temporary Members used while replacing a Member.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} prefix The Member name prefix, like 'PUNEW'.
+ * @returns {Promise<String>} The unused Member name.
+ * @since 1.0.0
+ */
+const getTempMemberName = async (fil, lib, prefix) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const mbr = prefix + Math.random().toString(36).substr(2, 10 - prefix.length).toUpperCase()
+    if (!await isMemberExist(fil, lib, mbr)) {
+      return mbr
+    }
+  }
+  return Promise.reject(Error(`Unable to find an unused temporary Member name in file ${lib}/${fil}.`))
+}
+
+/**
+ * @description Backs up a Member to a time stamped file in the backup directory, like
+ *              'MYLIB.QDDSSRC.MYDSPF.20200131T235959123Z.dspf'. Each line starts with its Sequence number and Date,
+ *              and the Member text and Source type are kept in a '.ibmi' properties file next to it, see
+ *              shared/sourceMetadata.js. The backup made before a restore is tagged, like
+ *              'MYLIB.QDDSSRC.MYDSPF.20200131T235959123Z.restore.dspf', and records the backup that was restored.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String} [backupDir] (Optional) The backup directory, see getBackupDir().
+ * @param {String} [restoredFile] (Optional) The backup file that is being restored over the Member.
+ * @returns {Promise<String>} The backup file name, or the error message if we reject.
+ * @since 1.0.0
+ */
+const backupIbmISrcMbr = async (fil, lib, mbr, backupDir, restoredFile) => {
+  logger.debug('backupIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof backupDir, 'backupDir =', backupDir)
+  const dir = getBackupDir(backupDir)
+  await fsPromises.mkdir(dir, { recursive: true })
+
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '')
+  const backupFile = join(dir, `${getBackupPrefix(fil, lib, mbr)}${timestamp}${restoredFile ? RESTORE_TAG : ''}${BACKUP_EXT}`)
+  const mbrText = await getIbmIMemberText(fil, lib, mbr)
+  const srcType = await getIbmIMemberType(fil, lib, mbr)
+
+  const source = await readIbmISrcMbrSource(fil, lib, mbr)
+  await fsPromises.writeFile(backupFile, encodeSource(source.lines, source.format, source.seqDates))
+  await fsPromises.writeFile(`${backupFile}.ibmi`, [
+    `text=${mbrText || ''}`,
+    `library=${toSystemName(lib)}`,
+    `file=${toSystemName(fil)}`,
+    `member=${toSystemName(mbr)}`,
+    ...srcType ? [`type=${srcType}`] : [],
+    ...restoredFile ? [`restored=${basename(restoredFile)}`] : []
+  ].join('\n') + '\n')
+
+  return backupFile
+}
+
+/**
+ * @description Lists the backups of a Member, oldest first.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String} [backupDir] (Optional) The backup directory, see getBackupDir().
+ * @returns {Promise<Object[]>} The backups, each containing the file name, its time stamp, and whether it was made
+ *                              by a restore.
+ * @since 1.0.0
+ */
+const listBackups = async (fil, lib, mbr, backupDir) => {
+  const dir = getBackupDir(backupDir)
+  const prefix = getBackupPrefix(fil, lib, mbr)
+
+  // The time stamps sort in date order
+  return (await fsPromises.readdir(dir).catch(() => []))
+    .filter(name => name.startsWith(prefix) && BACKUP_NAME.test(name.substr(prefix.length)))
+    .map(name => {
+      const [, timestamp, tag] = BACKUP_NAME.exec(name.substr(prefix.length))
+      return { file: join(dir, name), timestamp, isRestore: Boolean(tag) }
+    })
+    .sort((a, b) => a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0)
+}
+
+/**
+ * @description Finds the latest backup of a Member, made when it was replaced. The backups made by a restore are
+ *              not included.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String} [backupDir] (Optional) The backup directory, see getBackupDir().
+ * @returns {Promise<String>} The latest backup file name, or the error message if we reject.
+ * @since 1.0.0
+ */
+const findLatestBackup = async (fil, lib, mbr, backupDir) => {
+  logger.debug('findLatestBackup() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof backupDir, 'backupDir =', backupDir)
+  const backups = (await listBackups(fil, lib, mbr, backupDir)).filter(backup => !backup.isRestore)
+
+  if (backups.length === 0) {
+    return Promise.reject(Error(`No backup of Member ${lib}/${fil}.${mbr} was found in ${getBackupDir(backupDir)}.`))
+  }
+  return backups[backups.length - 1].file
+}
+
+/**
+ * @description Finds the backup of a Member that the next restore brings back. This is the latest backup, unless the
+ *              Member was last changed by a restore, when it is the backup before the one that was restored. So each
+ *              restore goes one replace further back.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String} [backupDir] (Optional) The backup directory, see getBackupDir().
+ * @returns {Promise<String>} The backup file name, or the error message if we reject.
+ * @since 1.0.0
+ */
+const findBackupToRestore = async (fil, lib, mbr, backupDir) => {
+  logger.debug('findBackupToRestore() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof backupDir, 'backupDir =', backupDir)
+  const backups = await listBackups(fil, lib, mbr, backupDir)
+  const last = backups[backups.length - 1]
+  if (!last || !last.isRestore) {
+    return findLatestBackup(fil, lib, mbr, backupDir)
+  }
+
+  const { restored } = parseProperties(await fsPromises.readFile(`${last.file}.ibmi`, 'utf8').catch(() => ''))
+  const restoredBackup = backups.find(backup => basename(backup.file) === restored)
+  if (!restoredBackup) {
+    return Promise.reject(Error(`The backup restored by ${last.file} was not found, so the backup to restore next is not known. Use the backup file option to restore a particular backup.`))
+  }
+  const older = backups.filter(backup => !backup.isRestore && backup.timestamp < restoredBackup.timestamp)
+  if (older.length === 0) {
+    return Promise.reject(Error(`No backup of Member ${lib}/${fil}.${mbr} older than ${restoredBackup.file} was found, it is the oldest backup.`))
+  }
+  return older[older.length - 1].file
+}
+
+/**
+ * @description Checks that a Member contains the expected source lines, to catch lines that were truncated or
+ *              changed when they were copied into the Member.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String[]} expectedLines The expected source lines.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const verifyMember = async (fil, lib, mbr, expectedLines) => {
+  logger.debug('verifyMember() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+  const actualLines = decodeSource(await readIbmISrcMbr(fil, lib, mbr)).lines.map(line => line.trimRight())
+  const lines = expectedLines.map(line => line.trimRight())
+
+  const lineIdx = lines.findIndex((line, idx) => line !== actualLines[idx])
+  if (lineIdx !== -1) {
+    return Promise.reject(Error(`Line ${lineIdx + 1} of the new Member does not match the converted DDS, it is '${actualLines[lineIdx]}'.`))
+  } else if (actualLines.length !== lines.length) {
+    return Promise.reject(Error(`The new Member has ${actualLines.length} lines, but the converted DDS has ${lines.length} lines.`))
+  }
+}
+
+/**
+ * @description Replaces a Member, or creates it if it does not exist, so that it is never left half written. The
+ *              source is written into a temporary Member first and checked, the existing Member is backed up, and
+ *              only then is the new Member renamed into its place. Any failure removes the temporary Member and
+ *              leaves the existing Member as it was.
+ * @param {String} srcFile The Source-stream file to copy into the Member.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {Object} [options] (Optional) The replace options.
+ * @param {String} [options.mbrText] (Optional) The Member text.
+ * @param {String} [options.srcType='DSPF'] (Optional) The Source type.
+ * @param {String[]} [options.expectedLines] (Optional) The source lines, to check the new Member against.
+ * @param {String[]} [options.seqDates] (Optional) The Sequence number and Date of each line, see
+ *                                      shared/sourceSystems/db2.js writeIbmISrcMbr().
+ * @param {String} [options.backupDir] (Optional) The backup directory, see getBackupDir().
+ * @param {String} [options.restoredFile] (Optional) The backup file being restored, which tags the backup of the
+ *                                        existing Member as made by a restore, see backupIbmISrcMbr().
+ * @returns {Promise<Object>} The backup file name (if the Member existed), or the error message if we reject.
+ * @since 1.0.0
+ */
+const replaceIbmISrcMbr = async (srcFile, fil, lib, mbr, options = {}) => {
+  logger.debug('replaceIbmISrcMbr() started with : ', typeof srcFile, 'srcFile =', srcFile, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+  const { mbrText, srcType, expectedLines, seqDates, backupDir, restoredFile } = options
+  const newMbr = await getTempMemberName(fil, lib, 'PUNEW')
+  let backupFile
+
+  // Write and check the new Member, without touching the existing Member
+  try {
+    logger.info(`Writing temporary Member ${lib}/${fil}.${newMbr} ...`)
+    await writeIbmISrcMbr(srcFile, fil, lib, newMbr, mbrText, srcType, seqDates)
+    if (expectedLines) {
+      await verifyMember(fil, lib, newMbr, expectedLines)
+    }
+  } catch (error) {
+    await removeIbmISrcMbr(fil, lib, newMbr)
+      .catch(() => logger.warn(`Unable to remove temporary Member ${lib}/${fil}.${newMbr}.`))
+    return Promise.reject(error)
+  }
+
+  const isExisting = await isMemberExist(fil, lib, mbr)
+  let oldMbr
+  try {
+    if (isExisting) {
+      backupFile = await backupIbmISrcMbr(fil, lib, mbr, backupDir, restoredFile)
+      logger.info(`Backed up Member ${lib}/${fil}.${mbr} to ${backupFile}`)
+
+      oldMbr = await getTempMemberName(fil, lib, 'PUOLD')
+      await renameIbmISrcMbr(fil, lib, mbr, oldMbr)
+    }
+    await renameIbmISrcMbr(fil, lib, newMbr, mbr)
+  } catch (error) {
+    // Roll back, putting the existing Member back in place
+    logger.error(`Replacing Member ${lib}/${fil}.${mbr} failed, rolling back ...`)
+    if (oldMbr && !await isMemberExist(fil, lib, mbr)) {
+      await renameIbmISrcMbr(fil, lib, oldMbr, mbr)
+        .catch(() => logger.error(`Unable to rename Member ${lib}/${fil}.${oldMbr} back to ${mbr}, it can be restored from ${backupFile}.`))
+    }
+    await removeIbmISrcMbr(fil, lib, newMbr)
+      .catch(() => logger.warn(`Unable to remove temporary Member ${lib}/${fil}.${newMbr}.`))
+    return Promise.reject(error)
+  }
+
+  if (oldMbr) {
+    await removeIbmISrcMbr(fil, lib, oldMbr)
+      .catch(() => logger.warn(`Unable to remove the replaced Member ${lib}/${fil}.${oldMbr}, it is also backed up in ${backupFile}.`))
+  }
+
+  return { backupFile }
+}
+
+/**
+ * @description Restores a Member from its latest backup, or from the backup before the one restored last time, so
+ *              that each restore goes one replace further back, see findBackupToRestore(). The current Member is
+ *              backed up first, to a backup tagged as made by a restore, which can be restored with the backupFile
+ *              option to undo the restore.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {Object} [options] (Optional) The restore options.
+ * @param {String} [options.backupDir] (Optional) The backup directory, see getBackupDir().
+ * @param {String} [options.backupFile] (Optional) The backup file to restore, instead of the next one back.
+ * @returns {Promise<Object>} The restored backup file name, and the backup file name of the current Member (if it
+ *                            existed), or the error message if we reject.
+ * @since 1.0.0
+ */
+const restoreIbmISrcMbr = async (fil, lib, mbr, options = {}) => {
+  logger.debug('restoreIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+  const { backupDir } = options
+  const restoredFile = typeof options.backupFile === 'string' ? options.backupFile : await findBackupToRestore(fil, lib, mbr, backupDir)
+  logger.info(`Restoring Member ${lib}/${fil}.${mbr} from ${restoredFile} ...`)
+
+  // The backup is copied in as UTF-8 with CRLF line endings, and its Sequence numbers and Dates are set separately
+  const backup = decodeSource(await fsPromises.readFile(restoredFile))
+  const { text, source } = await readSourceMetadata(restoredFile)
+  const outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
+  try {
+    const srcFile = join(outDir, `${getBackupPrefix(fil, lib, mbr)}dspf`)
+    await fsPromises.writeFile(srcFile, encodeSource(backup.lines))
+
+    const { backupFile } = await replaceIbmISrcMbr(srcFile, fil, lib, mbr,
+      { mbrText: text, srcType: source.type, expectedLines: backup.lines, seqDates: backup.seqDates || undefined, backupDir, restoredFile })
+    return { restoredFile, backupFile }
+  } finally {
+    await removeTempDir(outDir).catch(() => logger.warn(`Unable to remove temp directory ${outDir}.`))
+  }
+}
+
+exports.backupIbmISrcMbr = backupIbmISrcMbr
+exports.findLatestBackup = findLatestBackup
+exports.replaceIbmISrcMbr = replaceIbmISrcMbr
+exports.restoreIbmISrcMbr = restoreIbmISrcMbr
@@ -0,0 +1,106 @@
+'use strict'
+
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+/**
+ * @description Tests to see if an item or screen property is bound to a field, rather than to an expression.
+ * @param {Object} property The property value.
+ * @returns {Boolean} True if the property is bound to a field.
+ * @since 1.0.0
+ */
+const isFieldBinding = property => Boolean(property) && typeof property.fieldName === 'string' && property.dataType !== 'expression'
+
+/**
+ * @description Visits every record format name, field name, item id and design value that LCNAMES(*YES) changes the
+ *              case of, replacing each with the value returned by the visitor. The visitor is given the value, and
+ *              whether it is an item id, as ids can be any case and are only changed when they end with the field name.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @param {Function} visit The visitor, called as visit(value, isId) and returning the new value.
+ * @since 1.0.0
+ */
+const visitNames = (dspf, visit) => {
+  for (const format of dspf.formats) {
+    const screen = format.screen
+    screen['record format name'] = visit(screen['record format name'], false)
+    if (screen['design overlay formats']) screen['design overlay formats'] = visit(screen['design overlay formats'], false)
+    if (screen['window reference']) screen['window reference'] = visit(screen['window reference'], false)
+
+    for (const prop in screen) {
+      if (isFieldBinding(screen[prop])) {
+        screen[prop].fieldName = visit(screen[prop].fieldName, false)
+      }
+    }
+
+    for (const item of format.items) {
+      if (item['record format name']) {
+        item['record format name'] = visit(item['record format name'], false)
+        item.id = visit(item.id, true)
+      }
+      if (item.grid) {
+        item.grid = visit(item.grid, false)
+      }
+      // The id of a bound field ends with the field name
+      if (isFieldBinding(item.value) && typeof item.id === 'string' && item.id.endsWith(item.value.fieldName)) {
+        item.id = visit(item.id, true)
+      }
+      for (const prop in item) {
+        if (isFieldBinding(item[prop])) {
+          item[prop].fieldName = visit(item[prop].fieldName, false)
+          if (typeof item[prop].designValue === 'string' && item[prop].designValue.startsWith('[')) {
+            item[prop].designValue = visit(item[prop].designValue, false)
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @description Converts all record format and field names to lowercase, as PUICVTDDS LCNAMES(*YES) does, to make the
+ *              Rich Display File work better in Profound.js case-sensitive mode. The Rich Display File is changed in
+ *              place.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object} The case mapping, from each lowercase name to the original name.
+ * @since 1.0.0
+ */
+const lowercaseNames = dspf => {
+  const mapping = {}
+  visitNames(dspf, value => {
+    const lowercase = value.toLowerCase()
+    if (!Object.prototype.hasOwnProperty.call(mapping, lowercase)) {
+      mapping[lowercase] = value
+    } else if (mapping[lowercase] !== value) {
+      logger.warn(`Names '${mapping[lowercase]}' and '${value}' are both '${lowercase}' in lowercase, '${lowercase}' will be restored as '${mapping[lowercase]}'.`)
+    }
+    return lowercase
+  })
+  return mapping
+}
+
+/**
+ * @description Restores the original DDS names of a Rich Display File converted with lowercaseNames(). Names that are
+ *              not in the case mapping, like fields added since, are uppercased, and ids are left as they are. The Rich
+ *              Display File is changed in place.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @param {Object} mapping The case mapping, from lowercaseNames().
+ * @since 1.0.0
+ */
+const restoreNames = (dspf, mapping) => {
+  visitNames(dspf, (value, isId) => {
+    if (Object.prototype.hasOwnProperty.call(mapping, value)) {
+      return mapping[value]
+    }
+    return isId ? value : value.toUpperCase()
+  })
+}
+
+exports.lowercaseNames = lowercaseNames
+exports.restoreNames = restoreNames
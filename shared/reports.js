@@ -0,0 +1,255 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const { describeDifferences } = require('./jsonDiff')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+const REPORT_FORMATS = ['json', 'junit', 'html']
+
+/**
+ * @description Converts one verification result into a plain report entry.
+ * @param {Object} result The verification result, containing the file, status, duration, err, diff and formats,
+ *                        or the JSON differences for a reverse round trip.
+ * @returns {Object} The report entry, containing the file, status, duration, error, diff, formats, differences and
+ *                   the baseline classification.
+ * @since 1.0.0
+ */
+const toReportEntry = result => {
+  let error = null
+  if (result.status !== 'SUCCESS') {
+    error = result.err instanceof Error ? result.err.message : String(result.err)
+  }
+
+  return {
+    file: result.file,
+    status: result.status,
+    duration: result.duration || 0,
+    error,
+    diff: typeof result.diff === 'string' && result.diff !== '' ? result.diff : null,
+    formats: Array.isArray(result.formats) ? result.formats : null,
+    differences: Array.isArray(result.differences) ? result.differences : null,
+    baseline: result.baseline || null
+  }
+}
+
+/**
+ * @description Builds the JSON report.
+ * @param {Object[]} entries The report entries.
+ * @returns {String} The report contents.
+ * @since 1.0.0
+ */
+const toJson = entries => {
+  const report = {
+    generated: new Date().toISOString(),
+    summary: {
+      inputCount: entries.length,
+      successCount: entries.filter(entry => entry.status === 'SUCCESS').length,
+      failCount: entries.filter(entry => entry.status !== 'SUCCESS').length,
+      duration: entries.reduce((total, entry) => total + entry.duration, 0)
+    },
+    results: entries
+  }
+  return JSON.stringify(report, null, 2) + '\n'
+}
+
+/**
+ * @description Escapes text for use in XML or HTML. Control characters, which XML 1.0 does not allow even escaped,
+ *              like those of a badly decoded EBCDIC source, are replaced with '\uFFFD'.
+ * @param {String} text The text to escape.
+ * @returns {String} The escaped text.
+ * @since 1.0.0
+ */
+const escapeXml = text => String(text)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '\uFFFD')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+/**
+ * @description Builds the JUnit XML report, with one testcase per DDS source.
+ * @param {Object[]} entries The report entries.
+ * @returns {String} The report contents.
+ * @since 1.0.0
+ */
+const toJUnit = entries => {
+  const seconds = ms => (ms / 1000).toFixed(3)
+  const failCount = entries.filter(entry => entry.status !== 'SUCCESS').length
+  const totalTime = entries.reduce((total, entry) => total + entry.duration, 0)
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${entries.length}" failures="${failCount}" time="${seconds(totalTime)}">`,
+    `  <testsuite name="profound-utils verify" tests="${entries.length}" failures="${failCount}" time="${seconds(totalTime)}">`
+  ]
+  for (const entry of entries) {
+    const testcase = `    <testcase classname="verify" name="${escapeXml(entry.file)}" time="${seconds(entry.duration)}"`
+    if (entry.status === 'SUCCESS') {
+      lines.push(`${testcase}/>`)
+    } else {
+      lines.push(`${testcase}>`)
+      const details = entry.diff || (entry.differences ? describeDifferences(entry.differences) : entry.error)
+      lines.push(`      <failure message="${escapeXml(entry.error)}">${escapeXml(details)}</failure>`)
+      lines.push('    </testcase>')
+    }
+  }
+  lines.push('  </testsuite>')
+  lines.push('</testsuites>')
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * @description Splits a unified diff into side-by-side rows. Removed and added lines next to each other are
+ *              paired up as changed lines.
+ * @param {String} diff The unified diff.
+ * @returns {Object[]} The rows, each containing the type ('hunk', 'same' or 'change'), and the left and right text.
+ * @since 1.0.0
+ */
+const toSideBySide = diff => {
+  const rows = []
+  let removed = []
+  let added = []
+  let inHunk = false
+
+  const flush = () => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+      rows.push({ type: 'change', left: removed[index], right: added[index] })
+    }
+    removed = []
+    added = []
+  }
+
+  for (const line of diff.split(/\r?\n/)) {
+    if (line.startsWith('@@')) {
+      flush()
+      rows.push({ type: 'hunk', left: line, right: line })
+      inHunk = true
+    } else if (!inHunk || line.startsWith('\\')) {
+      // Skip the file names header, and any 'No newline at end of file' markers
+    } else if (line.startsWith('-')) {
+      removed.push(line.substr(1).replace(/\r$/, ''))
+    } else if (line.startsWith('+')) {
+      added.push(line.substr(1).replace(/\r$/, ''))
+    } else if (line.startsWith(' ')) {
+      flush()
+      const text = line.substr(1).replace(/\r$/, '')
+      rows.push({ type: 'same', left: text, right: text })
+    }
+  }
+  flush()
+
+  return rows
+}
+
+/**
+ * @description Builds the HTML report, showing a side-by-side diff for each failed DDS source, or the
+ *              differing JSON paths for each failed JSON source.
+ * @param {Object[]} entries The report entries.
+ * @returns {String} The report contents.
+ * @since 1.0.0
+ */
+const toHtml = entries => {
+  const failed = entries.filter(entry => entry.status !== 'SUCCESS')
+  const cell = (text, className) => `<td class="${className}">${typeof text === 'string' ? escapeXml(text) : ''}</td>`
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>profound-utils verify report</title>',
+    '<style>',
+    'body { font-family: sans-serif; }',
+    'table { border-collapse: collapse; margin-bottom: 1em; }',
+    'td, th { border: 1px solid #ccc; padding: 2px 6px; text-align: left; }',
+    '.SUCCESS { color: #060; } .FAILED { color: #a00; }',
+    '.diff td { font-family: monospace; white-space: pre; vertical-align: top; }',
+    '.diff .hunk { background: #eef; color: #669; }',
+    '.diff .left.change { background: #fdd; } .diff .right.change { background: #dfd; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<h1>Verification Report</h1>',
+    `<p>${entries.length} Input Source files, ${entries.length - failed.length} verification SUCCESS, ${failed.length} verification FAILED.</p>`,
+    '<table>',
+    '<tr><th>File</th><th>Status</th><th>Duration (ms)</th><th>Error</th></tr>'
+  ]
+  for (const entry of entries) {
+    html.push(`<tr><td>${escapeXml(entry.file)}</td><td class="${entry.status}">${entry.status}</td><td>${entry.duration}</td><td>${escapeXml(entry.error || '')}</td></tr>`)
+  }
+  html.push('</table>')
+
+  for (const entry of failed) {
+    html.push(`<h2>${escapeXml(entry.file)}</h2>`)
+    html.push(`<p>${escapeXml(entry.error)}</p>`)
+    if (entry.diff) {
+      html.push('<table class="diff">')
+      html.push('<tr><th>Original DDS</th><th>Converted DDS</th></tr>')
+      for (const row of toSideBySide(entry.diff)) {
+        html.push(`<tr>${cell(row.left, `left ${row.type}`)}${cell(row.right, `right ${row.type}`)}</tr>`)
+      }
+      html.push('</table>')
+    } else if (entry.differences) {
+      html.push('<table class="diff">')
+      html.push('<tr><th>JSON path</th><th>Original JSON</th><th>Converted JSON</th></tr>')
+      for (const difference of entry.differences) {
+        const value = (type, val) => difference.type === type ? '' : JSON.stringify(val)
+        html.push(`<tr>${cell(difference.path, 'hunk')}${cell(value('added', difference.expected), 'left change')}${cell(value('removed', difference.actual), 'right change')}</tr>`)
+      }
+      html.push('</table>')
+    }
+  }
+  html.push('</body>')
+  html.push('</html>')
+
+  return html.join('\n') + '\n'
+}
+
+/**
+ * @description Writes a report of the verification results.
+ * @param {Object[]} verifications The verification results, each containing the file, status, duration, err and diff.
+ * @param {String} reportFormat The report format, 'json', 'junit' or 'html'.
+ * @param {String} reportFile The report file to write.
+ * @returns {Promise<String>} The report file name, or the error message if we reject.
+ * @since 1.0.0
+ */
+const writeReport = async (verifications, reportFormat, reportFile) => {
+  logger.debug('writeReport() started with : ', typeof reportFormat, 'reportFormat =', reportFormat, typeof reportFile, 'reportFile =', reportFile)
+
+  if (!REPORT_FORMATS.includes(reportFormat)) {
+    return Promise.reject(Error(`Report format has an unexpected value '${reportFormat}', expected one of ${REPORT_FORMATS.join(', ')}.`))
+  }
+
+  const entries = verifications.map(toReportEntry)
+  let contents
+  switch (reportFormat) {
+    case 'json':
+      contents = toJson(entries)
+      break
+    case 'junit':
+      contents = toJUnit(entries)
+      break
+    case 'html':
+      contents = toHtml(entries)
+      break
+  }
+
+  await fsPromises.writeFile(reportFile, contents)
+  logger.info(`Report written to ${reportFile}`)
+
+  return reportFile
+}
+
+exports.REPORT_FORMATS = REPORT_FORMATS
+exports.writeReport = writeReport
@@ -0,0 +1,109 @@
+'use strict'
+
+const { readIbmISrcMbr, readIbmISrcMbrSeqDates } = require('./asyncUtils')
+const { decodeSource } = require('./sourceText')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// Sequence numbers are SRCSEQ(6 2), kept here in hundredths, so 1.00 is 100
+const MAX_SEQ = 999999
+const SEQ_INCREMENT = 100
+
+/**
+ * @description Gets a Source Date, in the YYMMDD format of SRCDAT.
+ * @param {Date} [date] (Optional) The date, defaulting to today.
+ * @returns {String} The Source Date, like '200131'.
+ * @since 1.0.0
+ */
+const toSrcDate = (date = new Date()) => [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()]
+  .map(part => String(part).padStart(2, '0'))
+  .join('')
+
+/**
+ * @description Works out the Sequence numbers and Dates of converted source lines. Lines taken unchanged from the
+ *              original source keep their Sequence number and Date, and new lines are dated today and numbered into
+ *              the gaps between them, so the change history of a Member is not lost. An original line is only
+ *              renumbered if there is no gap left, and everything is renumbered if the numbers run out.
+ * @param {Number[]} origins The index of each source line in the original source, or null for a new line.
+ * @param {String[]} [origSeqDates] (Optional) The Sequence numbers and Dates of the original source, like
+ *                                  '000100200131', see shared/sourceText.js decodeSource().
+ * @param {String} [srcDate] (Optional) The Source Date of new lines, defaulting to today.
+ * @returns {String[]} The Sequence number and Date of each source line.
+ * @since 1.0.0
+ */
+const assignSeqDates = (origins, origSeqDates, srcDate = toSrcDate()) => {
+  logger.debug('assignSeqDates() started with : ', typeof origins, 'origins =', origins, typeof srcDate, 'srcDate =', srcDate)
+  const original = idx => idx !== null && origSeqDates && /^\d{6}/.test(origSeqDates[idx] || '')
+    ? { seq: Number.parseInt(origSeqDates[idx].substr(0, 6)), date: origSeqDates[idx].substr(6, 6).padEnd(6) }
+    : null
+  const lines = origins.map(idx => original(idx) || { seq: null, date: srcDate })
+
+  let renumbered = 0
+  let prevSeq = 0
+  for (let idx = 0; idx < lines.length; idx++) {
+    const line = lines[idx]
+    if (line.seq !== null) {
+      if (line.seq <= prevSeq) {
+        line.seq = prevSeq + 1
+        renumbered += 1
+      }
+    } else {
+      // Spread the new lines over the gap up to the next original line
+      let count = 1
+      while (idx + count < lines.length && lines[idx + count].seq === null) count++
+      const nextSeq = idx + count < lines.length ? lines[idx + count].seq : prevSeq + (count + 1) * SEQ_INCREMENT
+      const step = Math.max(Math.min(Math.floor((nextSeq - prevSeq) / (count + 1)), SEQ_INCREMENT), 1)
+      for (let newIdx = 0; newIdx < count; newIdx++) {
+        lines[idx + newIdx].seq = prevSeq + step * (newIdx + 1)
+      }
+      idx += count - 1
+    }
+    prevSeq = lines[idx].seq
+  }
+
+  if (prevSeq > MAX_SEQ) {
+    const step = Math.max(Math.min(Math.floor(MAX_SEQ / lines.length), SEQ_INCREMENT), 1)
+    logger.warn(`The Sequence numbers would be greater than 9999.99, so all ${lines.length} lines were renumbered by ${(step / 100).toFixed(2)}.`)
+    lines.forEach((line, idx) => { line.seq = step * (idx + 1) })
+  } else if (renumbered > 0) {
+    logger.warn(`There was no gap in the Sequence numbers for the new lines, so ${renumbered} original line(s) were renumbered.`)
+  }
+
+  return lines.map(line => String(line.seq).padStart(6, '0') + line.date)
+}
+
+/**
+ * @description Reads and decodes a Member, with the Sequence numbers and Dates of its lines. These are read from the
+ *              Member separately if the Source System does not return them with the source data.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @returns {Promise<Object>} The decoded source, see shared/sourceText.js decodeSource(), or the error message if we
+ *                            reject.
+ * @since 1.0.0
+ */
+const readIbmISrcMbrSource = async (fil, lib, mbr) => {
+  logger.debug('readIbmISrcMbrSource() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+  const source = decodeSource(await readIbmISrcMbr(fil, lib, mbr))
+
+  if (!source.seqDates) {
+    const seqDates = await readIbmISrcMbrSeqDates(fil, lib, mbr)
+    if (seqDates.length === source.lines.length && seqDates.length > 0) {
+      source.seqDates = seqDates
+    } else if (seqDates.length > 0) {
+      logger.warn(`Member ${lib}/${fil}.${mbr} has ${seqDates.length} Sequence numbers for ${source.lines.length} lines, so they were ignored.`)
+    }
+  }
+  return source
+}
+
+exports.toSrcDate = toSrcDate
+exports.assignSeqDates = assignSeqDates
+exports.readIbmISrcMbrSource = readIbmISrcMbrSource
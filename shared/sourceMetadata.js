@@ -0,0 +1,170 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const { dirname, join, parse, resolve } = require('path')
+const pino = require('pino')
+const { getIbmIMemberInfo } = require('./asyncUtils')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The Source metadata properties, in the order they are written to the JSON
+const PROPERTIES = ['library', 'file', 'member', 'type', 'ccsid']
+
+const SIDECAR_EXT = '.ibmi'
+const MEMBERS_FILE = '.members.json'
+const PROJECT_FILE = '.ibmi.json'
+
+/**
+ * @description Parses a '.ibmi' properties file, containing 'key=value' or 'key: value' lines. Lines starting with
+ *              '#' or '!' are comments.
+ * @param {String} data The properties file data.
+ * @returns {Object} The properties.
+ * @since 1.0.0
+ */
+const parseProperties = data => {
+  const properties = {}
+  for (const line of data.split(/\r\n|\n|\r/)) {
+    const match = /^\s*([^#!\s][^=:]*?)\s*[=:]\s*(.*?)\s*$/.exec(line)
+    if (match) {
+      properties[match[1].toLowerCase()] = match[2]
+    }
+  }
+  return properties
+}
+
+/**
+ * @description Reads a JSON metadata file, if there is one.
+ * @param {String} file The metadata file.
+ * @returns {Promise<Object>} The metadata, or undefined if there is no file.
+ * @since 1.0.0
+ */
+const readJsonFile = async file => {
+  const data = await fsPromises.readFile(file, 'utf8').catch(() => undefined)
+  if (typeof data === 'undefined') {
+    return undefined
+  }
+  try {
+    return JSON.parse(data)
+  } catch (error) {
+    logger.warn(`Metadata file ${file} is not valid JSON, it was ignored.`)
+    return undefined
+  }
+}
+
+/**
+ * @description Finds the nearest project '.ibmi.json' file, in the directory or one of its parents.
+ * @param {String} dir The directory to start in.
+ * @returns {Promise<Object>} The project metadata, or undefined if there is no file.
+ * @since 1.0.0
+ */
+const readProjectFile = async dir => {
+  for (let current = dir; ; current = dirname(current)) {
+    const project = await readJsonFile(join(current, PROJECT_FILE))
+    if (project || dirname(current) === current) {
+      return project
+    }
+  }
+}
+
+/**
+ * @description Keeps the known Source metadata properties, with the CCSID as a number.
+ * @param {Object} metadata The metadata read from a file.
+ * @returns {Object} The Source metadata.
+ * @since 1.0.0
+ */
+const pickProperties = metadata => {
+  const source = {}
+  for (const key of ['text', ...PROPERTIES]) {
+    const value = metadata[key]
+    if (typeof value === 'undefined' || value === null || value === '') continue
+    source[key] = key === 'ccsid' ? Number(value) : String(value)
+  }
+  if (Number.isNaN(source.ccsid)) {
+    logger.warn(`CCSID '${metadata.ccsid}' is not a number, it was ignored.`)
+    delete source.ccsid
+  }
+  return source
+}
+
+/**
+ * @description Sorts the Source metadata properties into a consistent order.
+ * @param {Object} source The Source metadata.
+ * @returns {Object} The sorted Source metadata.
+ * @since 1.0.0
+ */
+const sortProperties = source => PROPERTIES
+  .filter(key => typeof source[key] !== 'undefined')
+  .reduce((sorted, key) => Object.assign(sorted, { [key]: source[key] }), {})
+
+/**
+ * @description Reads the metadata kept next to a path-based source file, by editors and git-based IBM i workflows.
+ *              These are read in order, with the later ones taking priority:
+ *
+ *              - The nearest '.ibmi.json' project file, for the Library ('build.objlib') and CCSID ('build.tgtCcsid').
+ *              - A '.members.json' file in the same directory, for the Member entry, as used by the local Source System.
+ *              - A 'NAME.dspf.ibmi' properties file next to the source file, with text, type, ccsid, library, file
+ *                and member properties.
+ *
+ *              The Member name and Source type default to the file name and extension.
+ * @param {String} srcFile The path-based source file.
+ * @returns {Promise<Object>} The Member text, and the Source metadata (library, file, member, type and ccsid).
+ * @since 1.0.0
+ */
+const readSourceMetadata = async srcFile => {
+  logger.debug('readSourceMetadata() started with : ', typeof srcFile, 'srcFile =', srcFile)
+  const { dir, name, ext } = parse(srcFile)
+  const metadata = { member: name.toUpperCase() }
+  if (ext.length > 1) {
+    metadata.type = ext.substr(1).toUpperCase()
+  }
+
+  const project = await readProjectFile(resolve(dir))
+  if (project && project.build) {
+    Object.assign(metadata, pickProperties({ library: project.build.objlib, ccsid: project.build.tgtCcsid }))
+  }
+
+  const members = await readJsonFile(join(dir, MEMBERS_FILE))
+  if (members && members[metadata.member]) {
+    Object.assign(metadata, pickProperties(members[metadata.member]))
+  }
+
+  const sidecar = await fsPromises.readFile(srcFile + SIDECAR_EXT, 'utf8').catch(() => undefined)
+  if (typeof sidecar === 'string') {
+    Object.assign(metadata, pickProperties(parseProperties(sidecar)))
+  }
+
+  const { text, ...source } = metadata
+  logger.debug('readSourceMetadata() found : ', 'text =', text, 'source =', source)
+  return { text, source: sortProperties(source) }
+}
+
+/**
+ * @description Reads the metadata of a Source Member, from the selected Source System: its text, Source type and
+ *              CCSID, as well as where it is.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<Object>} The Member text, and the Source metadata (library, file, member, type and ccsid), or the
+ *                            error message if we reject.
+ * @since 1.0.0
+ */
+const readMemberMetadata = async (fil, lib, mbr) => {
+  logger.debug('readMemberMetadata() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+  const info = await getIbmIMemberInfo(fil, lib, mbr)
+  if (!info) {
+    return Promise.reject(Error(`Unable to retrieve Member Text for ${lib}/${fil}.${mbr}.`))
+  }
+
+  const source = pickProperties({ library: lib, file: fil, member: mbr, type: info.type, ccsid: info.ccsid })
+  return { text: info.text, source: sortProperties(source) }
+}
+
+exports.parseProperties = parseProperties
+exports.readSourceMetadata = readSourceMetadata
+exports.readMemberMetadata = readMemberMetadata
@@ -0,0 +1,522 @@
+'use strict'
+
+const { join, sep } = require('path')
+const { type, tmpdir } = require('os')
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+const { toSystemName, toUserName, toLikePattern, toClName } = require('./names')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The number of records whose Sequence numbers and Dates are set by each statement, see updateSeqDates()
+const SEQ_DATES_PER_STATEMENT = 500
+
+/**
+ * @description Tests to see if this Source System can be used on this machine.
+ * @returns {Boolean} True if this is IBM i.
+ * @since 1.0.0
+ */
+const isAvailable = () => type() === 'OS400'
+
+// One DBPool is shared by every statement in this process. It is created on first use, and the number of
+// statements running at once is limited to the pool size, so the pool never grows past it.
+const dbPoolState = {
+  pool: undefined,
+  size: Number.parseInt(process.env.PROFOUND_UTILS_DB_POOL_SIZE) || 2,
+  active: 0,
+  waiting: []
+}
+
+/**
+ * @description Sets the number of DB connections in the pool. Defaults to environment variable
+ *              PROFOUND_UTILS_DB_POOL_SIZE, or 2.
+ * @param {Number} size The pool size.
+ * @since 1.0.0
+ */
+const setDBPoolSize = size => {
+  logger.debug('setDBPoolSize() started with : ', typeof size, 'size =', size)
+
+  if (!Number.isInteger(size) || size < 1) {
+    throw Error(`DB pool size must be a whole number greater than 0, but was '${size}'.`)
+  }
+  dbPoolState.size = size
+}
+
+/**
+ * @description Gets the DBPool object, creating it on first use.
+ * @returns {Object} The DBPool object.
+ * @since 1.0.0
+ */
+const getDBPool = () => {
+  if (!dbPoolState.pool) {
+    logger.debug('getDBPool() creating pool with size : ', dbPoolState.size)
+
+    const { DBPool } = require('idb-pconnector')
+
+    const database = { url: '*LOCAL' }
+    const config = { incrementSize: dbPoolState.size, debug: process.env.LOG_LEVEL === 'debug' }
+
+    dbPoolState.pool = new DBPool(database, config)
+  }
+
+  return dbPoolState.pool
+}
+
+/**
+ * @description Runs a function against the DBPool once a connection is free, so no more than the pool size
+ *              are in use at once.
+ * @param {Function} fn The async function to run, which is passed the DBPool object.
+ * @returns {Promise<Object>} The function result.
+ * @since 1.0.0
+ */
+const withDBPool = async fn => {
+  if (dbPoolState.active < dbPoolState.size) {
+    dbPoolState.active += 1
+  } else {
+    // The connection is handed over by the statement that frees it
+    await new Promise(resolve => dbPoolState.waiting.push(resolve))
+  }
+
+  try {
+    return await fn(getDBPool())
+  } finally {
+    const next = dbPoolState.waiting.shift()
+    if (next) {
+      next()
+    } else {
+      dbPoolState.active -= 1
+    }
+  }
+}
+
+/**
+ * @description Closes all the connections in the DBPool. The next statement creates a new pool.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const closeDBPool = async () => {
+  const pool = dbPoolState.pool
+  if (pool) {
+    logger.debug('closeDBPool() closing pool')
+    dbPoolState.pool = undefined
+    await pool.retireAll()
+  }
+}
+
+/**
+ * @description Directly execute a statement by providing the SQL to the runSql() function.
+ * @param {String} inSql The SQL statement to run (not for CALL of stored procedures).
+ * @returns {Promise<String | Object>} The SQL results.
+ * @since 1.0.0
+ */
+const runSql = async inSql => {
+  logger.debug('runSql() started with : ', typeof inSql, 'inSql =', inSql)
+
+  return withDBPool(pool => pool.runSql(inSql))
+}
+
+/**
+ * @description Prepare and execute an SQL statement.
+ * @param {String} inSql The SQL statement to prepare & execute.
+ * @param {String | [String]} inParams The SQL parameters to be passed. The order of the parameters indexed in the array should map to the order of the parameter markers.
+ * @returns {Promise<String | Object>} The SQL results.
+ * @since 1.0.0
+ */
+const execSql = async (inSql, inParams) => {
+  logger.debug('execSql() started with : ', typeof inSql, 'inSql =', inSql, ', ', typeof inParams, 'inParams =', inParams)
+
+  let params
+  if (Array.isArray(inParams)) {
+    params = inParams
+  } else if (typeof inParams !== 'undefined') {
+    params = [inParams]
+  }
+
+  return withDBPool(pool => pool.prepareExecute(inSql, params))
+}
+
+/**
+ * @description Prepare and execute an SQL query, returning the result set rows.
+ * @param {String} inSql The SQL query to prepare & execute, using parameter markers for any values.
+ * @param {[String]} inParams The SQL parameters to be passed, in the order of the parameter markers.
+ * @returns {Promise<Object[]>} The result set rows, or an empty array if there are none.
+ * @since 1.0.0
+ */
+const querySql = async (inSql, inParams) => {
+  const result = await execSql(inSql, inParams)
+  return result && Array.isArray(result.resultSet) ? result.resultSet : []
+}
+
+/**
+ * @description Reads an IBM i source-physical file member.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @param {String} [rtnFormat='stream'] (Optional) 'stream' returns a data stream of the Source Member.
+ *                                                 'file' returns a file name containing the Source data.
+ * @returns {Promise<String>} The stream of the source member.
+ * @since 1.0.0
+ */
+const readIbmISrcMbr = async (fil, lib, mbr, rtnFormat) => {
+  try {
+    logger.debug('readIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr, ', ', typeof rtnFormat, 'rtnFormat =', rtnFormat)
+
+    // Check if this is IBM i
+    if (type() !== 'OS400') {
+      throw Error('readIbmISrcMbr() can only be called on IBM i.')
+    }
+
+    const srcFile = toClName(lib) + '/' + toClName(fil) + ' ' + toClName(mbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    // Copy the Member to a temp stream file
+    const outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
+
+    const ifsStreamFile = `${outDir}${sep}${[lib, fil, mbr].map(x => x.replace(/[^\w$#@.]/g, '_')).join('.')}.dspf`
+
+    const cpyStmt = `CPYTOIMPF FROMFILE(${srcFile}) TOSTMF('${ifsStreamFile}') MBROPT(*REPLACE) FROMCCSID(*FILE) STMFCCSID(1208) RCDDLM(*CRLF) DTAFMT(*FIXED) RMVBLANK(*EOR)`
+
+    await execSql('CALL QCMDEXC(?)', cpyStmt)
+
+    if (typeof rtnFormat === 'string' && rtnFormat === 'file') {
+      return ifsStreamFile
+    } else {
+      const streamData = await fsPromises.readFile(ifsStreamFile, 'utf8')
+
+      fsPromises.unlink(ifsStreamFile)
+        .then(x => fsPromises.rmdir(outDir))
+
+      return streamData
+    }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Runs a function against an SQL alias of a source Member, as SQL can only read the first Member of a
+ *              file otherwise. The alias is created in the Member's Library, so it can be used by any connection in
+ *              the DBPool, and is dropped afterwards.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @param {Function} fn The async function to run, which is passed the qualified alias name.
+ * @returns {Promise<Object>} The function result.
+ * @since 1.0.0
+ */
+const withMemberAlias = async (fil, lib, mbr, fn) => {
+  const alias = `${toClName(lib)}.PUA${Math.random().toString(36).substr(2, 7).toUpperCase()}`
+  await execSql(`CREATE ALIAS ${alias} FOR ${toClName(lib)}.${toClName(fil)} (${toClName(mbr)})`)
+  try {
+    return await fn(alias)
+  } finally {
+    await execSql(`DROP ALIAS ${alias}`)
+      .catch(() => logger.warn(`Unable to drop the temporary alias ${alias}.`))
+  }
+}
+
+/**
+ * @description Reads the Sequence numbers and Dates of an IBM i source-physical file member, which are not in the
+ *              data stream returned by readIbmISrcMbr().
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<String[]>} The Sequence number and Date of each line, like '000100200131'.
+ * @since 1.0.0
+ */
+const readIbmISrcMbrSeqDates = async (fil, lib, mbr) => {
+  try {
+    logger.debug('readIbmISrcMbrSeqDates() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    const result = await withMemberAlias(fil, lib, mbr, alias =>
+      querySql(`select SRCSEQ, SRCDAT from ${alias} A order by rrn(A)`, []))
+
+    return result.map(row => String(Math.round(Number(row.SRCSEQ) * 100)).padStart(6, '0') +
+      String(Number(row.SRCDAT)).padStart(6, '0'))
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Sets the Sequence numbers and Dates of the records of a new source Member, whose records are numbered
+ *              from 1 in the order of the lines. Each statement sets up to SEQ_DATES_PER_STATEMENT records from a
+ *              VALUES list, so a Member of thousands of lines takes a handful of statements instead of one per line.
+ * @param {String} alias The qualified alias name of the Member, see withMemberAlias().
+ * @param {String[]} seqDates The Sequence number and Date of each line, like '000100200131'.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const updateSeqDates = async (alias, seqDates) => {
+  for (let start = 0; start < seqDates.length; start += SEQ_DATES_PER_STATEMENT) {
+    const chunk = seqDates.slice(start, start + SEQ_DATES_PER_STATEMENT)
+    const params = []
+    chunk.forEach((seqDate, idx) => {
+      params.push(String(start + idx + 1),
+        (Number.parseInt(seqDate.substr(0, 6)) / 100).toFixed(2),
+        String(Number.parseInt(seqDate.substr(6, 6)) || 0))
+    })
+
+    // The parameter markers in the VALUES list are cast, as they have no column to take their type from
+    const values = chunk.map(() => '(cast(? as integer), cast(? as decimal(6, 2)), cast(? as decimal(6, 0)))').join(', ')
+    await execSql(`update ${alias} A set (SRCSEQ, SRCDAT) = ` +
+      `(select V.SEQ, V.DAT from (values ${values}) V (RRN, SEQ, DAT) where V.RRN = rrn(A)) ` +
+      `where rrn(A) between ? and ?`, [...params, String(start + 1), String(start + chunk.length)])
+  }
+}
+
+/**
+ * @description Writes to an IBM i source-physical file member.
+ * @param {String} srcFile The Source-stream file in IFS.
+ * @param {String} fil The Source physical-file to write to.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member.
+ * @param {String} mbrText The Source Member text.
+ * @param {String} [srcType='DSPF'] (Optional) The Source type.
+ * @param {String[]} [seqDates] (Optional) The Sequence number and Date of each line, like '000100200131'. If not
+ *                              specified, the lines are numbered from 0.01 and the Dates are cleared.
+ * @returns {Promise<String>} The stream of the source member.
+ * @since 1.0.0
+ */
+const writeIbmISrcMbr = async (srcFile, fil, lib, mbr, mbrText, srcType = 'DSPF', seqDates) => {
+  try {
+    logger.debug('writeIbmISrcMbr() started with : ', typeof srcFile, 'srcFile =', srcFile, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof mbrText, 'mbrText =', mbrText, typeof srcType, 'srcType =', srcType)
+    const clLib = toClName(lib)
+    const clFil = toClName(fil)
+    const clMbr = toClName(mbr)
+    const outFile = `/QSYS.LIB/${clLib}.LIB/${clFil}.FILE/${clMbr}.MBR`
+    logger.info('Writing output file : ', outFile)
+
+    // Quote marks in CL string literals are doubled
+    const clString = str => `'${String(str).replace(/'/g, "''")}'`
+
+    let stmt = `CPYFRMSTMF FROMSTMF(${clString(srcFile)}) TOMBR(${clString(outFile)}) MBROPT(*ADD) STMFCCSID(1208)`
+    await execSql('CALL QCMDEXC(?)', stmt)
+
+    // Change Member Type
+    stmt = `CHGPFM FILE(${clLib}/${clFil}) MBR(${clMbr}) SRCTYPE(${toClName(srcType)}) TEXT(${clString(mbrText || '')})`
+    await execSql('CALL QCMDEXC(?)', stmt)
+
+    if (Array.isArray(seqDates)) {
+      // Set the Sequence numbers and Dates of each record, which are in the same order as the lines
+      await withMemberAlias(fil, lib, mbr, alias => updateSeqDates(alias, seqDates))
+    } else {
+      // Re-sequence file
+      stmt = `RGZPFM FILE(${clLib}/${clFil}) MBR(${clMbr}) SRCOPT(*DATE *SEQNBR) SRCSEQ(0.01 0.01)`
+      await execSql('CALL QCMDEXC(?)', stmt)
+    }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Removes an IBM i source-physical file member.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member to remove.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const removeIbmISrcMbr = async (fil, lib, mbr) => {
+  try {
+    logger.debug('removeIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+    await execSql('CALL QCMDEXC(?)', `RMVM FILE(${toClName(lib)}/${toClName(fil)}) MBR(${toClName(mbr)})`)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Renames an IBM i source-physical file member. The Member text and Source type are kept.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member to rename.
+ * @param {String} newMbr The new Source Member name, which must not exist.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const renameIbmISrcMbr = async (fil, lib, mbr, newMbr) => {
+  try {
+    logger.debug('renameIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof newMbr, 'newMbr =', newMbr)
+    await execSql('CALL QCMDEXC(?)', `RNMM FILE(${toClName(lib)}/${toClName(fil)}) MBR(${toClName(mbr)}) NEWMBR(${toClName(newMbr)})`)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Gets a list of IBM i Members for Generic searches.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The Source Member names to search for. This expects a generic name like 'ABC*', '*A*B*' or '"abc"*'.
+ * @returns {Promise<String[]>} Array of Member names matching the supplied IBM i member name, quoted where needed.
+ * @since 1.0.0
+ */
+const getIbmIMemberList = async (fil, lib, mbr) => {
+  try {
+    logger.debug('getIbmIMemberList() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    const sqlStmt = `select rtrim(system_table_member) as member from QSYS2.SYSPARTITIONSTAT where ` +
+      `system_table_schema = ? and ` +
+      `system_table_name = ? and ` +
+      `system_table_member like ? escape '\\' ` +
+      'order by system_table_member'
+
+    const result = await querySql(sqlStmt, [toSystemName(lib), toSystemName(fil), toLikePattern(mbr)])
+    return result.map(row => toUserName(row.MEMBER))
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Gets the IBM i Member text, Source type and CCSID, from the catalog. The CCSID is that of the
+ *              Source-physical file's SRCDTA column.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<Object>} The Member text, Source type and CCSID, or null if the Member was not found.
+ * @since 1.0.0
+ */
+const getIbmIMemberInfo = async (fil, lib, mbr) => {
+  try {
+    logger.debug('getIbmIMemberInfo() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const sqlStmt = `select P.PARTITION_TEXT, P.SOURCE_TYPE, C.CCSID from QSYS2.SYSPARTITIONSTAT P ` +
+      `left join QSYS2.SYSCOLUMNS C on ` +
+      `C.system_table_schema = P.system_table_schema and ` +
+      `C.system_table_name = P.system_table_name and ` +
+      `C.system_column_name = 'SRCDTA' where ` +
+      `P.system_table_schema = ? and ` +
+      `P.system_table_name = ? and ` +
+      `P.system_table_member = ?`
+
+    const result = await querySql(sqlStmt, [lib, fil, mbr])
+    if (result.length === 0) {
+      return null
+    }
+    const ccsid = Number.parseInt(result[0].CCSID)
+    return {
+      text: result[0].PARTITION_TEXT || '',
+      type: (result[0].SOURCE_TYPE || '').trim(),
+      ccsid: Number.isNaN(ccsid) ? undefined : ccsid
+    }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Gets the IBM i Member text.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<String>} The Member Text for the supplied IBM i member.
+ * @since 1.0.0
+ */
+const getIbmIMemberText = async (fil, lib, mbr) => {
+  logger.debug('getIbmIMemberText() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+  const info = await getIbmIMemberInfo(fil, lib, mbr)
+  if (!info) {
+    return Promise.reject(Error(`Unable to retrieve Member Text for ${toSystemName(lib)}/${toSystemName(fil)}.${toSystemName(mbr)}.`))
+  }
+  return info.text
+}
+
+/**
+ * @description Gets the IBM i Member Source type, like 'DSPF'.
+ * @param {String} fil The Source-physical file.
+ * @param {String} lib The Library containing the Source-physical file.
+ * @param {String} mbr The source Member.
+ * @returns {Promise<String>} The Source type for the supplied IBM i member.
+ * @since 1.0.0
+ */
+const getIbmIMemberType = async (fil, lib, mbr) => {
+  logger.debug('getIbmIMemberType() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+  const info = await getIbmIMemberInfo(fil, lib, mbr)
+  if (!info) {
+    return Promise.reject(Error(`Unable to retrieve Source type for ${toSystemName(lib)}/${toSystemName(fil)}.${toSystemName(mbr)}.`))
+  }
+  return info.type
+}
+
+/**
+ * @description Tests to see if this is a valid Source file name or not.
+ * @param {String} fil The Source File name.
+ * @param {String} lib The Library containing the Source File.
+ * @returns {Promise<String>} The error message if we reject.
+ * @since 1.0.0
+ */
+const isValidDdsSourceFile = async (fil, lib) => {
+  logger.debug('isValidDdsSourceFile() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib)
+
+  const sqlStmt = `select 1 from QSYS2.SYSTABLES ` +
+    `where SYSTEM_TABLE_SCHEMA = ? ` +
+    `and SYSTEM_TABLE_NAME = ? ` +
+    `and FILE_TYPE = 'S' ` +
+    `fetch first 1 rows only`
+
+  const err = await querySql(sqlStmt, [toSystemName(lib), toSystemName(fil)])
+    .then(result => result.length === 0 ? `Source File '${fil}' not found in Library '${lib}'.` : null)
+    .catch(error => error)
+
+  if (err) {
+    return Promise.reject(err)
+  }
+}
+
+/**
+ * @description Tests to see if this is a valid Library name or not.
+ * @param {String} lib The Library containing the Source File.
+ * @returns {Promise<String>} The error message if we reject.
+ * @since 1.0.0
+ */
+const isValidLibrary = async lib => {
+  logger.debug('isValidLibrary() started with : ', typeof lib, 'lib =', lib)
+
+  const sqlStmt = `select 1 from QSYS2.SYSSCHEMAS ` +
+    `where SYSTEM_SCHEMA_NAME = ? ` +
+    `fetch first 1 rows only`
+
+  const err = await querySql(sqlStmt, [toSystemName(lib)])
+    .then(result => result.length === 0 ? `Library '${lib}' not found on this system.` : null)
+    .catch(error => error)
+
+  if (err) {
+    return Promise.reject(err)
+  }
+}
+
+exports.name = 'db2'
+exports.isAvailable = isAvailable
+exports.setDBPoolSize = setDBPoolSize
+exports.closeDBPool = closeDBPool
+exports.runSql = runSql
+exports.execSql = execSql
+exports.readIbmISrcMbr = readIbmISrcMbr
+exports.readIbmISrcMbrSeqDates = readIbmISrcMbrSeqDates
+exports.writeIbmISrcMbr = writeIbmISrcMbr
+exports.removeIbmISrcMbr = removeIbmISrcMbr
+exports.renameIbmISrcMbr = renameIbmISrcMbr
+exports.getIbmIMemberList = getIbmIMemberList
+exports.getIbmIMemberInfo = getIbmIMemberInfo
+exports.getIbmIMemberText = getIbmIMemberText
+exports.getIbmIMemberType = getIbmIMemberType
+exports.isValidDdsSourceFile = isValidDdsSourceFile
+exports.isValidLibrary = isValidLibrary
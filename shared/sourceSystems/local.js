@@ -0,0 +1,384 @@
+'use strict'
+
+const { join, parse, resolve, sep } = require('path')
+const { tmpdir } = require('os')
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+const { toSystemName, toUserName, toNameRegExp } = require('./names')
+const { decodeSource, encodeSource } = require('../sourceText')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+const CRLF = '\r\n'
+const MEMBERS_FILE = '.members.json'
+
+/**
+ * @description Creates a Source System that maps a local directory tree onto IBM i Libraries, Source Files and
+ *              Members. Each Library is a directory in the root directory, each Source File is a directory in
+ *              its Library, and each Member is a file named like 'MBR.dspf' in its Source File. The Member text
+ *              and Source type are kept in a '.members.json' sidecar file in each Source File directory, like
+ *
+ *                { "MYDSPF": { "text": "My display file", "type": "DSPF", "ccsid": 37 } }
+ *
+ *              Names are matched case-insensitively, and quoted names like '"my.dspf"' have their quotes removed.
+ *              The quoted parts of generic names are matched in their own case, as they are on IBM i.
+ * @param {String} rootDir The root directory containing the Library directories.
+ * @returns {Object} The Source System object.
+ * @since 1.0.0
+ */
+const createSourceSystem = (rootDir) => {
+  logger.debug('createSourceSystem() started with : ', typeof rootDir, 'rootDir =', rootDir)
+
+  rootDir = resolve(rootDir)
+
+  /**
+   * @description Finds a directory entry, ignoring the case of the name and any file extension.
+   * @param {String} dir The directory to search.
+   * @param {String} name The name to search for.
+   * @param {Boolean} isDirectory True to find a directory, false to find a file.
+   * @returns {Promise<String>} The directory entry name, or undefined if it is not found.
+   */
+  const findEntry = async (dir, name, isDirectory) => {
+    const dirEntries = await fsPromises.readdir(dir, { withFileTypes: true }).catch(() => [])
+    const entry = dirEntries.find(x => x.isDirectory() === isDirectory &&
+      (isDirectory ? x.name : parse(x.name).name).toUpperCase() === name.toUpperCase())
+    return entry ? entry.name : undefined
+  }
+
+  /**
+   * @description Gets the Source File directory.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @returns {Promise<String>} The Source File directory, or the error message if we reject.
+   */
+  const getSrcFileDir = async (fil, lib) => {
+    const libDir = await findEntry(rootDir, lib, true)
+    if (!libDir) {
+      const err = `Library '${lib}' not found on this system.`
+      return Promise.reject(err)
+    }
+    const filDir = await findEntry(join(rootDir, libDir), fil, true)
+    if (!filDir) {
+      const err = `Source File '${fil}' not found in Library '${lib}'.`
+      return Promise.reject(err)
+    }
+    return join(rootDir, libDir, filDir)
+  }
+
+  /**
+   * @description Reads the Member metadata sidecar file of a Source File.
+   * @param {String} srcFileDir The Source File directory.
+   * @returns {Promise<Object>} The Member metadata, keyed by uppercase Member name.
+   */
+  const readMembersFile = async (srcFileDir) => {
+    const data = await fsPromises.readFile(join(srcFileDir, MEMBERS_FILE), 'utf8').catch(() => '{}')
+    const members = {}
+    const parsed = JSON.parse(data)
+    for (const mbr in parsed) {
+      members[mbr.toUpperCase()] = parsed[mbr]
+    }
+    return members
+  }
+
+  /**
+   * @description Tests to see if this Source System can be used on this machine.
+   * @returns {Boolean} Always true, as this works on any machine.
+   */
+  const isAvailable = () => true
+
+  /**
+   * @description Reads a Source Member. The source data is returned with CRLF line endings, as it is from IBM i.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The source Member.
+   * @param {String} [rtnFormat='stream'] (Optional) 'stream' returns a data stream of the Source Member.
+   *                                                 'file' returns a file name containing the Source data.
+   * @returns {Promise<String>} The stream of the source member.
+   */
+  const readIbmISrcMbr = async (fil, lib, mbr, rtnFormat) => {
+    logger.debug('readIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr, ', ', typeof rtnFormat, 'rtnFormat =', rtnFormat)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib)
+    const mbrFile = await findEntry(srcFileDir, mbr, false)
+    if (!mbrFile) {
+      return Promise.reject(Error(`Source Member '${mbr}' not found in file ${lib}/${fil}.`))
+    }
+
+    const streamData = (await fsPromises.readFile(join(srcFileDir, mbrFile), 'utf8'))
+      .split(/\r\n|\n/)
+      .join(CRLF)
+
+    if (typeof rtnFormat === 'string' && rtnFormat === 'file') {
+      const outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
+      const ifsStreamFile = `${outDir}${sep}${lib}.${fil}.${mbr}.dspf`
+      await fsPromises.writeFile(ifsStreamFile, streamData)
+      return ifsStreamFile
+    } else {
+      return streamData
+    }
+  }
+
+  /**
+   * @description Reads the Sequence numbers and Dates of a Source Member. These are only kept if the Member file
+   *              starts each line with them, and are also returned in the data stream by readIbmISrcMbr().
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The source Member.
+   * @returns {Promise<String[]>} The Sequence number and Date of each line, or an empty array if there are none.
+   */
+  const readIbmISrcMbrSeqDates = async (fil, lib, mbr) => {
+    logger.debug('readIbmISrcMbrSeqDates() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+    return decodeSource(await readIbmISrcMbr(fil, lib, mbr)).seqDates || []
+  }
+
+  /**
+   * @description Writes to a Source Member, and sets the Member text and Source type.
+   * @param {String} srcFile The Source-stream file to copy into the Member.
+   * @param {String} fil The Source physical-file to write to.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The Source Member.
+   * @param {String} mbrText The Source Member text.
+   * @param {String} [srcType='DSPF'] (Optional) The Source type.
+   * @param {String[]} [seqDates] (Optional) The Sequence number and Date of each line, which are written at the start
+   *                              of each line of the Member file.
+   * @returns {Promise<Void>} The error message if we reject.
+   */
+  const writeIbmISrcMbr = async (srcFile, fil, lib, mbr, mbrText, srcType = 'DSPF', seqDates) => {
+    logger.debug('writeIbmISrcMbr() started with : ', typeof srcFile, 'srcFile =', srcFile, typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof mbrText, 'mbrText =', mbrText, typeof srcType, 'srcType =', srcType)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib)
+    const mbrFile = await findEntry(srcFileDir, mbr, false) || `${mbr}.dspf`
+    logger.info('Writing output file : ', join(srcFileDir, mbrFile))
+
+    if (Array.isArray(seqDates)) {
+      const source = decodeSource(await fsPromises.readFile(srcFile))
+      await fsPromises.writeFile(join(srcFileDir, mbrFile), encodeSource(source.lines, source.format, seqDates))
+    } else {
+      await fsPromises.copyFile(srcFile, join(srcFileDir, mbrFile))
+    }
+
+    const members = await readMembersFile(srcFileDir)
+    members[mbr] = { ...members[mbr], text: mbrText || '', type: srcType }
+    await fsPromises.writeFile(join(srcFileDir, MEMBERS_FILE), JSON.stringify(members, null, 2))
+  }
+
+  /**
+   * @description Removes a Source Member, and its entry in the Member metadata.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The Source Member to remove.
+   * @returns {Promise<Void>} The error message if we reject.
+   */
+  const removeIbmISrcMbr = async (fil, lib, mbr) => {
+    logger.debug('removeIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib)
+    const mbrFile = await findEntry(srcFileDir, mbr, false)
+    if (!mbrFile) {
+      return Promise.reject(Error(`Source Member '${mbr}' not found in file ${lib}/${fil}.`))
+    }
+    await fsPromises.unlink(join(srcFileDir, mbrFile))
+
+    const members = await readMembersFile(srcFileDir)
+    delete members[mbr]
+    await fsPromises.writeFile(join(srcFileDir, MEMBERS_FILE), JSON.stringify(members, null, 2))
+  }
+
+  /**
+   * @description Renames a Source Member, keeping its Member text and Source type.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The Source Member to rename.
+   * @param {String} newMbr The new Source Member name, which must not exist.
+   * @returns {Promise<Void>} The error message if we reject.
+   */
+  const renameIbmISrcMbr = async (fil, lib, mbr, newMbr) => {
+    logger.debug('renameIbmISrcMbr() started with : ', typeof fil, 'fil =', fil, typeof lib, 'lib =', lib, typeof mbr, 'mbr =', mbr, typeof newMbr, 'newMbr =', newMbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+    newMbr = toSystemName(newMbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib)
+    const mbrFile = await findEntry(srcFileDir, mbr, false)
+    if (!mbrFile) {
+      return Promise.reject(Error(`Source Member '${mbr}' not found in file ${lib}/${fil}.`))
+    }
+    if (await findEntry(srcFileDir, newMbr, false)) {
+      return Promise.reject(Error(`Source Member '${newMbr}' already exists in file ${lib}/${fil}.`))
+    }
+    await fsPromises.rename(join(srcFileDir, mbrFile), join(srcFileDir, `${newMbr}${parse(mbrFile).ext}`))
+
+    const members = await readMembersFile(srcFileDir)
+    if (members[mbr]) {
+      members[newMbr] = members[mbr]
+      delete members[mbr]
+      await fsPromises.writeFile(join(srcFileDir, MEMBERS_FILE), JSON.stringify(members, null, 2))
+    }
+  }
+
+  /**
+   * @description Gets a list of Members for Generic searches.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The Source Member names to search for. This expects a generic name like 'ABC*', '*A*B*' or '"abc"*'.
+   * @returns {Promise<String[]>} Array of Member names matching the supplied member name, quoted where needed.
+   */
+  const getIbmIMemberList = async (fil, lib, mbr) => {
+    logger.debug('getIbmIMemberList() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    const srcFileDir = await getSrcFileDir(toSystemName(fil), toSystemName(lib)).catch(() => undefined)
+    if (!srcFileDir) {
+      return []
+    }
+
+    const pattern = toNameRegExp(mbr)
+    const dirEntries = await fsPromises.readdir(srcFileDir, { withFileTypes: true })
+
+    // A file named like an unquoted Member, in any case, is that Member, and any other file keeps its case, so that
+    // quoted generic names match it in their own case
+    return dirEntries
+      .filter(entry => entry.isFile() && entry.name !== MEMBERS_FILE)
+      .map(entry => parse(entry.name).name)
+      .map(name => /^[A-Z$#@][A-Z0-9$#@_.]*$/i.test(name) ? name.toUpperCase() : name)
+      .filter(name => pattern.test(name))
+      .sort()
+      .map(name => toUserName(name))
+  }
+
+  /**
+   * @description Gets the Member text, Source type and CCSID, from the '.members.json' sidecar file.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The source Member.
+   * @returns {Promise<Object>} The Member text, Source type and CCSID, or null if the Member was not found.
+   */
+  const getIbmIMemberInfo = async (fil, lib, mbr) => {
+    logger.debug('getIbmIMemberInfo() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib).catch(() => undefined)
+    if (!srcFileDir || !await findEntry(srcFileDir, mbr, false)) {
+      return null
+    }
+
+    const member = (await readMembersFile(srcFileDir))[mbr] || {}
+    const ccsid = Number.parseInt(member.ccsid)
+    return {
+      text: typeof member.text === 'string' ? member.text : '',
+      type: typeof member.type === 'string' ? member.type : '',
+      ccsid: Number.isNaN(ccsid) ? undefined : ccsid
+    }
+  }
+
+  /**
+   * @description Gets the Member text.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The source Member.
+   * @returns {Promise<String>} The Member Text for the supplied member.
+   */
+  const getIbmIMemberText = async (fil, lib, mbr) => {
+    logger.debug('getIbmIMemberText() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib).catch(() => undefined)
+    if (!srcFileDir || !await findEntry(srcFileDir, mbr, false)) {
+      return Promise.reject(Error(`Unable to retrieve Member Text for ${lib}/${fil}.${mbr}.`))
+    }
+
+    const members = await readMembersFile(srcFileDir)
+    return members[mbr] && typeof members[mbr].text === 'string' ? members[mbr].text : ''
+  }
+
+  /**
+   * @description Gets the Member Source type.
+   * @param {String} fil The Source-physical file.
+   * @param {String} lib The Library containing the Source-physical file.
+   * @param {String} mbr The source Member.
+   * @returns {Promise<String>} The Source type for the supplied member, or '' if it has none.
+   */
+  const getIbmIMemberType = async (fil, lib, mbr) => {
+    logger.debug('getIbmIMemberType() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib, ', ', typeof mbr, 'mbr =', mbr)
+
+    lib = toSystemName(lib)
+    fil = toSystemName(fil)
+    mbr = toSystemName(mbr)
+
+    const srcFileDir = await getSrcFileDir(fil, lib).catch(() => undefined)
+    if (!srcFileDir || !await findEntry(srcFileDir, mbr, false)) {
+      return Promise.reject(Error(`Unable to retrieve Source type for ${lib}/${fil}.${mbr}.`))
+    }
+
+    const members = await readMembersFile(srcFileDir)
+    return members[mbr] && typeof members[mbr].type === 'string' ? members[mbr].type : ''
+  }
+
+  /**
+   * @description Tests to see if this is a valid Source file name or not.
+   * @param {String} fil The Source File name.
+   * @param {String} lib The Library containing the Source File.
+   * @returns {Promise<String>} The error message if we reject.
+   */
+  const isValidDdsSourceFile = async (fil, lib) => {
+    logger.debug('isValidDdsSourceFile() started with : ', typeof fil, 'fil =', fil, ', ', typeof lib, 'lib =', lib)
+    await getSrcFileDir(toSystemName(fil), toSystemName(lib))
+  }
+
+  /**
+   * @description Tests to see if this is a valid Library name or not.
+   * @param {String} lib The Library containing the Source File.
+   * @returns {Promise<String>} The error message if we reject.
+   */
+  const isValidLibrary = async lib => {
+    logger.debug('isValidLibrary() started with : ', typeof lib, 'lib =', lib)
+    if (!await findEntry(rootDir, toSystemName(lib), true)) {
+      const err = `Library '${lib}' not found on this system.`
+      return Promise.reject(err)
+    }
+  }
+
+  return {
+    name: 'local',
+    rootDir,
+    isAvailable,
+    readIbmISrcMbr,
+    readIbmISrcMbrSeqDates,
+    writeIbmISrcMbr,
+    removeIbmISrcMbr,
+    renameIbmISrcMbr,
+    getIbmIMemberList,
+    getIbmIMemberInfo,
+    getIbmIMemberText,
+    getIbmIMemberType,
+    isValidDdsSourceFile,
+    isValidLibrary
+  }
+}
+
+exports.createSourceSystem = createSourceSystem
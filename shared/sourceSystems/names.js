@@ -0,0 +1,107 @@
+'use strict'
+
+/**
+ * @description Splits an IBM i name into its quoted and unquoted parts. Quoted parts, like '"my file"', keep their
+ *              case and may contain any character, with '""' standing for a single quote mark. Unquoted parts are
+ *              uppercased, as they are on IBM i.
+ * @param {String} name The IBM i name, which may be generic, like 'ABC*' or '"abc"*'.
+ * @returns {Object[]} The name parts, each containing the text and whether it was quoted.
+ * @since 1.0.0
+ */
+const splitName = name => {
+  const parts = []
+  const re = /"((?:[^"]|"")*)"|([^"]+)/g
+  let match
+  while ((match = re.exec(name)) !== null) {
+    if (typeof match[1] === 'string') {
+      parts.push({ text: match[1].replace(/""/g, '"'), quoted: true })
+    } else {
+      parts.push({ text: match[2].toUpperCase(), quoted: false })
+    }
+  }
+  return parts
+}
+
+/**
+ * @description Converts a name as typed by the user into the name as stored on IBM i. Unquoted names are uppercased,
+ *              and quoted names have their quotes removed.
+ * @param {String} name The IBM i name.
+ * @returns {String} The system name.
+ * @since 1.0.0
+ */
+const toSystemName = name => splitName(name).map(part => part.text).join('')
+
+/**
+ * @description Converts a name as stored on IBM i into the name as it would be typed by the user, quoting it if
+ *              it does not follow the IBM i naming rules for unquoted names.
+ * @param {String} sysName The system name.
+ * @returns {String} The name, quoted if needed.
+ * @since 1.0.0
+ */
+const toUserName = sysName => /^[A-Z$#@][A-Z0-9$#@_.]*$/.test(sysName) ? sysName : `"${sysName.replace(/"/g, '""')}"`
+
+/**
+ * @description Normalizes a name as typed by the user, uppercasing it unless it is quoted, and quoting it only
+ *              where needed. Normalizing the same name twice gives the same result.
+ * @param {String} name The IBM i name.
+ * @returns {String} The normalized name.
+ * @since 1.0.0
+ */
+const normalizeName = name => toUserName(toSystemName(name))
+
+/**
+ * @description Converts a generic IBM i name into an SQL LIKE pattern, to be used with "ESCAPE '\'".
+ *              Each unquoted '*' matches any characters, and everything else matches itself, including '_', '%'
+ *              and any '*' within quotes.
+ * @param {String} genericName The generic IBM i name, like 'ABC*', '*A*B*' or '"abc"*'.
+ * @returns {String} The LIKE pattern.
+ * @since 1.0.0
+ */
+const toLikePattern = genericName => splitName(genericName)
+  .map(part => {
+    const escaped = part.text.replace(/[\\%_]/g, '\\$&')
+    return part.quoted ? escaped : escaped.replace(/\*/g, '%')
+  })
+  .join('')
+
+/**
+ * @description Converts a generic IBM i name into a regular expression, that matches system names. Like
+ *              toLikePattern(), unquoted parts are uppercased and each unquoted '*' matches any characters, and quoted
+ *              parts match themselves, in their own case.
+ * @param {String} genericName The generic IBM i name, like 'ABC*', '*A*B*' or '"abc"*'.
+ * @returns {RegExp} The regular expression.
+ * @since 1.0.0
+ */
+const toNameRegExp = genericName => new RegExp('^' + splitName(genericName)
+  .map(part => {
+    const escaped = part.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return part.quoted ? escaped : escaped.replace(/\\\*/g, '.*')
+  })
+  .join('') + '$')
+
+/**
+ * @description Converts a name into the form used in a CL command parameter. Names that follow the IBM i naming
+ *              rules are used as they are, and anything else is quoted. Names that cannot be passed safely are rejected.
+ * @param {String} name The IBM i name.
+ * @returns {String} The CL name.
+ * @since 1.0.0
+ */
+const toClName = name => {
+  const sysName = toSystemName(name)
+  // eslint-disable-next-line no-control-regex
+  const quotedName = /^[^"'*?\s\x00-\x1f]{1,8}$/
+  if (/^[A-Z$#@][A-Z0-9$#@_.]{0,9}$/.test(sysName)) {
+    return sysName
+  } else if (quotedName.test(sysName)) {
+    return `"${sysName}"`
+  } else {
+    throw Error(`'${name}' is not a valid IBM i name.`)
+  }
+}
+
+exports.toSystemName = toSystemName
+exports.toUserName = toUserName
+exports.normalizeName = normalizeName
+exports.toLikePattern = toLikePattern
+exports.toNameRegExp = toNameRegExp
+exports.toClName = toClName
@@ -0,0 +1,306 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const pino = require('pino')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// The EBCDIC control characters 0x00 to 0x3F, as Unicode code points. 0x15 (NL) is U+0085, and 0x25 (LF) is U+000A
+const EBCDIC_CONTROLS = [
+  0x00, 0x01, 0x02, 0x03, 0x9C, 0x09, 0x86, 0x7F, 0x97, 0x8D, 0x8E, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F,
+  0x10, 0x11, 0x12, 0x13, 0x9D, 0x85, 0x08, 0x87, 0x18, 0x19, 0x92, 0x8F, 0x1C, 0x1D, 0x1E, 0x1F,
+  0x80, 0x81, 0x82, 0x83, 0x84, 0x0A, 0x17, 0x1B, 0x88, 0x89, 0x8A, 0x8B, 0x8C, 0x05, 0x06, 0x07,
+  0x90, 0x91, 0x16, 0x93, 0x94, 0x95, 0x96, 0x04, 0x98, 0x99, 0x9A, 0x9B, 0x14, 0x15, 0x9E, 0x1A
+]
+
+// The EBCDIC characters 0x40 to 0xFF of CCSID 37
+const CCSID_37 = ' \u00a0âäàáãåçñ¢.<(+|&éêëèíîïìß!$*);¬-/ÂÄÀÁÃÅÇÑ¦,%_>?øÉÊËÈÍÎÏÌ`:#@\'="Øabcdefghi«»ðýþ±°jklmnopqrªºæ¸Æ¤µ~stuvwxyz¡¿ÐÝÞ®^£¥·©§¶¼½¾[]¯¨´×{ABCDEFGHI\u00adôöòóõ}JKLMNOPQR¹ûüùúÿ\\÷STUVWXYZ²ÔÖÒÓÕ0123456789³ÛÜÙÚ\u009f'
+
+// The characters of the other EBCDIC CCSIDs that differ from CCSID 37
+const CCSID_CHANGES = {
+  'ibm-037': [],
+  'ibm-273': [
+    [0x43, '{'], [0x4A, 'Ä'], [0x4F, '!'], [0x59, '~'], [0x5A, 'Ü'], [0x5F, '^'], [0x63, '['], [0x6A, 'ö'], [0x7C, '§'],
+    [0xA1, 'ß'], [0xB0, '¢'], [0xB5, '@'], [0xBA, '¬'], [0xBB, '|'], [0xC0, 'ä'], [0xCC, '¦'], [0xD0, 'ü'], [0xDC, '}'],
+    [0xE0, 'Ö'], [0xEC, '\\'], [0xFC, ']']
+  ],
+  'ibm-285': [[0x4A, '$'], [0x5B, '£'], [0xA1, '‾'], [0xB0, '¢'], [0xB1, '['], [0xBA, '^'], [0xBC, '~']],
+  'ibm-500': [[0x4A, '['], [0x4F, '!'], [0x5A, ']'], [0x5F, '^'], [0xB0, '¢'], [0xBA, '¬'], [0xBB, '|']]
+}
+
+const ENCODINGS = ['utf8', ...Object.keys(CCSID_CHANGES)]
+
+const LINE_ENDINGS = { crlf: '\r\n', lf: '\n', cr: '\r', nl: '\u0085' }
+
+// The format used when there is no original source to copy it from
+const DEFAULT_FORMAT = { encoding: 'utf8', bom: false, lineEnding: '\r\n', finalNewline: false, recordLength: null, hasSeqDates: false }
+
+const TAB_SIZE = 8
+
+/**
+ * @description Gets the 256 characters of an EBCDIC CCSID.
+ * @param {String} encoding The EBCDIC encoding, like 'ibm-037'.
+ * @returns {String[]} The character for each byte.
+ * @since 1.0.0
+ */
+const getEbcdicTable = encoding => {
+  const table = [...EBCDIC_CONTROLS.map(codePoint => String.fromCharCode(codePoint)), ...CCSID_37]
+  for (const [byte, char] of CCSID_CHANGES[encoding]) {
+    table[byte] = char
+  }
+  return table
+}
+
+/**
+ * @description Normalizes an encoding name, accepting names like 'utf-8', 'ibm-037', 'IBM273', 'cp500' or '285'.
+ * @param {String} name The encoding name.
+ * @returns {String} The encoding, one of ENCODINGS.
+ * @since 1.0.0
+ */
+const normalizeEncoding = name => {
+  const text = String(name).trim().toLowerCase()
+  if (['utf8', 'utf-8', '1208'].includes(text)) {
+    return 'utf8'
+  }
+  const match = /^(?:ibm-?|cp|ccsid)?0*(37|273|285|500)$/.exec(text)
+  if (!match) {
+    throw Error(`Encoding '${name}' is not supported, expected one of ${ENCODINGS.join(', ')}.`)
+  }
+  return `ibm-${match[1].padStart(3, '0')}`
+}
+
+/**
+ * @description Normalizes a line ending name.
+ * @param {String} name The line ending name, 'crlf', 'lf' or 'cr'.
+ * @returns {String} The line ending characters.
+ * @since 1.0.0
+ */
+const normalizeLineEnding = name => {
+  const lineEnding = LINE_ENDINGS[String(name).trim().toLowerCase()]
+  if (!lineEnding) {
+    throw Error(`Line ending '${name}' is not supported, expected one of ${Object.keys(LINE_ENDINGS).join(', ')}.`)
+  }
+  return lineEnding
+}
+
+/**
+ * @description Describes a source format, like 'ibm-037 with LF line endings'.
+ * @param {Object} format The source format.
+ * @returns {String} The description.
+ * @since 1.0.0
+ */
+const describeFormat = format => {
+  const lineEnding = Object.keys(LINE_ENDINGS).find(key => LINE_ENDINGS[key] === format.lineEnding)
+  return `${format.encoding}${format.bom ? ' with a BOM' : ''}, ${lineEnding ? `${lineEnding.toUpperCase()} line endings` : `${format.recordLength} byte records`}`
+}
+
+/**
+ * @description Tests to see if a buffer looks like EBCDIC, where blanks are 0x40 instead of 0x20.
+ * @param {Buffer} data The source data.
+ * @returns {Boolean} True if it is EBCDIC.
+ * @since 1.0.0
+ */
+const isEbcdic = data => {
+  let ebcdicBlanks = 0
+  let asciiBlanks = 0
+  for (const byte of data) {
+    if (byte === 0x40) ebcdicBlanks += 1
+    if (byte === 0x20) asciiBlanks += 1
+  }
+  return ebcdicBlanks > 0 && asciiBlanks * 10 < ebcdicBlanks
+}
+
+/**
+ * @description Decodes EBCDIC data, choosing the CCSID that gives the fewest characters outside of ASCII, as they
+ *              only differ in characters like '[', '{' and '!'. CCSID 37 is used if they are all the same.
+ * @param {Buffer} data The source data.
+ * @returns {Object} The decoded text and the encoding.
+ * @since 1.0.0
+ */
+const decodeEbcdic = data => {
+  let best = null
+  for (const encoding of Object.keys(CCSID_CHANGES)) {
+    const table = getEbcdicTable(encoding)
+    const text = Array.from(data, byte => table[byte]).join('')
+    // eslint-disable-next-line no-control-regex
+    const nonAscii = (text.match(/[^\x00-\x7f\u0085]/g) || []).length
+    if (!best || nonAscii < best.nonAscii) {
+      best = { text, encoding, nonAscii }
+    }
+  }
+  return { text: best.text, encoding: best.encoding }
+}
+
+/**
+ * @description Tests to see if every source line starts with a Sequence number and Date, like '000100190101' or
+ *              '000100      '. This is checked for the whole source, as some DDS lines start with numbers too.
+ * @param {String[]} lines The source lines.
+ * @returns {Boolean} True if the source has Sequence numbers and Dates.
+ * @since 1.0.0
+ */
+const hasSeqDates = lines => {
+  const nonBlank = lines.filter(line => line.trim() !== '')
+  return nonBlank.length > 0 && nonBlank.every(line => /^\d{6}(\d{6}| {6})/.test(line) || /^\d{6}\s*$/.test(line))
+}
+
+/**
+ * @description Decodes DDS source, detecting a UTF-8 BOM, the common EBCDIC CCSIDs, the line endings (or fixed
+ *              length records), and leading Sequence numbers and Dates. Tabs are expanded to blanks.
+ * @param {Buffer | String} data The source data, or text that has already been decoded.
+ * @param {Object} [options] (Optional) The decoding options.
+ * @param {String} [options.encoding] (Optional) The encoding to use, instead of detecting it.
+ * @returns {Object} The source lines without Sequence numbers and Dates, the Sequence numbers and Dates of each line
+ *                   (or null), the source format, and a list of warnings.
+ * @since 1.0.0
+ */
+const decodeSource = (data, options = {}) => {
+  const format = Object.assign({}, DEFAULT_FORMAT)
+  const warnings = []
+  let text
+
+  if (typeof data === 'string') {
+    text = data
+  } else {
+    const encoding = options.encoding ? normalizeEncoding(options.encoding) : null
+    if (encoding === 'utf8' || (!encoding && !isEbcdic(data))) {
+      format.bom = data.length >= 3 && data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF
+      text = data.toString('utf8', format.bom ? 3 : 0)
+    } else if (encoding) {
+      const table = getEbcdicTable(encoding)
+      text = Array.from(data, byte => table[byte]).join('')
+      format.encoding = encoding
+    } else {
+      const decoded = decodeEbcdic(data)
+      text = decoded.text
+      format.encoding = decoded.encoding
+    }
+  }
+
+  // Use the most common line ending, or fixed length records if there are none
+  const counts = Object.values(LINE_ENDINGS)
+    .map(lineEnding => ({ lineEnding, count: text.split(lineEnding).length - 1 }))
+  counts.find(x => x.lineEnding === '\n').count -= counts[0].count
+  counts.find(x => x.lineEnding === '\r').count -= counts[0].count
+  const used = counts.filter(x => x.count > 0).sort((a, b) => b.count - a.count)
+
+  let lines
+  if (used.length > 0) {
+    format.lineEnding = used[0].lineEnding
+    if (used.length > 1) {
+      warnings.push(`Source has mixed line endings, it will be written with ${describeFormat(format).split(', ')[1]}.`)
+    }
+    lines = text.split(/\r\n|\n|\r|\u0085/)
+    format.finalNewline = lines.length > 1 && lines[lines.length - 1] === ''
+    if (format.finalNewline) {
+      lines.pop()
+    }
+  } else if (text.length > 92 && (text.length % 80 === 0 || text.length % 92 === 0)) {
+    format.recordLength = text.length % 92 === 0 && /^\d{12}/.test(text) ? 92 : text.length % 80 === 0 ? 80 : 92
+    format.lineEnding = ''
+    lines = text.match(new RegExp(`[^]{${format.recordLength}}`, 'g'))
+  } else {
+    lines = [text]
+  }
+
+  if (lines.some(line => line.includes('\t'))) {
+    warnings.push(`Source contains tabs, which were expanded to blanks every ${TAB_SIZE} columns.`)
+    lines = lines.map(line => line.replace(/[^\t]*\t/g, part => part.slice(0, -1).padEnd((Math.floor((part.length - 1) / TAB_SIZE) + 1) * TAB_SIZE)))
+  }
+
+  let seqDates = null
+  if (hasSeqDates(lines)) {
+    format.hasSeqDates = true
+    seqDates = lines.map(line => line.substr(0, 12))
+    lines = lines.map(line => line.substr(12))
+    if (format.recordLength) {
+      format.recordLength -= 12
+    }
+  }
+
+  logger.debug('decodeSource() detected : ', 'format =', format)
+  return { lines, seqDates, format, warnings }
+}
+
+/**
+ * @description Encodes DDS source lines in a source format.
+ * @param {String[]} lines The source lines.
+ * @param {Object} [format] (Optional) The source format, from decodeSource(). Defaults to UTF-8 with CRLF line endings.
+ * @param {String[]} [seqDates] (Optional) The Sequence number and Date to write at the start of each line.
+ * @returns {Buffer} The encoded source.
+ * @since 1.0.0
+ */
+const encodeSource = (lines, format = DEFAULT_FORMAT, seqDates) => {
+  let text
+  let recordLength = format.recordLength
+  if (seqDates) {
+    lines = lines.map((line, idx) => seqDates[idx] + line)
+    if (recordLength) {
+      recordLength += 12
+    }
+  }
+
+  if (recordLength) {
+    text = lines.map(line => line.padEnd(recordLength)).join('')
+  } else {
+    text = lines.join(format.lineEnding) + (format.finalNewline && lines.length > 0 ? format.lineEnding : '')
+  }
+
+  if (format.encoding === 'utf8') {
+    return Buffer.concat([Buffer.from(format.bom ? [0xEF, 0xBB, 0xBF] : []), Buffer.from(text, 'utf8')])
+  }
+
+  const bytes = new Map(getEbcdicTable(format.encoding).map((char, byte) => [char, byte]))
+  let unmapped = 0
+  const data = Buffer.from(Array.from(text, char => {
+    if (bytes.has(char)) return bytes.get(char)
+    unmapped += 1
+    return bytes.get('?')
+  }))
+  if (unmapped > 0) {
+    logger.warn(`${unmapped} character(s) could not be encoded as ${format.encoding}, and were written as '?'.`)
+  }
+  return data
+}
+
+/**
+ * @description Reads a DDS source file, see decodeSource().
+ * @param {String} file The source file.
+ * @param {Object} [options] (Optional) The decoding options, see decodeSource().
+ * @returns {Promise<Object>} The decoded source, or the error message if we reject.
+ * @since 1.0.0
+ */
+const readSourceFile = async (file, options) => {
+  logger.debug('readSourceFile() started with : ', typeof file, 'file =', file)
+  const data = await fsPromises.readFile(file)
+  return decodeSource(data, options)
+}
+
+/**
+ * @description Writes a DDS source file, see encodeSource().
+ * @param {String} file The source file.
+ * @param {String[]} lines The source lines.
+ * @param {Object} [format] (Optional) The source format, from decodeSource().
+ * @param {String[]} [seqDates] (Optional) The Sequence number and Date to write at the start of each line.
+ * @returns {Promise<Void>} The error message if we reject.
+ * @since 1.0.0
+ */
+const writeSourceFile = async (file, lines, format, seqDates) => {
+  logger.debug('writeSourceFile() started with : ', typeof file, 'file =', file, typeof format, 'format =', format)
+  await fsPromises.writeFile(file, encodeSource(lines, format, seqDates))
+}
+
+exports.ENCODINGS = ENCODINGS
+exports.DEFAULT_FORMAT = DEFAULT_FORMAT
+exports.normalizeEncoding = normalizeEncoding
+exports.normalizeLineEnding = normalizeLineEnding
+exports.describeFormat = describeFormat
+exports.decodeSource = decodeSource
+exports.encodeSource = encodeSource
+exports.readSourceFile = readSourceFile
+exports.writeSourceFile = writeSourceFile
@@ -0,0 +1,265 @@
+'use strict'
+
+const { promises: fsPromises } = require('fs')
+const { basename, dirname, join, parse, resolve } = require('path')
+const pino = require('pino')
+const { canonicalizeDspf, stringifyDspf } = require('./canonicalJson')
+const { checkSchema } = require('./dspfLint')
+
+const logger = pino({
+  prettyPrint: {
+    colorize: true,
+    ignore: 'time,pid,hostname'
+  },
+  level: process.env.LOG_LEVEL || 'info'
+})
+
+// A split Rich Display File is a directory holding this manifest, and one file per record format in FORMATS_DIR
+const MANIFEST_FILE = 'dspf.json'
+const FORMATS_DIR = 'formats'
+
+/**
+ * @description Tests whether a Rich Display JSON object is the manifest of a split Rich Display File, whose formats
+ *              are the record format names instead of the record formats.
+ * @param {Object} dspf The Rich Display JSON object.
+ * @returns {Boolean} True if it is a manifest.
+ * @since 1.0.0
+ */
+const isManifest = dspf => typeof dspf === 'object' && dspf !== null && Array.isArray(dspf.formats) &&
+  dspf.formats.length > 0 && dspf.formats.every(format => typeof format === 'string')
+
+/**
+ * @description Gets the file name of a record format in a split Rich Display File, like 'formats/CTL1.json'.
+ * @param {String} name The record format name.
+ * @returns {String} The file name, relative to the directory of the manifest.
+ * @since 1.0.0
+ */
+const getFormatFile = name => join(FORMATS_DIR, `${name}.json`)
+
+/**
+ * @description Splits a Rich Display File into its manifest and record formats. The manifest keeps everything
+ *              except the record formats, which are listed by name in their order.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @returns {Object} The manifest, and the record formats, each containing its name and the record format object.
+ * @since 1.0.0
+ */
+const splitDspf = dspf => {
+  logger.debug('splitDspf() started with : ', typeof dspf, 'dspf =', dspf)
+  const formats = dspf.formats.map(format => ({ name: format.screen['record format name'], format }))
+
+  // Record format names are unique in the DDS whatever their case, and so are the files on any file system
+  const names = new Set()
+  for (const { name } of formats) {
+    if (names.has(name.toUpperCase())) {
+      throw Error(`Record format ${name} is in the JSON more than once, so it can not be split.`)
+    }
+    names.add(name.toUpperCase())
+  }
+
+  const manifest = {}
+  for (const key of Object.keys(dspf)) {
+    manifest[key] = key === 'formats' ? formats.map(({ name }) => name) : dspf[key]
+  }
+  return { manifest, formats }
+}
+
+/**
+ * @description Joins the manifest and record formats of a split Rich Display File back into one Rich Display File.
+ * @param {Object} manifest The manifest, listing the record format names in their order.
+ * @param {Object[]} formats The record formats, each containing its name and the record format object.
+ * @returns {Object} The Rich Display File JSON object.
+ * @since 1.0.0
+ */
+const joinDspf = (manifest, formats) => {
+  logger.debug('joinDspf() started with : ', typeof manifest, 'manifest =', manifest)
+  const dspf = {}
+  for (const key of Object.keys(manifest)) {
+    dspf[key] = key !== 'formats' ? manifest[key] : manifest.formats.map(name => {
+      const found = formats.find(format => format.name === name)
+      if (!found) {
+        throw Error(`Record format ${name} of the manifest was not found.`)
+      }
+      if (typeof found.format.screen !== 'object' || found.format.screen === null || found.format.screen['record format name'] !== name) {
+        throw Error(`The file of record format ${name} does not contain record format ${name}.`)
+      }
+      return found.format
+    })
+  }
+  return dspf
+}
+
+/**
+ * @description Finds the manifest of a split Rich Display File, from its directory or the manifest file itself.
+ * @param {String} inJson The directory, or the manifest file.
+ * @returns {Promise<String>} The manifest file name, or undefined if it is not a split Rich Display File, or the error
+ *                            message if we reject.
+ * @since 1.0.0
+ */
+const findManifest = async inJson => {
+  const stats = await fsPromises.stat(inJson)
+  if (stats.isDirectory()) {
+    const manifestFile = join(inJson, MANIFEST_FILE)
+    return fsPromises.access(manifestFile).then(() => manifestFile)
+      .catch(() => Promise.reject(Error(`Directory '${inJson}' does not contain a ${MANIFEST_FILE} manifest.`)))
+  }
+  return basename(inJson) === MANIFEST_FILE ? inJson : undefined
+}
+
+/**
+ * @description Reads a Rich Display File in either layout, a single JSON file, or a split Rich Display File given by
+ *              its directory or manifest file.
+ * @param {String} inJson The JSON file, or the directory or manifest file of a split Rich Display File.
+ * @returns {Promise<Object>} The Rich Display File JSON object, or the error message if we reject.
+ * @since 1.0.0
+ */
+const readDspf = async inJson => {
+  logger.debug('readDspf() started with : ', typeof inJson, 'inJson =', inJson)
+  try {
+    const manifestFile = await findManifest(inJson)
+    const parseFile = async file => {
+      const fileData = await fsPromises.readFile(file, 'utf8')
+      try {
+        return JSON.parse(fileData)
+      } catch (error) {
+        throw Error(`'${file}' is not a valid JSON file.`)
+      }
+    }
+
+    const dspf = await parseFile(manifestFile || inJson)
+    if (!manifestFile || !isManifest(dspf)) {
+      return dspf
+    }
+
+    const dir = dirname(manifestFile)
+    const formats = []
+    for (const name of dspf.formats) {
+      const formatFile = join(dir, getFormatFile(name))
+      const format = await fsPromises.access(formatFile).then(() => parseFile(formatFile))
+        .catch(error => Promise.reject(error.code === 'ENOENT' ? Error(`Record format ${name} of the manifest was not found, as '${formatFile}' does not exist.`) : error))
+      formats.push({ name, format })
+    }
+    return joinDspf(dspf, formats)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Gets the name of a Rich Display File, from its JSON file name, or the directory name of a split
+ *              Rich Display File.
+ * @param {String} inJson The JSON file, or the directory or manifest file of a split Rich Display File.
+ * @returns {String} The name, like 'mydspf'.
+ * @since 1.0.0
+ */
+const getDspfName = inJson => {
+  const parts = parse(resolve(inJson))
+  return parts.base === MANIFEST_FILE ? basename(parts.dir) : parts.name
+}
+
+/**
+ * @description Writes a Rich Display File as a split Rich Display File: a manifest, and one file per record format.
+ *              The files of record formats that are no longer in the manifest are removed.
+ * @param {String} outDir The directory to write, which is created if needed.
+ * @param {Object} dspf The Rich Display File JSON object.
+ * @param {Object} [options] (Optional) The write options.
+ * @param {Boolean} [options.canonical=false] (Optional) Write canonical JSON, see shared/canonicalJson.js.
+ * @returns {Promise<String[]>} The files written, or the error message if we reject.
+ * @since 1.0.0
+ */
+const writeSplitDspf = async (outDir, dspf, options = {}) => {
+  logger.debug('writeSplitDspf() started with : ', typeof outDir, 'outDir =', outDir, typeof options, 'options =', options)
+  try {
+    const { manifest, formats } = splitDspf(options.canonical ? canonicalizeDspf(dspf) : dspf)
+    const stringify = object => JSON.stringify(object, null, 2) + (options.canonical ? '\n' : '')
+
+    await fsPromises.mkdir(join(outDir, FORMATS_DIR), { recursive: true })
+    const files = [join(outDir, MANIFEST_FILE)]
+    await fsPromises.writeFile(files[0], stringify(manifest))
+    for (const { name, format } of formats) {
+      const formatFile = join(outDir, getFormatFile(name))
+      await fsPromises.writeFile(formatFile, stringify(format))
+      files.push(formatFile)
+    }
+
+    const formatFiles = formats.map(({ name }) => `${name}.json`)
+    for (const entry of await fsPromises.readdir(join(outDir, FORMATS_DIR))) {
+      if (entry.endsWith('.json') && !formatFiles.includes(entry)) {
+        logger.info(`Removing record format file ${join(outDir, FORMATS_DIR, entry)}, as it is no longer in the manifest.`)
+        await fsPromises.unlink(join(outDir, FORMATS_DIR, entry))
+      }
+    }
+    return files
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Splits a Rich Display JSON file into a split Rich Display File directory, named like the JSON file
+ *              without its extension, like 'mydspf.json' into 'mydspf/dspf.json' and 'mydspf/formats/*.json'.
+ * @param {String} inJson The JSON file.
+ * @param {String} outDir The directory to create the split Rich Display File directory in.
+ * @param {Object} [options] (Optional) The split options.
+ * @param {Boolean} [options.overwrite=false] (Optional) Allow an existing split Rich Display File to be over-written.
+ * @param {Boolean} [options.canonical=false] (Optional) Write canonical JSON, see shared/canonicalJson.js.
+ * @returns {Promise<Object>} The split Rich Display File directory and the files written, or the error message if
+ *                            we reject.
+ * @since 1.0.0
+ */
+const splitFile = async (inJson, outDir, options = {}) => {
+  logger.debug('splitFile() started with : ', typeof inJson, 'inJson =', inJson, typeof outDir, 'outDir =', outDir)
+  try {
+    const dspf = await readDspf(inJson)
+    const problems = checkSchema(dspf)
+    if (problems.length > 0) {
+      throw Error(`Input JSON file '${inJson}' is not a valid Rich Display File : ${problems.map(problem => `${problem.path} ${problem.message}`).join(', ')}.`)
+    }
+
+    const splitDir = join(outDir, getDspfName(inJson))
+    if (!options.overwrite && await fsPromises.access(splitDir).then(() => true).catch(() => false)) {
+      throw Error(`Output Directory '${splitDir}' already exists, and cannot be over-written unless overwrite is specified.`)
+    }
+    const files = await writeSplitDspf(splitDir, dspf, options)
+    return { outDir: splitDir, files }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+/**
+ * @description Joins a split Rich Display File back into a single Rich Display JSON file.
+ * @param {String} inDir The directory, or manifest file, of the split Rich Display File.
+ * @param {String} outFile The JSON file to write.
+ * @param {Object} [options] (Optional) The join options.
+ * @param {Boolean} [options.overwrite=false] (Optional) Allow an existing JSON file to be over-written.
+ * @param {Boolean} [options.canonical=false] (Optional) Write canonical JSON, see shared/canonicalJson.js.
+ * @returns {Promise<Object>} The JSON file written and the dspf object, or the error message if we reject.
+ * @since 1.0.0
+ */
+const joinFile = async (inDir, outFile, options = {}) => {
+  logger.debug('joinFile() started with : ', typeof inDir, 'inDir =', inDir, typeof outFile, 'outFile =', outFile)
+  try {
+    if (!await findManifest(inDir)) {
+      throw Error(`Input '${inDir}' is not a split Rich Display File.`)
+    }
+    const dspf = await readDspf(inDir)
+
+    if (!options.overwrite && await fsPromises.access(outFile).then(() => true).catch(() => false)) {
+      throw Error(`Output File '${outFile}' already exists, and cannot be over-written unless overwrite is specified.`)
+    }
+    await fsPromises.writeFile(outFile, stringifyDspf(dspf, options.canonical))
+    return { outFile, dspf }
+  } catch (error) {
+    return Promise.reject(error)
+  }
+}
+
+exports.MANIFEST_FILE = MANIFEST_FILE
+exports.isManifest = isManifest
+exports.splitDspf = splitDspf
+exports.joinDspf = joinDspf
+exports.readDspf = readDspf
+exports.getDspfName = getDspfName
+exports.writeSplitDspf = writeSplitDspf
+exports.splitFile = splitFile
+exports.joinFile = joinFile
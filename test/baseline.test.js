@@ -0,0 +1,52 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { normalizeErrorMessage, getFailureHash } = require('../shared/baseline')
+
+describe('baseline', () => {
+  describe('normalizeErrorMessage()', () => {
+    const cases = [
+      {
+        title: 'a temp directory, keeping the file in it',
+        message: `Output File '/tmp/profound-utils-Ab12Cd/a1.json' already exists.`,
+        normalized: `Output File '<temp>/a1.json' already exists.`
+      },
+      {
+        title: 'a Windows temp directory',
+        message: 'Cannot read C:\\Users\\me\\AppData\\Local\\Temp\\profound-utils-x9Y8z7\\a1.dspf',
+        normalized: 'Cannot read <temp>\\a1.dspf'
+      },
+      {
+        title: 'a process id',
+        message: 'Job ended, pid 12345, and PID=678.',
+        normalized: 'Job ended, pid <pid>, and pid <pid>.'
+      },
+      {
+        title: 'timestamps',
+        message: 'Backup 20261019T175619405Z.dspf, at 2026-10-19T17:56:19.405Z',
+        normalized: 'Backup <timestamp>.dspf, at <timestamp>'
+      }
+    ]
+
+    for (const { title, message, normalized } of cases) {
+      it(`removes ${title}`, () => {
+        assert.strictEqual(normalizeErrorMessage(message), normalized)
+      })
+    }
+  })
+
+  describe('getFailureHash()', () => {
+    it('gives the same failure the same hash on every run', () => {
+      const hash1 = getFailureHash({ err: Error(`JSON file '/tmp/profound-utils-Ab12Cd/a1.json' is not valid, pid 101.`) })
+      const hash2 = getFailureHash({ err: Error(`JSON file '/tmp/profound-utils-Zz98Yy/a1.json' is not valid, pid 202.`) })
+      assert.strictEqual(hash1, hash2)
+    })
+
+    it('gives different failures different hashes', () => {
+      const hash1 = getFailureHash({ err: Error(`JSON file '/tmp/profound-utils-Ab12Cd/a1.json' is not valid.`) })
+      const hash2 = getFailureHash({ err: Error(`JSON file '/tmp/profound-utils-Ab12Cd/a2.json' is not valid.`) })
+      assert.notStrictEqual(hash1, hash2)
+    })
+  })
+})
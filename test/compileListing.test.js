@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { join } = require('path')
+const { setCommandRunner, compileDspf } = require('../shared/compile')
+const { mapDiagnostics } = require('../shared/compileListing')
+const { ddsLine, kwd } = require('./helpers/ddsLine')
+
+// The DDS source of the canned listing test/listings/MYDSPF.txt, sequence numbers 100 to 800
+const ddsLines = [
+  ddsLine({ nameType: 'R', name: 'CTL1' }),
+  ddsLine({ line: '1', pos: '2', keywords: `HTML('{"screen":{"record-` }),
+  kwd(` format name":"CTL1"},-`),
+  kwd(`"items":[-`),
+  kwd(`{"id":"TextBox1"},-`),
+  kwd(`{"id":"Button1"}]}')`),
+  ddsLine({ nameType: 'R', name: 'FMT2' }),
+  ddsLine({ name: 'FLD1', length: '10', usage: 'B', line: '2', pos: '2' })
+]
+
+describe('compileListing', () => {
+  let runner
+
+  before(() => {
+    runner = setCommandRunner('replay', join(__dirname, 'listings'))
+  })
+
+  describe('compileDspf() with a replayed listing', () => {
+    let result
+
+    before(async () => {
+      result = await compileDspf('QDDSSRC', 'MYLIB', 'MYDSPF', { ddsLines })
+    })
+
+    it('runs CRTDSPF for the Member, and fails on a message of the generation severity level', () => {
+      assert.strictEqual(runner.commands[runner.commands.length - 1], result.command)
+      assert.ok(result.command.startsWith('CRTDSPF FILE(MYLIB/MYDSPF) SRCFILE(MYLIB/QDDSSRC) SRCMBR(MYDSPF) GENLVL(20)'))
+      assert.strictEqual(result.success, false)
+      assert.strictEqual(result.diagnostics.length, 4)
+    })
+
+    const cases = [
+      {
+        title: 'a message without a sequence number is for the source line above it',
+        diagnostic: { id: 'CPD7812', severity: 30, level: 'severe', seq: null, line: 5, recordFormat: 'CTL1', item: 'TextBox1' }
+      },
+      {
+        title: 'a message with a sequence number is for that source line, wherever it is listed',
+        diagnostic: { id: 'CPD7813', severity: 20, level: 'error', seq: '600', line: 6, recordFormat: 'CTL1', item: 'Button1' }
+      },
+      {
+        title: 'a message for a line outside an HTML section has a record format but no item',
+        diagnostic: { id: 'CPD7426', severity: 10, level: 'warning', seq: null, line: 8, recordFormat: 'FMT2', item: null }
+      },
+      {
+        title: 'a message after END OF SOURCE is for the whole file',
+        diagnostic: { id: 'CPF7302', severity: 40, level: 'terminal', seq: null, line: null, recordFormat: null, item: null }
+      }
+    ]
+
+    cases.forEach(({ title, diagnostic }, index) => {
+      it(title, () => {
+        const { message, ...actual } = result.diagnostics[index]
+        assert.deepStrictEqual(actual, diagnostic)
+        assert.ok(message)
+      })
+    })
+  })
+
+  it('fails when there is no canned listing for the display file', async () => {
+    const result = await compileDspf('QDDSSRC', 'MYLIB', 'NOLIST', { ddsLines })
+    assert.strictEqual(result.success, false)
+    assert.ok(result.message.includes(`'NOLIST.txt'`))
+    assert.deepStrictEqual(result.diagnostics, [])
+  })
+
+  describe('mapDiagnostics()', () => {
+    it('maps a line with only the screen properties to its record format, and no item', () => {
+      const [mapped] = mapDiagnostics([{ id: 'CPD7812', severity: 30, level: 'severe', message: 'x', seq: '300', line: 3 }], ddsLines)
+      assert.strictEqual(mapped.recordFormat, 'CTL1')
+      assert.strictEqual(mapped.item, null)
+    })
+
+    it('maps nothing if the DDS cannot be parsed', () => {
+      const [mapped] = mapDiagnostics([{ id: 'CPD7812', severity: 30, level: 'severe', message: 'x', seq: null, line: 1 }], [kwd(`TEXT('Order-`)])
+      assert.strictEqual(mapped.recordFormat, null)
+      assert.strictEqual(mapped.item, null)
+    })
+  })
+})
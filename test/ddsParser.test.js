@@ -0,0 +1,258 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { joinKeywordLines, splitKeywords, parseDds, getHtmlSections } = require('../shared/ddsParser')
+const { ddsLine, kwd } = require('./helpers/ddsLine')
+
+describe('ddsParser', () => {
+  describe('joinKeywordLines()', () => {
+    const cases = [
+      {
+        title: `a '-' continuation keeps the leading blanks of the next line`,
+        lines: [kwd(`TEXT('Order-`), kwd(`  Entry')`)],
+        text: `TEXT('Order  Entry')`,
+        segments: [{ offset: 0, lineNumber: 1, column: 45 }, { offset: 11, lineNumber: 2, column: 45 }]
+      },
+      {
+        title: `a '+' continuation skips the leading blanks of the next line`,
+        lines: [kwd(`TEXT('Order+`), kwd(`  Entry')`)],
+        text: `TEXT('OrderEntry')`,
+        segments: [{ offset: 0, lineNumber: 1, column: 45 }, { offset: 11, lineNumber: 2, column: 47 }]
+      },
+      {
+        title: 'continuations over several lines',
+        lines: [kwd(`HTML('{"a":-`), kwd(`"b",-`), kwd(`  "c":1}')`), kwd('OVERLAY')],
+        text: `HTML('{"a":"b",  "c":1}')`,
+        segments: [{ offset: 0, lineNumber: 1, column: 45 }, { offset: 11, lineNumber: 2, column: 45 }, { offset: 15, lineNumber: 3, column: 45 }]
+      },
+      {
+        title: 'a line without a continuation',
+        lines: [kwd('OVERLAY'), kwd('PUTOVR')],
+        text: 'OVERLAY',
+        segments: [{ offset: 0, lineNumber: 1, column: 45 }]
+      }
+    ]
+
+    for (const { title, lines, text, segments } of cases) {
+      it(title, () => {
+        const joined = joinKeywordLines(lines, 0)
+        assert.strictEqual(joined.text, text)
+        assert.deepStrictEqual(joined.segments, segments)
+        assert.strictEqual(joined.lastIdx, segments[segments.length - 1].lineNumber - 1)
+      })
+    }
+
+    it('reports a continuation on the last source line', () => {
+      assert.throws(() => joinKeywordLines([kwd(`TEXT('Order-`)], 0), { lineNumber: 1, column: 56 })
+    })
+  })
+
+  describe('splitKeywords()', () => {
+    const cases = [
+      {
+        title: 'keywords with and without values',
+        text: 'DSPATR(HI) OVERLAY COLOR(RED)',
+        keywords: [
+          { name: 'DSPATR', value: 'HI', literal: null, column: 45 },
+          { name: 'OVERLAY', value: null, literal: null, column: 56 },
+          { name: 'COLOR', value: 'RED', literal: null, column: 64 }
+        ]
+      },
+      {
+        title: 'a constant, with an escaped quote',
+        text: `'Customer''s name'`,
+        keywords: [{ name: '', value: `Customer's name`, literal: `Customer's name`, column: 45 }]
+      },
+      {
+        title: 'a literal value, with parentheses and quotes inside it',
+        text: `html('{"a":"(b)"}') TEXT('It''s')`,
+        keywords: [
+          { name: 'HTML', value: `'{"a":"(b)"}'`, literal: '{"a":"(b)"}', column: 45 },
+          { name: 'TEXT', value: `'It''s'`, literal: `It's`, column: 65 }
+        ]
+      },
+      {
+        title: 'nested parentheses',
+        text: 'WINDOW(2 10 (*NOMSGLIN) 5)',
+        keywords: [{ name: 'WINDOW', value: '2 10 (*NOMSGLIN) 5', literal: null, column: 45 }]
+      }
+    ]
+
+    for (const { title, text, keywords } of cases) {
+      it(title, () => {
+        const split = splitKeywords(text, [{ offset: 0, lineNumber: 7, column: 45 }])
+        assert.deepStrictEqual(split, keywords.map(keyword => ({ ...keyword, lineNumber: 7 })))
+      })
+    }
+  })
+
+  describe('parseDds()', () => {
+    it(`reads an HTML literal continued with '-', that carries on in a new HTML(' keyword`, () => {
+      const srcLines = [
+        ddsLine({ nameType: 'R', name: 'CTL1' }),
+        ddsLine({ line: '1', pos: '2', keywords: `HTML('{"screen":{"record-` }),
+        kwd(` format name":"CTL1"},-`),
+        kwd(`"items":[]}')`),
+        ddsLine({ line: '1', pos: '2', keywords: `HTML('{"second":true}')` })
+      ]
+      const dds = parseDds(srcLines)
+
+      assert.strictEqual(dds.records.length, 1)
+      const [first, second] = dds.records[0].fields
+      assert.strictEqual(first.keywords[0].literal, '{"screen":{"record format name":"CTL1"},"items":[]}')
+      assert.strictEqual(first.lineNumber, 2)
+      assert.strictEqual(first.endLineNumber, 4)
+      assert.deepStrictEqual(dds.lines.slice(2, 4).map(line => line.kind), ['continuation', 'continuation'])
+      assert.strictEqual(second.keywords[0].literal, '{"second":true}')
+      assert.strictEqual(second.lineNumber, 5)
+    })
+
+    it('joins the JSON of a record format that is chunked over several HTML keywords', () => {
+      const srcLines = [
+        ddsLine({ nameType: 'R', name: 'CTL1' }),
+        ddsLine({ line: '1', pos: '2', keywords: `HTML('{"screen":{"id":"T''1"},-` }),
+        kwd(`"items":[{"id":"F1"}')`),
+        ddsLine({ line: '1', pos: '2', keywords: `HTML(']}')` })
+      ]
+      const sections = getHtmlSections(parseDds(srcLines).records[0])
+
+      assert.deepStrictEqual(sections, [{
+        json: `{"screen":{"id":"T'1"},"items":[{"id":"F1"}]}`,
+        lineNumber: 2,
+        endLineNumber: 4,
+        line: 1
+      }])
+    })
+
+    it(`resolves '+n' positions from the end of the previous field or constant`, () => {
+      const srcLines = [
+        ddsLine({ nameType: 'R', name: 'RCD1' }),
+        ddsLine({ name: 'FLD1', length: '5', type: 'A', usage: 'B', line: '3', pos: '10' }),
+        ddsLine({ name: 'FLD2', length: '7', type: 'Y', decimals: '2', usage: 'O', pos: '+2' }),
+        ddsLine({ pos: '+1', keywords: `'Total'` }),
+        ddsLine({ name: 'FLD3', length: '1', usage: 'B', line: '4', pos: '+3' })
+      ]
+      const fields = parseDds(srcLines).records[0].fields
+
+      assert.deepStrictEqual(fields.map(({ name, line, pos, length }) => ({ name, line, pos, length })), [
+        { name: 'FLD1', line: 3, pos: 10, length: 5 },
+        { name: 'FLD2', line: 3, pos: 17, length: 7 },
+        { name: '', line: 3, pos: 25, length: 5 },
+        { name: 'FLD3', line: 4, pos: 33, length: 1 }
+      ])
+      assert.strictEqual(fields[1].decimals, 2)
+      assert.strictEqual(fields[1].type, 'Y')
+    })
+
+    it('conditions the field with the indicators on its line, and the keywords with the indicators on theirs', () => {
+      const srcLines = [
+        ddsLine({ nameType: 'R', name: 'RCD1' }),
+        ddsLine({ indicators: ' 50N31', name: 'FLD1', length: '5', usage: 'B', line: '3', pos: '10', keywords: 'DSPATR(UL)' }),
+        ddsLine({ indicators: 'N60', keywords: 'DSPATR(HI) COLOR(RED)' }),
+        ddsLine({ comment: 'O', indicators: ' 61', keywords: 'DSPATR(RI)' }),
+        ddsLine({ keywords: 'CHECK(ME)' })
+      ]
+      const [field] = parseDds(srcLines).records[0].fields
+
+      assert.deepStrictEqual(field.indicators, [{ indicator: '50', negated: false }, { indicator: '31', negated: true }])
+      assert.deepStrictEqual(field.keywords.map(({ name, indicators, isOr }) => ({ name, indicators, isOr })), [
+        { name: 'DSPATR', indicators: [], isOr: false },
+        { name: 'DSPATR', indicators: [{ indicator: '60', negated: true }], isOr: false },
+        { name: 'COLOR', indicators: [{ indicator: '60', negated: true }], isOr: false },
+        { name: 'DSPATR', indicators: [{ indicator: '61', negated: false }], isOr: true },
+        { name: 'CHECK', indicators: [], isOr: false }
+      ])
+    })
+
+    it('conditions record format keywords with the indicators on their line', () => {
+      const srcLines = [
+        ddsLine({ nameType: 'R', name: 'RCD1', keywords: 'OVERLAY' }),
+        ddsLine({ indicators: ' 03', keywords: 'CA03(03)' })
+      ]
+      const [record] = parseDds(srcLines).records
+
+      assert.deepStrictEqual(record.keywords.map(({ name, value, indicators }) => ({ name, value, indicators })), [
+        { name: 'OVERLAY', value: null, indicators: [] },
+        { name: 'CA03', value: '03', indicators: [{ indicator: '03', negated: false }] }
+      ])
+    })
+
+    it('keeps A*%% SDA lines and comments out of the record formats', () => {
+      const srcLines = [
+        '     A*%%TS  SD  20190101  120000  USER        REL-V7R3M0  5770-WDS',
+        '     A* Order entry screens',
+        ddsLine({ keywords: 'DSPSIZ(24 80 *DS3)' }),
+        ddsLine({ nameType: 'R', name: 'RCD1' }),
+        '     A*%%RS+<record-sequences>',
+        '     A*PUI',
+        '',
+        ddsLine({ name: 'FLD1', length: '5', usage: 'B', line: '3', pos: '10' })
+      ]
+      const dds = parseDds(srcLines)
+
+      assert.deepStrictEqual(dds.comments.map(({ lineNumber, kind }) => ({ lineNumber, kind })), [
+        { lineNumber: 1, kind: 'sda' },
+        { lineNumber: 2, kind: 'comment' },
+        { lineNumber: 5, kind: 'sda' },
+        { lineNumber: 6, kind: 'pui' }
+      ])
+      assert.deepStrictEqual(dds.lines.map(line => line.kind), ['sda', 'comment', 'entry', 'record', 'sda', 'pui', 'blank', 'entry'])
+      assert.deepStrictEqual(dds.keywords.map(keyword => keyword.name), ['DSPSIZ'])
+      assert.deepStrictEqual(dds.records[0].fields.map(field => field.name), ['FLD1'])
+      assert.strictEqual(dds.lines[4].record, 'RCD1')
+    })
+
+    describe('reports the line and column of', () => {
+      const cases = [
+        {
+          title: 'a literal that is not closed',
+          srcLines: [ddsLine({ nameType: 'R', name: 'RCD1' }), ddsLine({ line: '1', pos: '2', keywords: `TEXT('Order entry` })],
+          lineNumber: 2,
+          column: 50
+        },
+        {
+          title: `a literal that is not closed after a '-' continuation`,
+          srcLines: [ddsLine({ nameType: 'R', name: 'RCD1' }), ddsLine({ line: '1', pos: '2', keywords: `'Order-` }), kwd('  entry')],
+          lineNumber: 2,
+          column: 45
+        },
+        {
+          title: `a literal that starts after a '+' continuation`,
+          srcLines: [ddsLine({ nameType: 'R', name: 'RCD1', keywords: `TEXT('Orders') +` }), kwd(`   'Open`)],
+          lineNumber: 2,
+          column: 48
+        },
+        {
+          title: 'a parenthesis that is not closed',
+          srcLines: [ddsLine({ nameType: 'R', name: 'RCD1', keywords: 'OVERLAY DSPATR(HI' })],
+          lineNumber: 1,
+          column: 53
+        },
+        {
+          title: 'a parenthesis that is not closed after a continuation',
+          srcLines: [ddsLine({ nameType: 'R', name: 'RCD1' }), kwd('OVERLAY-'), kwd('  COLOR(RED')],
+          lineNumber: 3,
+          column: 47
+        },
+        {
+          title: 'a conditioning indicator that is not valid',
+          srcLines: [ddsLine({ nameType: 'R', name: 'RCD1' }), ddsLine({ indicators: '   X5', keywords: 'OVERLAY' })],
+          lineNumber: 2,
+          column: 11
+        }
+      ]
+
+      for (const { title, srcLines, lineNumber, column } of cases) {
+        it(title, () => {
+          assert.throws(() => parseDds(srcLines), error => {
+            assert.strictEqual(error.lineNumber, lineNumber)
+            assert.strictEqual(error.column, column)
+            assert.ok(error.message.startsWith(`DDS line ${lineNumber}, column ${column} : `))
+            return true
+          })
+        })
+      }
+    })
+  })
+})
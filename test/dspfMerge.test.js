@@ -0,0 +1,49 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { mergeDspf } = require('../shared/dspfMerge')
+
+// A Rich Display File with one record format, containing the items given
+const dspf = (...items) => ({ formats: [{ screen: { 'record format name': 'CTL1' }, items }] })
+
+describe('dspfMerge', () => {
+  describe('mergeDspf()', () => {
+    const base = dspf({ id: 'T1', 'field type': 'textbox', value: 'a' })
+
+    it('merges the changes to different properties of the same item', () => {
+      const ours = dspf({ id: 'T1', 'field type': 'textbox', value: 'b' })
+      const theirs = dspf({ id: 'T1', 'field type': 'textbox', value: 'a', tooltip: 'c' })
+      const { merged, conflicts } = mergeDspf(base, ours, theirs)
+
+      assert.deepStrictEqual(merged, dspf({ id: 'T1', 'field type': 'textbox', value: 'b', tooltip: 'c' }))
+      assert.deepStrictEqual(conflicts, [])
+    })
+
+    it('keeps ours, and reports a property conflict, when both sides change a property differently', () => {
+      const ours = dspf({ id: 'T1', 'field type': 'textbox', value: 'b' })
+      const theirs = dspf({ id: 'T1', 'field type': 'textbox', value: 'c' })
+      const { merged, conflicts } = mergeDspf(base, ours, theirs)
+
+      assert.deepStrictEqual(merged, ours)
+      assert.deepStrictEqual(conflicts, [{ format: 'CTL1', item: 'T1', property: 'value', base: 'a', ours: 'b', theirs: 'c' }])
+    })
+
+    it('keeps ours, and reports an item conflict, when both sides add a different item with the same id', () => {
+      const oursItem = { id: 'TextBox1', 'field type': 'textbox', left: '10px' }
+      const theirsItem = { id: 'TextBox1', 'field type': 'button', value: 'OK' }
+      const { merged, conflicts } = mergeDspf(base, dspf(base.formats[0].items[0], oursItem), dspf(base.formats[0].items[0], theirsItem))
+
+      assert.deepStrictEqual(merged, dspf(base.formats[0].items[0], oursItem))
+      assert.deepStrictEqual(conflicts, [{ format: 'CTL1', item: 'TextBox1', base: undefined, ours: oursItem, theirs: theirsItem }])
+    })
+
+    it('keeps one copy of the same item added on both sides', () => {
+      const item = { id: 'TextBox1', 'field type': 'textbox' }
+      const { merged, conflicts } = mergeDspf(base, dspf(base.formats[0].items[0], item), dspf(base.formats[0].items[0], item))
+
+      assert.deepStrictEqual(merged, dspf(base.formats[0].items[0], item))
+      assert.deepStrictEqual(conflicts, [])
+    })
+  })
+})
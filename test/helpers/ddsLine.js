@@ -0,0 +1,20 @@
+'use strict'
+
+/**
+ * @description Builds a DDS source line from its columns, padding each one to its width.
+ * @param {Object} columns The columns, like { name: 'FLD1', length: '5', usage: 'B', line: '2', pos: '10' }.
+ * @returns {String} The DDS source line.
+ */
+const ddsLine = ({ comment = ' ', indicators = '', nameType = ' ', name = '', length = '', type = '', decimals = '', usage = '', line = '', pos = '', keywords = '' }) =>
+  ('     A' + comment + indicators.padEnd(9) + nameType + ' ' + name.padEnd(10) + ' ' + length.padStart(5) + type.padEnd(1) +
+    decimals.padStart(2) + usage.padEnd(1) + line.padStart(3) + pos.padStart(3) + keywords).trimRight()
+
+/**
+ * @description Builds a DDS source line with only keywords, which start in column 45.
+ * @param {String} keywords The keyword text.
+ * @returns {String} The DDS source line.
+ */
+const kwd = keywords => ddsLine({ keywords })
+
+exports.ddsLine = ddsLine
+exports.kwd = kwd
@@ -0,0 +1,34 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { toLikePattern, toNameRegExp } = require('../shared/sourceSystems/names')
+
+describe('names', () => {
+  describe('toNameRegExp()', () => {
+    const cases = [
+      { genericName: 'ABC*', matches: ['ABC', 'ABC1'], others: ['XABC', 'abc1'] },
+      { genericName: 'abc*', matches: ['ABC1'], others: ['abc1'] },
+      { genericName: '*A*B*', matches: ['AB', 'XAYBZ'], others: ['BA'] },
+      { genericName: '"abc"*', matches: ['abc', 'abc1', 'abcX'], others: ['ABC1', 'Abc1'] },
+      { genericName: '"a.b"*', matches: ['a.b', 'a.b1'], others: ['axb'] },
+      { genericName: '"a*"', matches: ['a*'], others: ['ab'] }
+    ]
+
+    for (const { genericName, matches, others } of cases) {
+      it(`matches ${genericName}`, () => {
+        const pattern = toNameRegExp(genericName)
+        matches.forEach(name => assert.ok(pattern.test(name), `${genericName} should match ${name}`))
+        others.forEach(name => assert.ok(!pattern.test(name), `${genericName} should not match ${name}`))
+      })
+    }
+  })
+
+  describe('toLikePattern()', () => {
+    it('uppercases the unquoted parts only', () => {
+      assert.strictEqual(toLikePattern('abc*'), 'ABC%')
+      assert.strictEqual(toLikePattern('"abc"*'), 'abc%')
+      assert.strictEqual(toLikePattern('"a_b%"*'), 'a\\_b\\%%')
+    })
+  })
+})
@@ -0,0 +1,46 @@
+/* eslint-env mocha */
+'use strict'
+
+const assert = require('assert')
+const { join } = require('path')
+const { tmpdir } = require('os')
+const { promises: fsPromises } = require('fs')
+const { writeReport } = require('../shared/reports')
+const { removeTempDir } = require('../shared/asyncUtils')
+
+describe('reports', () => {
+  let outDir
+
+  before(async () => {
+    outDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-test-'))
+  })
+
+  after(async () => {
+    await removeTempDir(outDir)
+  })
+
+  describe('writeReport()', () => {
+    const verifications = [
+      { file: 'MYLIB/QDDSSRC(A1)', status: 'SUCCESS', duration: 12 },
+      {
+        file: 'MYLIB/QDDSSRC(B<1>)',
+        status: 'FAILED',
+        duration: 34,
+        err: Error(`Differences in 'B\u0000\u001A' & more`),
+        diff: '--- a\n+++ b\n@@ -1 +1 @@\n-     A  \u0001X\n+     A  \u000BY\n'
+      }
+    ]
+
+    it('writes a JUnit report without the control characters that XML 1.0 does not allow', async () => {
+      const reportFile = join(outDir, 'report.xml')
+      await writeReport(verifications, 'junit', reportFile)
+      const xml = await fsPromises.readFile(reportFile, 'utf8')
+
+      // eslint-disable-next-line no-control-regex
+      assert.ok(!/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/.test(xml))
+      assert.ok(xml.includes('<testcase classname="verify" name="MYLIB/QDDSSRC(A1)" time="0.012"/>'))
+      assert.ok(xml.includes(`<failure message="Differences in &apos;B\uFFFD\uFFFD&apos; &amp; more">`))
+      assert.ok(xml.includes('-     A  \uFFFDX\n+     A  \uFFFDY'))
+    })
+  })
+})
@@ -1,10 +1,15 @@
 'use strict'
 
-const { readIbmISrcMbr, getIbmIMemberList } = require('./shared/asyncUtils')
-const { tmpdir, type } = require('os')
+const { readIbmISrcMbr, getIbmIMemberList, getGenericFileList, isSourceSystemAvailable, normalizeName, removeTempDir } = require('./shared/asyncUtils')
+const { tmpdir } = require('os')
 const { promises: fsPromises } = require('fs')
-const { join, parse, format } = require('path')
-const execFile = require('util').promisify(require('child_process').execFile)
+const { dirname, join, parse } = require('path')
+const { compareDds, describeFormats } = require('./shared/ddsDiff')
+const { compareJson, describeDifferences } = require('./shared/jsonDiff')
+const { canonicalizeDspf } = require('./shared/canonicalJson')
+const { readDspf, getDspfName } = require('./shared/splitLayout')
+const { isGlobPattern } = require('./shared/glob')
+const { encodeSource, readSourceFile } = require('./shared/sourceText')
 const pino = require('pino')
 
 const logger = pino({
@@ -16,148 +21,373 @@ const logger = pino({
 })
 
 // Skip any noise from down-stream
+const logLevel = process.env.LOG_LEVEL
 process.env.LOG_LEVEL = 'error'
 const { convert: ddsToJson } = require('./ddsToJson')
 const { convert: jsonToDds } = require('./jsonToDds')
+if (typeof logLevel === 'undefined') {
+  delete process.env.LOG_LEVEL
+} else {
+  process.env.LOG_LEVEL = logLevel
+}
+
+/**
+ * @description Lists the parts of the source format that changed, like the encoding or the line endings.
+ * @param {Object} origFormat The format of the original DDS source, see shared/sourceText.js decodeSource().
+ * @param {Object} newFormat The format of the converted DDS source.
+ * @returns {String[]} The names of the parts that changed.
+ * @since 1.0.0
+ */
+const getFormatChanges = (origFormat, newFormat) => {
+  const parts = { encoding: 'encoding', bom: 'byte order mark', lineEnding: 'line endings', finalNewline: 'final line ending', recordLength: 'record length' }
+  return Object.keys(parts)
+    .filter(key => origFormat[key] !== newFormat[key])
+    .map(key => parts[key])
+}
 
-let inputCount = 0
-let successCount = 0
-const failDetails = []
+/**
+ * @description Removes the temp directories of a verification, once its result and diff are captured. They are kept
+ *              for a failed verification if keepTemp was asked for, and are then added to the result.
+ * @param {Object} result The verification result.
+ * @param {String[]} tempDirs The temp directories that the verification wrote to.
+ * @param {Boolean} [keepTemp=false] (Optional) Keep the temp directories of a failed verification.
+ * @returns {Promise<Object>} The verification result.
+ * @since 1.0.0
+ */
+const removeTempDirs = async (result, tempDirs, keepTemp = false) => {
+  if (keepTemp && result.status !== 'SUCCESS') {
+    return { ...result, tempDirs }
+  }
+  for (const dir of tempDirs) {
+    await removeTempDir(dir).catch(error => logger.warn(`Temp directory ${dir} could not be removed : ${error.message}`))
+  }
+  return result
+}
 
 /**
  * @description This tool verifies the DDS conversion process, by running two conversions to convert a DDS file
  *              into JSON, then back to DDS. It then compares the twice converted file to the original DDS file
- *              using a 'diff' comparison. The success/fail messages are printed to the console.
- * @param {String} srcFile The Input Source File name. This can be an IFS name, or
- *                         a Source Physical File name used in conjunction with the srcLib and srcMbr parameters.
- * @param {String} [srcLib] The Input Library containing the Source File.
- * @param {String} [srcMbr] The Input Source Member name.
- * @returns {Promise<String>} The error message if we reject.
+ *              using a 'diff' comparison.
+ * @param {Object} options The verification options.
+ * @param {String} options.srcFile The Input Source File name. This can be an IFS name, or
+ *                                 a Source Physical File name used in conjunction with the srcLib and srcMbr options.
+ * @param {String} [options.srcLib] The Input Library containing the Source File.
+ * @param {String} [options.srcMbr] The Input Source Member name.
+ * @param {Object} [options.compare] (Optional) The comparison options (ignoreTrailingBlanks, ignoreSeqDates, context),
+ *                                   see shared/ddsDiff.js compareDds().
+ * @param {Boolean} [options.lcNames=false] (Optional) Convert to JSON with lowercase names, to verify that jsonToDds
+ *                                          restores the original DDS names.
+ * @param {Boolean} [options.canonical=false] (Optional) Convert to canonical JSON, to verify that jsonToDds treats it
+ *                                            as the same screen as the original DDS.
+ * @param {Boolean} [options.split=false] (Optional) Convert to a split Rich Display File, to verify that jsonToDds
+ *                                        joins it back together.
+ * @param {Boolean} [options.keepTemp=false] (Optional) Keep the temp files of a failed verification, which are
+ *                                           otherwise removed.
+ * @returns {Promise<Object>} The verification result, containing the file, status, duration (ms), err, unified diff,
+ *                            the differences grouped by record format, and the tempDirs if they were kept.
  * @since 1.0.0
  */
-const main = async (srcFile, srcLib, srcMbr) => {
-  try {
-    logger.debug('main() started with :', { srcFile: srcFile, srcLib: srcLib, srcMbr: srcMbr })
+const main = async (options) => {
+  let { srcFile, srcLib, srcMbr, compare, lcNames, canonical, split, keepTemp } = options
+  logger.debug('main() started with :', { srcFile: srcFile, srcLib: srcLib, srcMbr: srcMbr })
+  const file = srcLib ? `${srcLib}/${srcFile}.${srcMbr}` : srcFile
+  const startTime = Date.now()
+  const tempDirs = []
+  let result
 
+  try {
     const tempOutDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
-      .then(result => result)
-      .catch(err => Promise.reject(err))
+    tempDirs.push(tempOutDir)
 
     // Check if the Output file is IFS or Lib/File/Mbr
     let isDdsFile = false
-    if (type() === 'OS400' && srcLib && srcMbr && typeof srcFile === 'string' && parse(srcFile).dir === '') {
-      srcFile = srcFile.toUpperCase()
-      if (typeof srcLib === 'string') srcLib = srcLib.toUpperCase()
-      if (typeof srcMbr === 'string') srcMbr = srcMbr.toUpperCase()
+    if (isSourceSystemAvailable() && srcLib && srcMbr && typeof srcFile === 'string' && parse(srcFile).dir === '') {
+      srcFile = normalizeName(srcFile)
+      if (typeof srcLib === 'string') srcLib = normalizeName(srcLib)
+      if (typeof srcMbr === 'string') srcMbr = normalizeName(srcMbr)
       isDdsFile = true
     }
 
     logger.debug('main() determined file type', { isDdsFile: isDdsFile })
 
-    let origDdsFile
-
+    // The conversions normalize the encoding, line endings and Sequence numbers and Dates of an IFS file themselves
+    const origDdsFile = isDdsFile ? await readIbmISrcMbr(srcFile, srcLib, srcMbr, 'file') : srcFile
     if (isDdsFile) {
-      origDdsFile = await readIbmISrcMbr(srcFile, srcLib, srcMbr, 'file')
-    } else {
-      // If IFS file, may need to remove the leading dates & line #'s
-      const originalDds = await fsPromises.readFile(srcFile, 'utf8')
-      const CRLF = '\r\n'
-      const originalDdsLines = originalDds.split(CRLF)
-      if (isNaN(Number.parseInt(originalDdsLines[0].substr(0, 12)))) {
-        logger.debug('Original DDS file does NOT have leading Dates/Sequences')
-        origDdsFile = srcFile
-      } else {
-        logger.debug('Original DDS file has leading Dates/Sequences')
-        const fileParts = parse(srcFile)
-        fileParts.dir = tempOutDir
-        fileParts.base = fileParts.name + fileParts.ext + 'X'
-        const tempOutFile = format(fileParts)
-        const tmpDdsLines = originalDdsLines.map(srcLine => isNaN(Number.parseInt(srcLine.substr(0, 12))) ? srcLine : srcLine.substr(12))
-        await fsPromises.writeFile(tempOutFile, tmpDdsLines.join(CRLF))
-        origDdsFile = tempOutFile
-      }
+      tempDirs.push(dirname(origDdsFile))
     }
 
-    // JSON -> DDS V1 and V2 need the original DDS file for constructing the
-    // target DDS
-    process.env.JSON_TO_DDS_ORIGINAL_DDS_FILE = origDdsFile
-    logger.debug('main() setting process.env.JSON_TO_DDS_ORIGINAL_DDS_FILE :', origDdsFile)
-
-    return ddsToJson(tempOutDir, origDdsFile, null, undefined)
+    // JSON -> DDS V1 needs the original DDS file for constructing the target DDS
+    result = await ddsToJson({ outDir: tempOutDir, srcFile: origDdsFile, lcNames, canonical, split })
       .then(async rtnJson => {
-        const outFile = rtnJson.replace('.json', '.dspf')
-        return jsonToDds(rtnJson, outFile, null, null)
+        const outFile = split ? `${rtnJson.outFile}.dspf` : rtnJson.outFile.replace('.json', '.dspf')
+        return jsonToDds({ inJson: rtnJson.outFile, srcFile: outFile, srcFilOrig: origDdsFile })
       })
-      .then(async cvtDdsFile => execFile('diff', [origDdsFile, cvtDdsFile]))
-      .then(result => {
-        successCount += 1
-        return 'SUCCESS'
+      .then(async cvtDds => {
+        const origDds = await readSourceFile(origDdsFile)
+        const newDds = await readSourceFile(cvtDds.outFile)
+        const comparison = compareDds(origDds.lines.join('\n'), newDds.lines.join('\n'), { ...compare, origName: file, newName: cvtDds.outFile })
+        return { comparison, formatChanges: getFormatChanges(origDds.format, newDds.format) }
       })
-      .catch(err => {
-        failDetails.push({ file: srcFile, err: err, cmd: err.cmd, diff: err.stdout })
-        const failed = 'FAILED'
-        return Promise.reject(failed)
+      .then(({ comparison, formatChanges }) => {
+        if (!comparison.equal) {
+          const err = Error(`The converted DDS source does not match the original DDS source, in record formats ${describeFormats(comparison.formats)}.`)
+          return { file, status: 'FAILED', duration: Date.now() - startTime, err, diff: comparison.diff, formats: comparison.formats }
+        }
+        if (formatChanges.length > 0) {
+          const err = Error(`The converted DDS source was not written like the original DDS source, it changed the ${formatChanges.join(', ')}.`)
+          return { file, status: 'FAILED', duration: Date.now() - startTime, err }
+        }
+        return { file, status: 'SUCCESS', duration: Date.now() - startTime }
       })
+      .catch(err => ({ file, status: 'FAILED', duration: Date.now() - startTime, err: err }))
   } catch (error) {
-    return Promise.reject(error)
+    result = { file, status: 'FAILED', duration: Date.now() - startTime, err: error }
+  } finally {
+    result = await removeTempDirs(result, tempDirs, keepTemp)
   }
+  return result
 }
 
 /**
- * @description Processes generic file names for non-IBM i systems. It will create
- *              a list of directory entries, then filter according to the search criteria,
- *              then process each entry.
- * @param {String} genericName The Input Source File name. This should be a path-based file name.
- * @returns {Promise<Void|Error>} The error message if we reject.
+ * @description This verifies the reverse round trip, starting from a JSON Rich Display File. It converts the JSON
+ *              into DDS, then back to JSON, and compares the twice converted JSON to the original JSON structurally.
+ *              Both are compared in canonical form, so the property order and the way numbers are written do not
+ *              matter. The Member text and Source metadata are not part of the DDS source, so they are not compared.
+ * @param {Object} options The verification options.
+ * @param {String} options.inJson The Input JSON file, or the directory or manifest of a split Rich Display File.
+ * @param {String} [options.srcFilOrig] The Original DDS file, needed for the V1 conversion method. This can be an
+ *                                      IFS name, or a Source Physical File name used with the srcLibOrig and srcMbrOrig options.
+ * @param {String} [options.srcLibOrig] The Library containing the Original DDS Source File.
+ * @param {String} [options.srcMbrOrig] The Original DDS Source Member name.
+ * @param {String} [options.method] (Optional) The JSON to DDS conversion method, '1' or '2', see jsonToDds.
+ * @param {Boolean} [options.keepTemp=false] (Optional) Keep the temp files of a failed verification, which are
+ *                                           otherwise removed.
+ * @returns {Promise<Object>} The verification result, containing the file, status, duration (ms), err, the
+ *                            differences, each with the JSON path that differs, and the tempDirs if they were kept.
  * @since 1.0.0
  */
-const processGenericName = async (genericName) => {
-  logger.debug('processGenericName() started with :', { genericName: genericName })
+const verifyJson = async (options) => {
+  const { inJson, srcFilOrig, srcLibOrig, srcMbrOrig, method, keepTemp } = options
+  logger.debug('verifyJson() started with :', { inJson: inJson, srcFilOrig: srcFilOrig, srcLibOrig: srcLibOrig, srcMbrOrig: srcMbrOrig, method: method })
+  const file = inJson
+  const startTime = Date.now()
+  const tempDirs = []
+  let result
 
-  const parts = parse(genericName)
+  try {
+    const tempOutDir = await fsPromises.mkdtemp(join(tmpdir(), 'profound-utils-'))
+    tempDirs.push(tempOutDir)
+    const jsonData = JSON.stringify(await readDspf(inJson))
 
-  fsPromises.readdir(parts.dir)
-    .then(async fileList => {
-      logger.debug('processGenericName() directory file list', fileList)
-      fileList = fileList.filter(file => {
-        return file.startsWith(parts.name.split('*')[0])
-      })
-      inputCount = fileList.length
-      logger.debug('processGenericName() filtered file list', fileList)
-      for (const file of fileList) {
-        const fileParts = parse(file)
-        if (parts.ext === '' || parts.ext === fileParts.ext) {
-          logger.debug('processGenericName() processing file :', fileParts)
-          fileParts.dir = parts.dir
-          let fil = format(fileParts)
-          await main(fil)
-            .then(result => logger.info(`DDS file ${fil} verification ${result}.`))
-            .catch(err => logger.error(`DDS file ${fil} verification ${err}.`))
-        } else {
-          logger.debug('processGenericName() skipping file :', fileParts)
-        }
+    // The conversion is given its own copy, so the original JSON is compared as it was read
+    const cvtDds = await jsonToDds({ json: JSON.parse(jsonData), srcFilOrig, srcLibOrig, srcMbrOrig, method })
+    const ddsFile = join(tempOutDir, `${getDspfName(inJson)}.dspf`)
+    await fsPromises.writeFile(ddsFile, encodeSource(cvtDds.ddsLines))
+
+    // JSON converted with lowercase names is converted back the same way, so the names compare equal
+    const cvtJson = await ddsToJson({ srcFile: ddsFile, lcNames: Boolean(JSON.parse(jsonData).lcNames) })
+
+    const { text: origText, source: origSource, ...origDspf } = JSON.parse(jsonData)
+    const { text: newText, source: newSource, ...newDspf } = cvtJson.dspf
+    const differences = compareJson(canonicalizeDspf(origDspf), canonicalizeDspf(newDspf))
+
+    if (differences.length === 0) {
+      result = { file, status: 'SUCCESS', duration: Date.now() - startTime }
+    } else {
+      const err = Error(`The converted JSON does not match the original JSON, with ${differences.length} difference(s).`)
+      result = { file, status: 'FAILED', duration: Date.now() - startTime, err, differences }
+    }
+  } catch (error) {
+    result = { file, status: 'FAILED', duration: Date.now() - startTime, err: error }
+  } finally {
+    result = await removeTempDirs(result, tempDirs, keepTemp)
+  }
+  return result
+}
+
+/**
+ * @description Formats a duration for the progress line, like '1m 05s'.
+ * @param {Number} ms The duration in milliseconds.
+ * @returns {String} The formatted duration.
+ * @since 1.0.0
+ */
+const formatDuration = ms => {
+  const secs = Math.round(ms / 1000)
+  return secs < 60 ? `${secs}s` : `${Math.floor(secs / 60)}m ${String(secs % 60).padStart(2, '0')}s`
+}
+
+/**
+ * @description Creates a live progress line on stderr, showing the done/failed/remaining counts and an ETA.
+ *              Nothing is shown unless stderr is a terminal.
+ * @param {Number} total The number of sources to verify.
+ * @returns {Object} The progress object, with clear() and draw(done, failed) functions.
+ * @since 1.0.0
+ */
+const createProgress = total => {
+  const startTime = Date.now()
+  const isTTY = Boolean(process.stderr.isTTY)
+  let line = ''
+
+  return {
+    clear: () => {
+      if (isTTY && line) process.stderr.write('\r\x1b[K')
+    },
+    draw: (done, failed) => {
+      if (!isTTY) return
+      const remaining = total - done
+      const eta = done > 0 && remaining > 0 ? `, ETA ${formatDuration((Date.now() - startTime) / done * remaining)}` : ''
+      line = `Verified ${done}/${total} (${failed} failed, ${remaining} remaining${eta})`
+      process.stderr.write(`\r\x1b[K${line}`)
+    }
+  }
+}
+
+/**
+ * @description Verifies a list of DDS sources, reporting the success/fail of each verification. Each verification
+ *              uses its own temp directory, so several can run at once.
+ * @param {Object[]} srcList The list of sources to verify, each containing the srcFile, srcLib and srcMbr names,
+ *                           or the inJson file and its Original DDS for a reverse round trip (see verifyJson()).
+ * @param {Object} [options] (Optional) The batch options.
+ * @param {Number} [options.concurrency=1] (Optional) The number of verifications to run at once.
+ * @param {Boolean} [options.progress=false] (Optional) Show a live progress line on stderr.
+ * @param {Object} [options.compare] (Optional) The comparison options for each verification, see main().
+ * @param {Boolean} [options.lcNames=false] (Optional) Convert with lowercase names in each verification, see main().
+ * @param {Boolean} [options.canonical=false] (Optional) Convert to canonical JSON in each verification, see main().
+ * @param {Boolean} [options.split=false] (Optional) Convert to a split Rich Display File in each verification, see main().
+ * @param {Boolean} [options.keepTemp=false] (Optional) Keep the temp files of each failed verification, see main().
+ * @returns {Promise<Object>} The verification results, containing the inputCount, successCount, failDetails and
+ *                           every verification result in list order.
+ * @since 1.0.0
+ */
+const verifyList = async (srcList, options = {}) => {
+  const concurrency = options.concurrency || 1
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return Promise.reject(Error(`Concurrency must be a whole number greater than 0, but was '${options.concurrency}'.`))
+  }
+
+  const results = { inputCount: srcList.length, successCount: 0, failDetails: [] }
+  const verifications = []
+  const progress = options.progress ? createProgress(srcList.length) : undefined
+  let next = 0
+  let done = 0
+
+  // Each worker takes the next source from the list until there are none left
+  const worker = async () => {
+    while (next < srcList.length) {
+      const index = next
+      next += 1
+      const result = srcList[index].inJson
+        ? await verifyJson({ ...srcList[index], keepTemp: options.keepTemp })
+        : await main({ ...srcList[index], compare: options.compare, lcNames: options.lcNames, canonical: options.canonical, split: options.split, keepTemp: options.keepTemp })
+      verifications[index] = result
+
+      if (progress) progress.clear()
+      if (result.status === 'SUCCESS') {
+        results.successCount += 1
+        logger.info(`DDS file ${result.file} verification ${result.status}.`)
+      } else {
+        logger.error(`DDS file ${result.file} verification ${result.status}.`)
       }
-    })
-    .catch(err => Promise.reject(err))
-    .finally(() => summary())
+      done += 1
+      if (progress) progress.draw(done, done - results.successCount)
+    }
+  }
+
+  const workers = []
+  for (let count = 0; count < Math.min(concurrency, srcList.length); count++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+  if (progress) {
+    progress.clear()
+  }
+
+  // The failures are reported in list order, whatever order they finished in
+  results.failDetails = verifications.filter(result => result.status !== 'SUCCESS')
+  results.verifications = verifications
+
+  return results
+}
+
+/**
+ * @description Processes generic file names for non-IBM i systems. It will create
+ *              a sorted list of the files matching the glob patterns, then process each entry.
+ * @param {String | String[]} genericName The Input Source File name. This should be a path-based glob pattern, like
+ *                                        'screens/**\/*.dspf', or several patterns, where patterns starting with '!' exclude files.
+ * @param {Object} [options] (Optional) The batch options (concurrency, progress, compare, lcNames, canonical, split, keepTemp), see verifyList().
+ * @returns {Promise<Object>} The verification results, or the error message if we reject.
+ * @since 1.0.0
+ */
+const processGenericName = async (genericName, options) => {
+  logger.debug('processGenericName() started with :', { genericName: genericName, options: options })
+
+  const fileList = await getGenericFileList(genericName)
+  logger.debug('processGenericName() matched file list', fileList)
+
+  return verifyList(fileList.map(file => ({ srcFile: file })), options)
+}
+
+/**
+ * @description Processes generic JSON file names for the reverse round trip. It will create a list of the
+ *              matching JSON files, then verify each entry. The Original DDS for each JSON file is found by name,
+ *              as ddsToJson names the JSON file after the Member or DDS file, like 'mydspf.json', and a split Rich
+ *              Display File directory the same way, like 'mydspf/dspf.json'.
+ * @param {String | String[]} genericName The Input JSON file name, like '/json/*.json' or '/json/*\/dspf.json', or
+ *                                        several glob patterns.
+ * @param {Object} [original] (Optional) The Original DDS, needed for the V1 conversion method.
+ * @param {String} [original.srcFilOrig] The directory containing the Original DDS files, like 'mydspf.dspf', or the
+ *                                       Source Physical File containing the Original Members when used with srcLibOrig.
+ * @param {String} [original.srcLibOrig] The Library containing the Original DDS Source File.
+ * @param {String} [original.method] (Optional) The JSON to DDS conversion method, '1' or '2', see jsonToDds.
+ * @param {Object} [options] (Optional) The batch options (concurrency, progress, keepTemp), see verifyList().
+ * @returns {Promise<Object>} The verification results, or the error message if we reject.
+ * @since 1.0.0
+ */
+const processJsonGenericName = async (genericName, original = {}, options) => {
+  logger.debug('processJsonGenericName() started with :', { genericName: genericName, original: original, options: options })
+
+  const fileList = await getGenericFileList(genericName)
+  logger.debug('processJsonGenericName() file list', fileList)
+
+  const { srcFilOrig, srcLibOrig, method } = original
+  const srcList = fileList.map(inJson => {
+    const name = getDspfName(inJson)
+    if (typeof srcFilOrig !== 'string') {
+      return { inJson, method }
+    } else if (typeof srcLibOrig === 'string') {
+      return { inJson, srcFilOrig, srcLibOrig, srcMbrOrig: name, method }
+    } else {
+      return { inJson, srcFilOrig: join(srcFilOrig, `${name}.dspf`), method }
+    }
+  })
+
+  return verifyList(srcList, options)
 }
 
-const summary = async () => {
+/**
+ * @description Prints the Conversion Summary for the verification results.
+ * @param {Object} results The verification results, containing the inputCount, successCount and failDetails.
+ * @since 1.0.0
+ */
+const summary = async (results) => {
   console.log('\n')
   logger.info('Conversion Summary\n')
-  logger.info(`${inputCount} Input Source files.`)
-  logger.info(`${successCount} verification SUCCESS.`)
-  logger.error(`${failDetails.length} verification FAILED.\n`)
-  if (failDetails.length > 0) {
+  logger.info(`${results.inputCount} Input Source files.`)
+  logger.info(`${results.successCount} verification SUCCESS.`)
+  logger.error(`${results.failDetails.length} verification FAILED.\n`)
+  if (results.failDetails.length > 0) {
     let count = 0
-    for (const fail of failDetails) {
+    for (const fail of results.failDetails) {
       count += 1
       logger.error(`Fail #${count} :`, fail.file)
-      if (fail.cmd) {
-        logger.error(fail.cmd)
+      logger.error(fail.err instanceof Error ? fail.err.message : fail.err)
+      if (fail.tempDirs) {
+        logger.error(`The temp files were kept in ${fail.tempDirs.join(', ')}`)
+      }
+      if (fail.diff) {
         console.log(fail.diff)
-      } else {
-        logger.error(fail.err)
+      } else if (fail.differences) {
+        console.log(describeDifferences(fail.differences))
       }
     }
   }
@@ -171,42 +401,29 @@ const summary = async () => {
  *                         a Source Physical File name used in conjunction with the srcLib and srcMbr parameters.
  * @param {String} [lib] The Input Library containing the Source File.
  * @param {String} [genericMbr] The Input Source Member name.
- * @returns {Promise<Void|Error>} The error message if we reject.
+ * @param {Object} [options] (Optional) The batch options (concurrency, progress, compare, lcNames, canonical, split, keepTemp), see verifyList().
+ * @returns {Promise<Object>} The verification results, or the error message if we reject.
  * @since 1.0.0
  */
-const processIbmIGenericName = async (fil, lib, genericMbr) => {
-  logger.debug('processIbmIGenericName() started with :', { fil: fil, lib: lib, genericName: genericMbr })
+const processIbmIGenericName = async (fil, lib, genericMbr, options) => {
+  logger.debug('processIbmIGenericName() started with :', { fil: fil, lib: lib, genericName: genericMbr, options: options })
 
-  lib = lib.toUpperCase()
-  fil = fil.toUpperCase()
-  genericMbr = genericMbr.toUpperCase()
+  lib = normalizeName(lib)
+  fil = normalizeName(fil)
 
-  getIbmIMemberList(fil, lib, genericMbr)
-    .then(async mbrList => {
-      if (mbrList.length === 0) {
-        logger.debug(`No Source Members were found for ${lib}/${fil}.${genericMbr}`)
-      } else {
-        inputCount = mbrList.length
-        logger.debug('processIbmIGenericName() received member list', mbrList)
-        for (const mbr of mbrList) {
-          logger.debug('processIbmIGenericName() processing member :', { fil: fil, lib: lib, mbr: mbr })
-          await main(fil, lib, mbr)
-            .then(result => {
-              logger.info(`DDS member ${lib}/${fil}.${mbr} verification ${result}.`)
-            })
-            .catch(err => {
-              logger.error(`DDS member ${lib}/${fil}.${mbr} verification ${err}.`)
-            })
-        }
-      }
-    })
-    .catch(err => Promise.reject(err))
-    .finally(() => summary())
+  const mbrList = await getIbmIMemberList(fil, lib, genericMbr)
+  if (mbrList.length === 0) {
+    logger.debug(`No Source Members were found for ${lib}/${fil}.${genericMbr}`)
+  } else {
+    logger.debug('processIbmIGenericName() received member list', mbrList)
+  }
+
+  return verifyList(mbrList.map(mbr => ({ srcFile: fil, srcLib: lib, srcMbr: mbr })), options)
 }
 
 logger.debug('verifyConvert.js started with args :', process.argv)
 
-if (require.main.filename !== module.filename) {
+if (require.main !== module) {
 } else if (process.argv.includes('--help') || process.argv.includes('?')) {
   logger.info(`verifyConvert - This tool verifies the DDS conversion process, by running two conversions to convert a DDS file`)
   logger.info(`                into JSON, then back to DDS. It then compares the DDS output back to the original DDS file`)
@@ -226,23 +443,33 @@ if (require.main.filename !== module.filename) {
   logger.debug('verifyConvert.js passed-validation')
 
   // Is the Input file Generic name ?
+  let verification
   if (typeof srcLib === 'string' && typeof srcMbr === 'string' && srcMbr.includes('*')) {
     logger.debug('verifyConvert.js processing IBM i generic lib/file/member name')
-    processIbmIGenericName(srcFile, srcLib, srcMbr)
-  } else if (srcFile.includes('*')) {
+    verification = processIbmIGenericName(srcFile, srcLib, srcMbr)
+  } else if (isGlobPattern(srcFile)) {
     logger.debug('verifyConvert.js processing non-IBM i generic file name')
-    processGenericName(srcFile)
+    verification = processGenericName(srcFile)
   } else {
     logger.debug('verifyConvert.js processing non-generic file/member name')
-    main(srcFile, srcLib, srcMbr)
-      .then(result =>
-        logger.info(`DDS file ${srcFile} verification ${result}.`)
-      )
-      .catch(err => {
-        logger.error(`DDS file ${srcFile} verification ${err}.`)
-      })
-      .finally(() => summary())
+    verification = verifyList([{ srcFile, srcLib, srcMbr }])
   }
+
+  verification
+    .then(results => {
+      summary(results)
+      process.exitCode = results.failDetails.length > 0 ? 1 : 0
+    })
+    .catch(err => {
+      logger.error(`${err}`)
+      process.exitCode = 1
+    })
 }
 
+exports.summary = summary
 exports.verify = main
+exports.verifyJson = verifyJson
+exports.verifyList = verifyList
+exports.verifyJsonGeneric = processJsonGenericName
+exports.verifyGeneric = processGenericName
+exports.verifyIbmIGeneric = processIbmIGenericName